@@ -0,0 +1,173 @@
+/**
+ * client/interpolation.js
+ *
+ * Snapshot buffer for smooth rendering of remote entities (other players, monsters).
+ *
+ * Decoded state_update snapshots are stored with their server timestamp. Each frame,
+ * remote entities are drawn at (estimated server time - INTERPOLATION_DELAY), which
+ * normally falls between two buffered snapshots. If packets are late the last known
+ * motion is extrapolated for up to INTERPOLATION_MAX_EXTRAPOLATION, then held.
+ */
+
+const INTERPOLATED_KINDS = ['players', 'monsters'];
+
+class InterpolationBuffer {
+  constructor(options = {}) {
+    this.delay = options.delay ?? GAME_CONSTANTS.INTERPOLATION_DELAY;
+    this.maxExtrapolation = options.maxExtrapolation ?? GAME_CONSTANTS.INTERPOLATION_MAX_EXTRAPOLATION;
+    this.bufferTime = options.bufferTime ?? 1000; // ms of history kept
+
+    this.snapshots = []; // [{ serverTime, players: Map, monsters: Map }] oldest first
+    this.clockOffset = null; // estimated serverTime - Date.now()
+  }
+
+  /**
+   * Buffer a decoded state (must carry serverTime)
+   */
+  push(state) {
+    if (!state || typeof state.serverTime !== 'number') return;
+
+    const newest = this.snapshots[this.snapshots.length - 1];
+    if (newest && state.serverTime <= newest.serverTime) return;
+
+    const snapshot = { serverTime: state.serverTime };
+    for (const kind of INTERPOLATED_KINDS) {
+      snapshot[kind] = new Map((state[kind] || []).map(e => [e.id, {
+        position: e.position ? { ...e.position } : null,
+        rotation: e.rotation ? { ...e.rotation } : null,
+        gaze: e.gaze ? { ...e.gaze } : null,
+      }]));
+    }
+    this.snapshots.push(snapshot);
+    this.updateClockOffset(state.serverTime - Date.now());
+
+    const cutoff = state.serverTime - this.bufferTime;
+    while (this.snapshots.length > 2 && this.snapshots[0].serverTime < cutoff) {
+      this.snapshots.shift();
+    }
+  }
+
+  /**
+   * Smooth the server clock estimate; snap when it moves a lot (first packet, tab resumed)
+   */
+  updateClockOffset(sample) {
+    if (this.clockOffset === null || Math.abs(sample - this.clockOffset) > 250) {
+      this.clockOffset = sample;
+    } else {
+      this.clockOffset += (sample - this.clockOffset) * 0.05;
+    }
+  }
+
+  /**
+   * Server time the scene should currently show
+   */
+  getRenderTime(now = Date.now()) {
+    return now + (this.clockOffset || 0) - this.delay;
+  }
+
+  /**
+   * Interpolated { position, rotation, gaze } for an entity, or null if never seen
+   */
+  sample(kind, id, renderTime = this.getRenderTime()) {
+    const snapshots = this.snapshots;
+    if (snapshots.length === 0) return null;
+
+    // Find the pair of snapshots around renderTime that both contain the entity
+    let older = null;
+    let newer = null;
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      const entity = snapshots[i][kind].get(id);
+      if (!entity) continue;
+      if (snapshots[i].serverTime <= renderTime) {
+        older = { time: snapshots[i].serverTime, entity };
+        break;
+      }
+      newer = { time: snapshots[i].serverTime, entity };
+    }
+
+    if (older && newer) {
+      const t = (renderTime - older.time) / (newer.time - older.time);
+      return this.blend(older.entity, newer.entity, t);
+    }
+    if (newer) {
+      // Entity is newer than the render time (just spawned): show its first state
+      return newer.entity;
+    }
+    if (!older) return null;
+
+    // Late packets: extrapolate from the previous snapshot holding this entity
+    let previous = null;
+    for (let i = snapshots.length - 1; i >= 0; i--) {
+      if (snapshots[i].serverTime >= older.time) continue;
+      const entity = snapshots[i][kind].get(id);
+      if (entity) {
+        previous = { time: snapshots[i].serverTime, entity };
+        break;
+      }
+    }
+    if (!previous) return older.entity;
+
+    const ahead = Math.min(renderTime - older.time, this.maxExtrapolation);
+    const t = 1 + ahead / (older.time - previous.time);
+    return this.blend(previous.entity, older.entity, t);
+  }
+
+  /**
+   * Blend two entity states; t in [0, 1] interpolates, t > 1 extrapolates
+   */
+  blend(a, b, t) {
+    return {
+      position: this.lerpVector(a.position, b.position, t),
+      rotation: this.lerpRotation(a.rotation, b.rotation, t),
+      gaze: this.lerpDirection(a.gaze, b.gaze, t),
+    };
+  }
+
+  lerpVector(a, b, t) {
+    if (!a || !b) return b || a;
+    return {
+      x: a.x + (b.x - a.x) * t,
+      y: a.y + (b.y - a.y) * t,
+      z: a.z + (b.z - a.z) * t,
+    };
+  }
+
+  /**
+   * Euler angles, each taking the short way around
+   */
+  lerpRotation(a, b, t) {
+    if (!a || !b) return b || a;
+    const lerpAngle = (from, to) => {
+      let diff = (to - from) % (Math.PI * 2);
+      if (diff > Math.PI) diff -= Math.PI * 2;
+      if (diff < -Math.PI) diff += Math.PI * 2;
+      return from + diff * t;
+    };
+    return {
+      x: lerpAngle(a.x || 0, b.x || 0),
+      y: lerpAngle(a.y || 0, b.y || 0),
+      z: lerpAngle(a.z || 0, b.z || 0),
+    };
+  }
+
+  /**
+   * Unit direction vectors: lerp then renormalize
+   */
+  lerpDirection(a, b, t) {
+    const v = this.lerpVector(a, b, t);
+    if (!v) return v;
+    const length = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    if (length < 1e-6) return b || a;
+    return { x: v.x / length, y: v.y / length, z: v.z / length };
+  }
+
+  /**
+   * Drop all buffered snapshots (leaving the lobby)
+   */
+  clear() {
+    this.snapshots = [];
+    this.clockOffset = null;
+  }
+}
+
+window.InterpolationBuffer = InterpolationBuffer;
@@ -0,0 +1,117 @@
+/**
+ * client/leaderboard.js
+ *
+ * Leaderboard panel: top scores, most wins and longest survival from
+ * GET /api/leaderboard, filterable by all time, this week or a season.
+ * Opened from the login screen and the match end screen.
+ */
+
+class LeaderboardPanel {
+  constructor(serverUrl = null) {
+    this.serverUrl = serverUrl; // game server for GET /api/leaderboard (null: same origin)
+    this.elements = {
+      panel: document.getElementById('leaderboardPanel'),
+      period: document.getElementById('leaderboardPeriod'),
+      season: document.getElementById('leaderboardSeason'),
+      status: document.getElementById('leaderboardStatus'),
+      topScores: document.getElementById('leaderboardScores'),
+      mostWins: document.getElementById('leaderboardWins'),
+      longestSurvival: document.getElementById('leaderboardSurvival'),
+      closeBtn: document.getElementById('leaderboardCloseBtn'),
+    };
+    this.seasonsLoaded = false;
+    this.requestId = 0; // ignore responses to superseded filter changes
+
+    this.elements.period.onchange = () => this.refresh();
+    this.elements.season.onchange = () => this.refresh();
+    this.elements.closeBtn.onclick = () => this.close();
+  }
+
+  async open() {
+    this.elements.panel.classList.add('show');
+    if (!this.seasonsLoaded) await this.loadSeasons();
+    this.refresh();
+  }
+
+  close() {
+    this.elements.panel.classList.remove('show');
+  }
+
+  /**
+   * Fill the season filter (newest first; the current season is selected)
+   */
+  async loadSeasons() {
+    try {
+      const response = await fetch(NetworkManager.httpUrl('/api/leaderboard/seasons', this.serverUrl));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const seasons = await response.json();
+      this.elements.season.innerHTML = '';
+      for (const season of seasons) {
+        const option = document.createElement('option');
+        option.value = String(season.id);
+        option.textContent = season.name;
+        this.elements.season.appendChild(option);
+      }
+      this.seasonsLoaded = true;
+    } catch (error) {
+      console.error('[Leaderboard] Failed to load seasons:', error);
+    }
+  }
+
+  async refresh() {
+    const period = this.elements.period.value;
+    this.elements.season.style.display = period === 'season' ? '' : 'none';
+
+    const params = new URLSearchParams({ period });
+    if (period === 'season' && this.elements.season.value) params.set('season', this.elements.season.value);
+
+    const requestId = ++this.requestId;
+    this.elements.status.textContent = 'Loading...';
+    try {
+      const response = await fetch(NetworkManager.httpUrl(`/api/leaderboard?${params}`, this.serverUrl));
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+      if (requestId !== this.requestId) return;
+      this.render(data);
+    } catch (error) {
+      if (requestId !== this.requestId) return;
+      console.error('[Leaderboard] Failed to load rankings:', error);
+      this.elements.status.textContent = 'Could not load leaderboard';
+    }
+  }
+
+  render(data) {
+    let status = 'All time';
+    if (data.season) {
+      status = `${data.season.name}: ${new Date(data.season.startsAt).toLocaleDateString()} - ${new Date(data.season.endsAt).toLocaleDateString()}`;
+    } else if (data.week) {
+      status = `Week of ${data.week}`;
+    }
+    this.elements.status.textContent = status;
+
+    this.renderList(this.elements.topScores, data.topScores, row => `${row.bestScore} pts`);
+    this.renderList(this.elements.mostWins, data.mostWins, row => `${row.wins} wins`);
+    this.renderList(this.elements.longestSurvival, data.longestSurvival, row => formatSurvival(row.longestSurvival));
+  }
+
+  renderList(element, rows, formatValue) {
+    element.innerHTML = '';
+    if (!rows.length) {
+      element.textContent = 'No entries yet';
+      return;
+    }
+    rows.forEach((row, i) => {
+      const line = document.createElement('div');
+      line.className = 'stat-row';
+      line.textContent = `#${i + 1} ${row.username} - ${formatValue(row)}`;
+      element.appendChild(line);
+    });
+  }
+}
+
+function formatSurvival(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+window.LeaderboardPanel = LeaderboardPanel;
@@ -5,6 +5,8 @@
  * Entry point for the browser application.
  */
 
+const SERVER_URL = 'https://zotjam2026winter.onrender.com'; // Render URL (socket and HTTP routes)
+
 class GameClient {
   constructor() {
     this.network = null;
@@ -14,6 +16,7 @@ class GameClient {
 
     this.localPlayer = null;
     this.gameState = null;
+    this.lastBlinkDeadline = null; // server blinkDeadline last synced into the controller
 
     this.lastFrameTime = Date.now();
     this.animationFrameId = null;
@@ -22,11 +25,35 @@ class GameClient {
     this.playerId = null;
     this.username = null;
 
-    // Track collected orbs to avoid duplicate collection attempts
+    // Orbs known to be collected (hidden locally until the next state drops them)
     this.collectedOrbIds = new Set();
 
+    // Rebuilds full state from delta-encoded state_update messages
+    this.snapshots = new SnapshotDecoder();
+    // Smooths remote players/monsters between snapshots
+    this.interpolation = new InterpolationBuffer();
+    // Static per-match data from match_started
+    this.obstacles = [];
+    this.matchConfig = null;
+
     // Current attach request pending
     this.currentAttachRequest = null;
+
+    // Live pings ({ id, type, position, expiresAt }) for the minimap; the scene owns the markers
+    this.pings = [];
+
+    // Lobby options chosen on the login screen ({ lobbyCode } / { createPrivate })
+    this.joinOptions = {};
+    // Private lobby settings from the server ({ lobbyCode, isPrivate, locked, hostId })
+    this.lobbyInfo = null;
+
+    // Created on first use from the login screen
+    this.replayViewer = null;
+
+    // Persistent profile from the server ({ id, username, stats })
+    this.profile = null;
+    // Created on first open (login or match end screen)
+    this.leaderboard = null;
   }
 
   /**
@@ -101,8 +128,14 @@ class GameClient {
       usernameInput.focus();
     }
 
-    // Handle login button click
-    loginBtn.onclick = () => {
+    const lobbyCodeInput = document.getElementById('lobbyCodeInput');
+    const joinCodeBtn = document.getElementById('joinCodeBtn');
+    const createPrivateBtn = document.getElementById('createPrivateBtn');
+    const buttons = [loginBtn, joinCodeBtn, createPrivateBtn];
+    buttons.forEach(btn => { btn.disabled = false; });
+
+    // Shared validation, then join with the chosen lobby options
+    const submit = (joinOptions) => {
       const username = usernameInput.value.trim();
       if (!username) {
         alert('Please enter a username');
@@ -116,12 +149,51 @@ class GameClient {
         return;
       }
 
-      loginBtn.disabled = true;
+      buttons.forEach(btn => { btn.disabled = true; });
       this.username = username;
+      this.joinOptions = joinOptions;
       localStorage.setItem('lastUsername', username);
       this.startGame();
     };
 
+    // Handle login button click (public matchmaking: queue with players of similar rating)
+    loginBtn.onclick = () => submit({ matchmaking: true });
+
+    joinCodeBtn.onclick = () => {
+      const lobbyCode = lobbyCodeInput.value.trim().toUpperCase();
+      if (lobbyCode.length !== 4) {
+        alert('Lobby codes are 4 characters');
+        lobbyCodeInput.focus();
+        return;
+      }
+      this.forgetPreviousSession();
+      submit({ lobbyCode });
+    };
+
+    createPrivateBtn.onclick = () => {
+      this.forgetPreviousSession();
+      submit({ createPrivate: true });
+    };
+
+    // Replays are watched without joining: hide the login screen until the viewer closes
+    document.getElementById('replaysBtn').onclick = () => {
+      if (!this.replayViewer) {
+        this.replayViewer = new ReplayViewer(document.getElementById('gameContainer'), SERVER_URL);
+        this.replayViewer.onClose = () => this.showLoginScreen();
+      }
+      loginScreen.classList.remove('show');
+      loginScreen.style.display = 'none';
+      this.replayViewer.open();
+    };
+
+    document.getElementById('leaderboardBtn').onclick = () => this.showLeaderboard();
+
+    lobbyCodeInput.onkeypress = (e) => {
+      if (e.key === 'Enter') {
+        joinCodeBtn.click();
+      }
+    };
+
     // Handle Enter key
     usernameInput.onkeypress = (e) => {
       if (e.key === 'Enter') {
@@ -130,6 +202,25 @@ class GameClient {
     };
   }
 
+  /**
+   * Drop the stored player ID so the server doesn't resume an old lobby instead of
+   * honoring an explicit lobby choice (join by code / create private)
+   */
+  forgetPreviousSession() {
+    this.playerId = null;
+    localStorage.removeItem('playerId');
+  }
+
+  /**
+   * Open the leaderboard panel over the current screen
+   */
+  showLeaderboard() {
+    if (!this.leaderboard) {
+      this.leaderboard = new LeaderboardPanel(SERVER_URL);
+    }
+    this.leaderboard.open();
+  }
+
   /**
    * Hide login screen
    */
@@ -167,6 +258,35 @@ class GameClient {
         this.leaveLobby();
       });
 
+      // Host controls (private lobbies)
+      document.getElementById('startEarlyBtn').addEventListener('click', () => {
+        this.network.sendStartMatchEarly();
+      });
+
+      document.getElementById('lockLobbyBtn').addEventListener('click', () => {
+        this.network.sendSetLobbyLocked(!(this.lobbyInfo && this.lobbyInfo.locked));
+      });
+
+      document.getElementById('presetSelect').addEventListener('change', (e) => {
+        this.network.sendLobbySettings({ preset: e.target.value });
+      });
+
+      document.getElementById('settingsFields').addEventListener('change', (e) => {
+        const { key, scale } = e.target.dataset || {};
+        const value = parseFloat(e.target.value);
+        if (key && Number.isFinite(value)) {
+          // Server validates ranges and answers with lobby_info either way
+          this.network.sendLobbySettings({ settings: { [key]: Math.round(value * Number(scale) * 100) / 100 } });
+        }
+      });
+
+      document.getElementById('kickList').addEventListener('click', (e) => {
+        const playerId = e.target.dataset && e.target.dataset.playerId;
+        if (playerId) {
+          this.network.sendKickPlayer(playerId);
+        }
+      });
+
       // Setup attach accept button
       document.getElementById('attachAcceptBtn').addEventListener('click', () => {
         if (this.currentAttachRequest) {
@@ -188,10 +308,35 @@ class GameClient {
         this.restart();
       });
 
-      // Connect to server with username and playerId if reconnecting
+      document.getElementById('endLeaderboardBtn').addEventListener('click', () => {
+        this.showLeaderboard();
+      });
+
+      // Party controls (the leader's FIND MATCH moves the whole party into one lobby)
+      document.getElementById('createPartyBtn').addEventListener('click', () => {
+        this.network.sendCreateParty(this.username);
+      });
+
+      document.getElementById('joinPartyBtn').addEventListener('click', () => {
+        const code = document.getElementById('partyCodeInput').value.trim().toUpperCase();
+        if (code) {
+          this.network.sendJoinParty(code, this.username);
+        }
+      });
 
-      const SERVER_URL = 'https://zotjam2026winter.onrender.com'; //  Render URL
+      document.getElementById('leavePartyBtn').addEventListener('click', () => {
+        this.network.sendLeaveParty();
+      });
+
+      document.getElementById('partyQueueBtn').addEventListener('click', () => {
+        this.network.sendPartyQueue(!(this.ui.party && this.ui.party.queued));
+      });
+
+      this.setupChat();
+
+      // Connect to server with username and playerId if reconnecting
       this.network = new NetworkManager(SERVER_URL);
+      this.network.profileToken = localStorage.getItem('profileToken');
 
       // Try to reconnect if we have a stored player ID
       const storedPlayerId = localStorage.getItem('playerId');
@@ -203,7 +348,8 @@ class GameClient {
       this.setupNetworkCallbacks();
 
       // Connect and wait for join response
-      const joinData = await this.network.connect(this.username, this.playerId);
+      const joinData = await this.network.connect(this.username, this.playerId, this.joinOptions);
+      this.joinOptions = {};
 
       // Apply server-provided config (if present) to client constants
       if (joinData && joinData.serverConfig) {
@@ -241,6 +387,12 @@ class GameClient {
       console.error('[Main] Start game error:', error);
       this.ui.showMessage(`Error: ${error.message}`, 'error');
 
+      // Failed joins (bad code, locked lobby) leave the socket open; drop it before retrying
+      if (this.network) {
+        this.network.disconnect();
+      }
+      document.getElementById('loadingScreen').classList.remove('show');
+
       // Show login screen again on error
       setTimeout(() => {
         this.showLoginScreen();
@@ -261,8 +413,87 @@ class GameClient {
       this.onStateUpdate(data);
     });
 
-    this.network.on('match_start', (data) => {
-      this.ui.showMessage('🎮 MATCH STARTED!', 'normal');
+    this.network.on('lobby_info', (data) => {
+      this.lobbyInfo = data;
+      this.ui.updateLobbyInfo(data, this.network.playerId);
+    });
+
+    // Host removed us: forget the session so the reload shows the login screen
+    this.network.on('kicked', (data) => {
+      this.ui.showMessage(data.message || 'You were removed from the lobby', 'warning');
+      // Forget the player id too, or the reload would reconnect into the lobby
+      localStorage.removeItem('playerSession');
+      localStorage.removeItem('playerId');
+      setTimeout(() => {
+        window.location.reload();
+      }, 2000);
+    });
+
+    this.network.on('position_correction', (data) => {
+      if (this.controller && data && data.position) {
+        this.controller.applyServerCorrection(data.position, data.reason, data.seq);
+      }
+    });
+
+    this.network.on('match_started', (data) => {
+      // Obstacles never change mid-match, so they're only sent here
+      this.obstacles = data.obstacles || [];
+      this.matchConfig = data.config || null;
+      // Lobby rules can change the blink timer between matches
+      if (this.matchConfig && window.GAME_TYPES && window.GAME_TYPES.GAME_CONSTANTS) {
+        window.GAME_TYPES.GAME_CONSTANTS.PLAYER_BLINK_MAX_TIME = this.matchConfig.PLAYER_BLINK_MAX_TIME;
+      }
+      if (this.scene) {
+        this.scene.updateObstacles(this.obstacles);
+      }
+      if (data.message) {
+        this.ui.showMessage('🎮 MATCH STARTED!', 'normal');
+      }
+    });
+
+    this.network.on('matchmaking_status', (data) => {
+      const seconds = Math.ceil(data.estimatedWait / 1000);
+      document.getElementById('loadingText').textContent =
+        `Finding players near rating ${data.rating} (${data.searchRange.min}-${data.searchRange.max})... ` +
+        `${data.playersInRange} ready, ~${seconds}s`;
+    });
+
+    this.network.on('profile', (data) => {
+      localStorage.setItem('profileToken', data.token);
+      this.profile = data.profile;
+      console.log('[Main] Profile loaded:', data.profile.id, data.profile.stats);
+    });
+
+    this.network.on('chat_message', (message) => {
+      this.ui.addChatMessage(message, this.network.playerId);
+    });
+
+    this.network.on('mute_list', (data) => {
+      this.ui.updateMuteList(data.mutedIds || []);
+    });
+
+    this.network.on('party_update', (party) => {
+      this.ui.updateParty(party, this.profile && this.profile.id);
+    });
+
+    // Our party was matched into another lobby (the first join is handled in startGame)
+    this.network.on('joined_lobby', (data) => {
+      if (!this.scene) return;
+      this.stopRenderLoop();
+      this.resetLobbyState();
+      this.ui.isPlayerReady = false;
+      this.ui.elements.matchEndScreen.classList.remove('show');
+
+      this.playerId = data.playerId;
+      localStorage.setItem('playerId', this.playerId);
+      this.savePlayerSession();
+
+      this.onLobbyJoined(data);
+      this.startRenderLoop();
+    });
+
+    this.network.on('sudden_death', (data) => {
+      this.ui.showMessage(`☠️ ${data.message}`, 'warning');
     });
 
     this.network.on('match_end', (data) => {
@@ -282,6 +513,7 @@ class GameClient {
     });
 
     this.network.on('orb_collected', (data) => {
+      this.collectedOrbIds.add(data.orbId);
       if (data.playerId === this.network.playerId) {
         this.ui.showMessage(`+${data.points} pts`, 'normal');
       }
@@ -291,9 +523,26 @@ class GameClient {
       if (!data.success) {
         const remaining = data.cooldownRemaining || 0;
         this.ui.showMessage(`Blink on cooldown: ${remaining.toFixed(1)}s`, 'warning');
+      } else if (this.controller) {
+        this.controller.syncBlinkClock(data.blinkTimeRemaining);
+      }
+    });
+
+    // The server ran out a player's blink clock and forced a blink
+    this.network.on('blink_forced', (data) => {
+      if (!this.controller) return;
+      if (data.playerId === this.network.playerId) {
+        this.controller.triggerBlink();
+        this.controller.syncBlinkClock(data.blinkTimeRemaining);
+      } else {
+        this.onWatchedPlayerBlink(data.playerId);
       }
     });
 
+    this.network.on('blink_action', (data) => {
+      this.onWatchedPlayerBlink(data.playerId);
+    });
+
     // Attach request received from another player - only show to the target
     this.network.on('attach_request', (data) => {
       if (data.toPlayerId !== this.network.playerId) return; // ignore if not for us
@@ -338,10 +587,13 @@ class GameClient {
       this.ui.showMessage('Attachment declined', 'warning');
     });
 
-    this.network.on('attach_signal', (data) => {
-      // Only show if we're the target
-      if (this.network.playerId === data.toPlayerId) {
-        this.ui.showMessage(`Signal from ${data.fromPlayerId}: ${data.type}`, 'normal');
+    // Ping from our partner or a nearby player (or our own): marker + minimap icon
+    this.network.on('ping', (ping) => {
+      const expiresAt = Date.now() + ping.duration;
+      this.pings = this.pings.filter(p => p.id !== ping.id);
+      this.pings.push({ ...ping, expiresAt });
+      if (this.scene) {
+        this.scene.addPing(ping, expiresAt);
       }
     });
 
@@ -375,6 +627,42 @@ class GameClient {
     });
   }
 
+  /**
+   * Chat input: Enter opens it (and sends), Escape closes it; clicking a name mutes
+   */
+  setupChat() {
+    const input = document.getElementById('chatInput');
+
+    window.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || document.activeElement === input) return;
+      const active = document.activeElement;
+      if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA')) return;
+      document.exitPointerLock?.();
+      input.focus();
+      e.preventDefault();
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        const text = input.value.trim();
+        if (text) {
+          this.network.sendChatMessage(document.getElementById('chatChannel').value, text);
+        }
+        input.value = '';
+        input.blur();
+      } else if (e.key === 'Escape') {
+        input.blur();
+      }
+    });
+
+    document.getElementById('chatLog').addEventListener('click', (e) => {
+      const playerId = e.target.dataset && e.target.dataset.playerId;
+      if (playerId) {
+        this.network.sendMutePlayer(playerId, !this.ui.mutedIds.has(playerId));
+      }
+    });
+  }
+
   /**
    * Handle lobby join response
    */
@@ -383,15 +671,23 @@ class GameClient {
     this.ui.showMessage(`Joined lobby: ${data.lobbyCode}`, 'normal');
     document.getElementById('lobbyCodeValue').textContent = data.lobbyCode;
     document.getElementById('lobbyCode').style.display = 'block';
+    if (data.lobby) {
+      this.lobbyInfo = data.lobby;
+      this.ui.updateLobbyInfo(data.lobby, data.playerId);
+    }
     // Show ready panel immediately in lobby
     this.ui.showReadyPanel();
+    this.ui.showPartyPanel();
   }
 
   /**
-   * Handle server state update
+   * Handle server state update (delta against a snapshot we acknowledged earlier)
    */
-  onStateUpdate(data) {
+  onStateUpdate(message) {
+    const data = this.snapshots.apply(message);
     if (!data) return;
+    this.network.sendStateAck(data.seq);
+    data.obstacles = this.obstacles;
 
     //console.log('[Main] State update - active:', data.active, 'players:', data.players?.length, 'local:', this.network.playerId?.slice(0, 6));
 
@@ -412,14 +708,24 @@ class GameClient {
       if (typeof this.localPlayer.isControlling === 'boolean') {
         this.controller.isControlling = this.localPlayer.isControlling;
       }
+
+      // Follow the server's blink clock (the deadline only changes when we blink)
+      if (this.localPlayer.blinkDeadline !== this.lastBlinkDeadline) {
+        this.lastBlinkDeadline = this.localPlayer.blinkDeadline;
+        this.controller.syncBlinkClock(this.lastBlinkDeadline ? this.lastBlinkDeadline - data.serverTime : null);
+      }
     }
 
+    this.ui.updateChatChannels(data.active, this.localPlayer);
+
     // Show/hide ready panel based on match active state
     if (!data.active) {
       this.ui.showReadyPanel();
+      this.ui.showPartyPanel();
       this.ui.updateReadyPanel(data.players || [], this.network.playerId);
     } else {
       this.ui.hideReadyPanel();
+      this.ui.hidePartyPanel();
       // If game just started (transitioned from inactive to active), restart render loop and reset UI
       if (!wasActive && isNowActive) {
         this.collectedOrbIds.clear(); // Reset collected orbs for new match
@@ -434,7 +740,7 @@ class GameClient {
       }
     }
 
-    // Clean up collected orbs set (remove orbs that are no longer in the game)
+    // Clean up collected orbs set: collected orbs leave the snapshot (respawns get new ids)
     const activeOrbIds = new Set((data.orbs || []).map(o => o.id));
     for (const orbId of this.collectedOrbIds) {
       if (!activeOrbIds.has(orbId)) {
@@ -442,16 +748,13 @@ class GameClient {
       }
     }
 
-    // Check and collect nearby orbs
-    this.checkOrbCollection(data.orbs || []);
-
     // Update scene
     if (this.scene) {
+      this.interpolation.push(data);
       this.scene.updatePlayers(data.players || []);
       this.scene.updateMonsters(data.monsters || []);
-      this.scene.updateOrbs(data.orbs || []);
-      this.scene.updateObstacles(data.obstacles || []);
-      this.scene.updateArenaSafeRadius(data.arenaSafeRadius || 100);
+      this.scene.updateOrbs((data.orbs || []).filter(o => !this.collectedOrbIds.has(o.id)));
+      this.scene.updateArenaSafeRadius(data.arenaSafeRadius || 100, data.safeCenter, data.nextSafeZone);
     }
 
     // Update UI
@@ -460,50 +763,24 @@ class GameClient {
 
       // Only reconcile position when game is ACTIVE (match running)
       // During lobby phase, allow full client-side prediction without server snapping
-      if (this.controller && data.active && this.localPlayer.state !== 'dead') {
-        this.controller.setPosition(this.localPlayer.position);
+      if (this.controller && data.active && this.localPlayer.state === 'alive') {
+        this.controller.reconcile(this.localPlayer.position, this.localPlayer.lastInputSeq);
       }
 
-      // Enter/exit spectator mode based on death state
+      // Enter/exit spectator mode based on death state (dead, then spectating)
       if (this.controller) {
-        if (this.localPlayer.state === 'dead' && !this.controller.isSpectator) {
+        if (this.localPlayer.state !== 'alive' && !this.controller.isSpectator) {
           this.controller.enterSpectator(this.localPlayer.position);
-        } else if (this.localPlayer.state !== 'dead' && this.controller.isSpectator) {
+        } else if (this.localPlayer.state === 'alive' && this.controller.isSpectator) {
           this.controller.exitSpectator(this.localPlayer.position);
+          if (this.scene) this.scene.hiddenPlayerId = null;
         }
       }
 
       // Draw minimap
-      this.ui.drawMinimap(this.localPlayer, data, 100);
-    }
-  }
-
-  /**
-   * Check if player is close to any orbs and collect them
-   * ORB_COLLECTION_RADIUS: 2.5 units (generous for easier collection)
-   */
-  checkOrbCollection(orbs) {
-    if (!this.controller || !Array.isArray(orbs)) return;
-
-    const ORB_COLLECTION_RADIUS = 2.5; // Generous radius for collection
-    const playerPos = this.controller.position;
-
-    for (const orb of orbs) {
-      // Skip if already collected or already attempted
-      if (orb.collected || this.collectedOrbIds.has(orb.id)) continue;
-
-      // Calculate distance to orb
-      const dx = orb.position.x - playerPos.x;
-      const dy = orb.position.y - playerPos.y;
-      const dz = orb.position.z - playerPos.z;
-      const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-      // If close enough, collect it
-      if (distance <= ORB_COLLECTION_RADIUS) {
-        this.collectedOrbIds.add(orb.id);
-        this.network.sendCollectOrb(orb.id);
-        //console.log('[Main] Orb collected:', orb.id, 'distance:', distance.toFixed(2));
-      }
+      const now = Date.now();
+      this.pings = this.pings.filter(p => p.expiresAt > now);
+      this.ui.drawMinimap(this.localPlayer, data, 100, this.pings);
     }
   }
 
@@ -513,6 +790,7 @@ class GameClient {
   onMatchEnd(results) {
     console.log('[Main] Match ended:', results);
     this.ui.showMatchEnd(results);
+    this.ui.showPartyPanel();
     this.stopRenderLoop();
   }
 
@@ -533,16 +811,33 @@ class GameClient {
     }
 
     // Reset game state
-    this.localPlayer = null;
-    this.gameState = null;
-    this.collectedOrbIds.clear();
-    this.currentAttachRequest = null;
+    this.resetLobbyState();
 
-    // Create new player session with new identity (reset playerId to force new lobby)
+    // Create new player session with new identity (reset playerId to force new lobby).
+    // Parties are tied to the profile token, so the reload keeps ours.
     this.playerId = null;
     this.savePlayerSession();
 
     // Reload the page to start fresh
+    location.reload();
+  }
+
+  /**
+   * Forget everything about the current lobby's match (before leaving or moving lobby)
+   */
+  resetLobbyState() {
+    this.localPlayer = null;
+    this.gameState = null;
+    this.lastBlinkDeadline = null;
+    this.collectedOrbIds.clear();
+    this.snapshots.reset();
+    this.interpolation.clear();
+    this.obstacles = [];
+    this.currentAttachRequest = null;
+    this.pings = [];
+    if (this.scene) {
+      this.scene.clearPings();
+    }
   }
 
   /**
@@ -563,10 +858,7 @@ class GameClient {
       }
 
       // Clean up game state
-      this.localPlayer = null;
-      this.gameState = null;
-      this.collectedOrbIds.clear();
-      this.currentAttachRequest = null;
+      this.resetLobbyState();
       this.ui.isPlayerReady = false;
 
       // Hide game UI
@@ -591,7 +883,35 @@ class GameClient {
       }, 2000);
     }
   }
-    location.reload();
+
+  /**
+   * Share the watched player's blink blackout when looking through their eyes
+   */
+  onWatchedPlayerBlink(playerId) {
+    if (!this.controller || !this.controller.isSpectator || this.controller.spectateMode !== 'follow') return;
+    if (this.localPlayer?.spectatingPlayerId === playerId) {
+      this.controller.triggerBlink();
+    }
+  }
+
+  /**
+   * Point the spectator camera at the player we're watching and show their blink clock
+   */
+  updateSpectateTarget() {
+    const targetId = this.localPlayer?.spectatingPlayerId || null;
+    const sample = targetId ? this.interpolation.sample('players', targetId) : null;
+    this.controller.spectateTarget = sample;
+
+    // Hide the watched player's mesh while looking through their eyes
+    if (this.scene) {
+      this.scene.hiddenPlayerId = sample && this.controller.spectateMode === 'follow' ? targetId : null;
+    }
+
+    const target = targetId && (this.gameState?.players || []).find(p => p.id === targetId);
+    if (target && target.blinkDeadline) {
+      const serverNow = Date.now() + (this.interpolation.clockOffset || 0);
+      this.ui.updateBlinkTimer(Math.max(0, (target.blinkDeadline - serverNow) / 1000));
+    }
   }
 
   /**
@@ -605,6 +925,11 @@ class GameClient {
       const deltaTime = Math.min((now - this.lastFrameTime) / 1000, 0.1); // Cap at 100ms
       this.lastFrameTime = now;
 
+      // Spectating: follow the watched player's interpolated transform
+      if (this.controller && this.controller.isSpectator) {
+        this.updateSpectateTarget();
+      }
+
       // Update player controller
       if (this.controller) {
         this.controller.update(deltaTime);
@@ -617,6 +942,8 @@ class GameClient {
 
       // Render scene
       if (this.scene) {
+        this.scene.applyInterpolation(this.interpolation);
+        this.scene.updatePings(now);
         this.scene.render();
       }
     };
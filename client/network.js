@@ -17,6 +17,7 @@ class NetworkManager {
     this.isConnected = false;
     this.isReady = false;
     this.previousPlayerId = null;
+    this.profileToken = null; // server-issued profile token (sent with every join)
 
     this.lastMessageTime = {};
     this.messageRateLimits = {
@@ -32,7 +33,7 @@ class NetworkManager {
    * @param {string} username - Player username
    * @param {string} previousPlayerId - Optional: player ID from previous session for reconnection
    */
-  connect(username = 'Player', previousPlayerId = null) {
+  connect(username = 'Player', previousPlayerId = null, joinOptions = {}) {
     return new Promise((resolve, reject) => {
       try {
         console.log('[Network] Connecting to server:', this.serverUrl);
@@ -50,6 +51,9 @@ class NetworkManager {
           ? io(this.serverUrl, ioOptions)
           : io(ioOptions);
 
+        // Only the first join creates/targets a lobby; socket reconnects rejoin by player ID
+        let pendingJoinOptions = joinOptions || {};
+
         // Store previous ID for reconnection attempt
         if (previousPlayerId) {
           this.previousPlayerId = previousPlayerId;
@@ -60,14 +64,17 @@ class NetworkManager {
           console.log('[Network] Connected to server (socket:', this.socket.id, ')');
           this.isConnected = true;
 
-          // Request to join lobby
-          const joinData = { username };
+          // Request to join lobby (joinOptions: { lobbyCode } or { createPrivate: true })
+          const joinData = { username, ...pendingJoinOptions };
 
           // If reconnecting, send the previous player ID
           if (this.previousPlayerId) {
             joinData.previousPlayerId = this.previousPlayerId;
             console.log('[Network] Attempting to reconnect as player:', this.previousPlayerId);
           }
+          if (this.profileToken) {
+            joinData.profileToken = this.profileToken;
+          }
 
           this.socket.emit('join_lobby', joinData);
         });
@@ -95,6 +102,7 @@ class NetworkManager {
             this.playerId = data.playerId;
             this.lobbyCode = data.lobbyCode;
             this.isReady = true;
+            pendingJoinOptions = {};
             console.log('[Network] Joined lobby:', this.lobbyCode, 'as player:', this.playerId);
             this._fireCallback('joined_lobby', data);
             resolve(data);
@@ -110,10 +118,55 @@ class NetworkManager {
           this._fireCallback('state_update', data);
         });
 
-        // Match lifecycle
-        this.socket.on('match_start', (data) => {
+        // Server rejected/clamped our last movement input
+        this.socket.on('position_correction', (data) => {
+          this._fireCallback('position_correction', data);
+        });
+
+        // Skill-based queue progress until join_lobby_response arrives
+        this.socket.on('matchmaking_status', (data) => {
+          this._fireCallback('matchmaking_status', data);
+        });
+
+        // Private lobby settings / host actions
+        this.socket.on('lobby_info', (data) => {
+          this._fireCallback('lobby_info', data);
+        });
+
+        this.socket.on('kicked', (data) => {
+          console.log('[Network] Kicked from lobby:', data.lobbyCode);
+          this._fireCallback('kicked', data);
+        });
+
+        // Match lifecycle (match_started also carries the static obstacle layout and config)
+        this.socket.on('match_started', (data) => {
           console.log('[Network] Match started');
-          this._fireCallback('match_start', data);
+          this._fireCallback('match_started', data);
+        });
+
+        // Chat (already filtered by channel, range and our mutes on the server)
+        this.socket.on('chat_message', (data) => {
+          this._fireCallback('chat_message', data);
+        });
+
+        this.socket.on('mute_list', (data) => {
+          this._fireCallback('mute_list', data);
+        });
+
+        // Party membership changed (null once we leave)
+        this.socket.on('party_update', (data) => {
+          this._fireCallback('party_update', data);
+        });
+
+        // Profile token (new for first-time players) and career stats
+        this.socket.on('profile', (data) => {
+          this.profileToken = data.token;
+          this._fireCallback('profile', data);
+        });
+
+        this.socket.on('sudden_death', (data) => {
+          console.log('[Network] Sudden death');
+          this._fireCallback('sudden_death', data);
         });
 
         this.socket.on('match_end', (data) => {
@@ -137,6 +190,15 @@ class NetworkManager {
           this._fireCallback('orb_collected', data);
         });
 
+        // Another player blinked voluntarily
+        this.socket.on('blink_action', (data) => {
+          this._fireCallback('blink_action', data);
+        });
+
+        this.socket.on('blink_forced', (data) => {
+          this._fireCallback('blink_forced', data);
+        });
+
         this.socket.on('blink_response', (data) => {
           this._fireCallback('blink_response', data);
         });
@@ -167,9 +229,9 @@ class NetworkManager {
           this._fireCallback('control_granted', data);
         });
 
-        // Attach signals
-        this.socket.on('attach_signal', (data) => {
-          this._fireCallback('attach_signal', data);
+        // Ping wheel markers (from our partner, or from nearby players)
+        this.socket.on('ping', (data) => {
+          this._fireCallback('ping', data);
         });
 
         this.socket.on('player_detached', (data) => {
@@ -214,9 +276,10 @@ class NetworkManager {
 
 
   /**
-   * Send player input (position, rotation, gaze) - rate limited
+   * Send player input (position, rotation, gaze) - rate limited.
+   * seq is the last movement command included in position (for reconciliation)
    */
-  sendPlayerInput(position, rotation, gaze) {
+  sendPlayerInput(position, rotation, gaze, seq) {
     if (!this.isReady) return;
 
     const now = Date.now();
@@ -229,11 +292,52 @@ class NetworkManager {
       position,
       rotation,
       gaze,
+      seq,
     });
 
     this.lastMessageTime['player_input'] = now;
   }
 
+  /**
+   * Host: remove a player from the lobby
+   */
+  sendKickPlayer(playerId) {
+    if (!this.isReady) return;
+    this.socket.emit('kick_player', { playerId });
+  }
+
+  /**
+   * Host: lock or unlock the lobby for new players
+   */
+  sendSetLobbyLocked(locked) {
+    if (!this.isReady) return;
+    this.socket.emit('set_lobby_locked', { locked });
+  }
+
+  /**
+   * Host: change match rules ({ preset } and/or { settings: { KEY: value } })
+   */
+  sendLobbySettings(update) {
+    if (!this.isReady) return;
+    this.socket.emit('update_lobby_settings', update);
+  }
+
+  /**
+   * Host: start the match without waiting for ready-ups
+   */
+  sendStartMatchEarly() {
+    if (!this.isReady) return;
+    this.socket.emit('start_match_early', {});
+  }
+
+  /**
+   * Acknowledge a decoded state_update so the server deltas against it
+   */
+  sendStateAck(seq) {
+    if (!this.isReady) return;
+    this.socket.emit('state_ack', { seq });
+  }
+
   /**
    * Send blink action (player presses R key)
    */
@@ -243,11 +347,11 @@ class NetworkManager {
   }
 
   /**
-   * Send orb collection (player collects orb with left-click)
+   * Spectate a living player (targetId), or cycle to the next/previous one (direction 1 / -1)
    */
-  sendCollectOrb(orbId) {
+  sendSpectate(targetId = null, direction = 1) {
     if (!this.isReady) return;
-    this.socket.emit('collect_orb', { orbId });
+    this.socket.emit('spectate', { targetId, direction });
   }
 
   /**
@@ -321,6 +425,57 @@ class NetworkManager {
     console.log('[Network] Sent ready status:', ready);
   }
 
+  /**
+   * Ping the point we're looking at (type from PING_TYPES)
+   */
+  sendPing(type, gaze) {
+    if (!this.isReady) return;
+    this.socket.emit('ping', { type, gaze });
+  }
+
+  /**
+   * Send a chat message on 'lobby', 'proximity' or 'partner'
+   */
+  sendChatMessage(channel, text) {
+    if (!this.isReady) return;
+    this.socket.emit('chat_message', { channel, text });
+  }
+
+  /**
+   * Mute or unmute another player's chat
+   */
+  sendMutePlayer(playerId, muted) {
+    if (!this.isReady) return;
+    this.socket.emit('mute_player', { playerId, muted });
+  }
+
+  /**
+   * Parties: create one, or join a friend's by code (the profile token lets the
+   * server link the party to this player's profile)
+   */
+  sendCreateParty(username) {
+    if (!this.socket) return;
+    this.socket.emit('create_party', { username, profileToken: this.profileToken });
+  }
+
+  sendJoinParty(code, username) {
+    if (!this.socket) return;
+    this.socket.emit('join_party', { code, username, profileToken: this.profileToken });
+  }
+
+  sendLeaveParty() {
+    if (!this.socket) return;
+    this.socket.emit('leave_party', {});
+  }
+
+  /**
+   * Party leader: queue everyone for one lobby, or cancel the search
+   */
+  sendPartyQueue(queue) {
+    if (!this.socket) return;
+    this.socket.emit(queue ? 'party_queue' : 'party_cancel_queue', {});
+  }
+
   /**
    * Register callback for network events
    */
@@ -362,6 +517,14 @@ class NetworkManager {
     return this.isConnected && this.isReady && this.playerId !== null;
   }
 
+  /**
+   * Absolute URL of an HTTP route on the game server (same origin without a serverUrl).
+   * The page may be hosted elsewhere (e.g. itch.io), so relative fetches would miss the server.
+   */
+  static httpUrl(route, serverUrl = null) {
+    return serverUrl ? new URL(route, serverUrl).href : route;
+  }
+
   /**
    * Disconnect from server
    */
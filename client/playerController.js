@@ -6,6 +6,7 @@
  */
 
 const CONFIG = (window.GAME_TYPES && window.GAME_TYPES.GAME_CONSTANTS) || {};
+const MAX_PENDING_INPUTS = 256; // ~4s of frames; older commands are assumed lost
 
 class PlayerController {
   // TOP OF CLASS (after constructor fields)
@@ -23,8 +24,8 @@ class PlayerController {
     this.keys = {};
     this.mouseDelta = { x: 0, y: 0 };
 
-    // Blink timing
-    this.lastAutoBlinkTime = Date.now();   // auto-blink timer start
+    // Blink timing (the server owns the forced-blink clock; see syncBlinkClock)
+    this.blinkDeadline = null;            // local time of the next forced blink, null outside a match
     this.isScreenBlack = false;           // black screen effect flag
     this.blackScreenEndTime = 0;          // when to end black screen
 
@@ -41,10 +42,19 @@ class PlayerController {
     this.attachRequest = null; // { from, to, state }
     this.targetedPlayer = null; // Player currently being pointed at
 
+    // Client-side prediction: movement commands the server hasn't confirmed yet
+    this.inputSeq = 0;
+    this.pendingInputs = []; // [{ seq, dirX, dirZ, distance }]
+
+    // Ping wheel while G is held: { x, y } mouse travel and the selected ping type
+    this.pingWheel = null;
+
     // Spectator (dead) camera state
     this.isSpectator = false;
     this.spectatorHeight = 12;
     this.spectatorSpeed = 20;
+    this.spectateMode = 'follow';   // 'follow' (target's eyes) | 'tactical' (overhead)
+    this.spectateTarget = null;     // interpolated { position, rotation } of the watched player
 
     // Setup event listeners
     this.setupInputListeners();
@@ -53,9 +63,19 @@ class PlayerController {
   handleKeyDown(event) {
     const key = event.key.toLowerCase();
 
-    // Blink action (manual, refresh auto timer)
+    // Spectating: Q/E cycle through living players, T toggles the overhead camera
+    if (this.isSpectator) {
+      if (key === 'q' || key === 'e') {
+        this.network.sendSpectate(null, key === 'q' ? -1 : 1);
+      } else if (key === 't') {
+        this.spectateMode = this.spectateMode === 'follow' ? 'tactical' : 'follow';
+      }
+      return;
+    }
+
+    // Blink action (manual; the server adds time to the forced-blink clock)
     if (key === 'r') {
-      this.triggerBlink();           // local visual blink + timer reset
+      this.triggerBlink();           // local visual blink
       this.network.sendBlink();      // tell server to blink
       return;
     }
@@ -83,17 +103,17 @@ class PlayerController {
       return;
     }
 
-    // Signal orb direction (O) and monster direction (P) when attached
-    if (key === 'o') {
-      if (this.attachedTo) {
-        this.network.socket.emit('signal_orb', { gaze: this.gaze });
-      }
+    // Quick pings: orb (O) and monster (P) where we're looking
+    if (key === 'o' || key === 'p') {
+      this.network.sendPing(key === 'o' ? 'orb' : 'monster', this.gaze);
       return;
     }
 
-    if (key === 'p') {
-      if (this.attachedTo) {
-        this.network.socket.emit('signal_monster', { gaze: this.gaze });
+    // Hold G for the ping wheel; the mouse picks a ping instead of looking
+    if (key === 'g') {
+      if (!event.repeat && !this.pingWheel) {
+        this.pingWheel = { x: 0, y: 0, selected: null };
+        this.ui.showPingWheel();
       }
       return;
     }
@@ -114,6 +134,10 @@ class PlayerController {
   setupInputListeners() {
     // Keyboard
     window.addEventListener('keydown', (e) => {
+      // Typing in chat or the party code box isn't gameplay input
+      const active = document.activeElement;
+      if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA')) return;
+
       const key = e.key.toLowerCase();
       this.keys[key] = true;
       // Handle double-U detach logic
@@ -129,17 +153,34 @@ class PlayerController {
     });
 
     window.addEventListener('keyup', (e) => {
-      this.keys[e.key.toLowerCase()] = false;
+      const key = e.key.toLowerCase();
+      this.keys[key] = false;
+
+      // Releasing G sends the highlighted ping (none if the mouse barely moved)
+      if (key === 'g' && this.pingWheel) {
+        if (this.pingWheel.selected) {
+          this.network.sendPing(this.pingWheel.selected, this.gaze);
+        }
+        this.pingWheel = null;
+        this.ui.hidePingWheel();
+      }
     });
 
-    // Mouse movement (for looking around)
+    // Mouse movement (for looking around, or choosing on the ping wheel)
     window.addEventListener('mousemove', (e) => {
+      if (this.pingWheel) {
+        this.pingWheel.x += e.movementX;
+        this.pingWheel.y += e.movementY;
+        this.pingWheel.selected = this.ui.updatePingWheel(this.pingWheel.x, this.pingWheel.y);
+        return;
+      }
       this.mouseDelta.x = e.movementX;
       this.mouseDelta.y = e.movementY;
     });
 
     // Mouse lock for first-person control
-    window.addEventListener('click', () => {
+    window.addEventListener('click', (e) => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
       document.body.requestPointerLock?.();
     });
   }
@@ -192,7 +233,7 @@ class PlayerController {
 
     for (const p of players) {
       if (p.id === window.gameClient.network.playerId) continue; // Skip self
-      if (p.state === 'dead') continue; // Skip dead players
+      if (p.state !== 'alive') continue; // Skip dead/spectating players
 
       const dx = this.position.x - p.position.x;
       const dy = this.position.y - p.position.y;
@@ -247,31 +288,32 @@ class PlayerController {
 
     // If in spectator mode (dead), skip gameplay timers and only move camera
     if (this.isSpectator) {
-      this.updateRotation();
-      this.updateSpectatorMovement(deltaTime);
+      if (this.spectateTarget) {
+        this.updateSpectateCamera();
+      } else {
+        // Nobody to watch: free-fly
+        this.updateRotation();
+        this.updateSpectatorMovement(deltaTime);
+      }
       this.updateGaze();
+      if (this.isScreenBlack && now >= this.blackScreenEndTime) {
+        this.isScreenBlack = false;
+      }
       if (this.scene) {
         this.scene.updateCamera(this.position, this.rotation);
       }
       return;
     }
 
-    const remainingMs = CONFIG.PLAYER_BLINK_MAX_TIME - (now - this.lastAutoBlinkTime);
+    // Forced blinks come from the server (blink_forced); this only displays the clock
+    const remainingMs = this.blinkDeadline === null ? CONFIG.PLAYER_BLINK_MAX_TIME : this.blinkDeadline - now;
     let remaining = remainingMs / 1000;
     if (!Number.isFinite(remaining) || remaining < 0) remaining = 0;
 
-    // playerController.update 中
     if (this.ui && typeof this.ui.updateBlinkTimer === 'function') {
       this.ui.updateBlinkTimer(remaining);
     }
 
-
-    // Auto blink every 15 seconds if not manually refreshed
-    if (now - this.lastAutoBlinkTime >= 15000) {
-      this.triggerBlink();
-      this.network.sendBlink();
-    }
-
     // End black screen after 0.3 seconds
     if (this.isScreenBlack && now >= this.blackScreenEndTime) {
       this.isScreenBlack = false;
@@ -292,8 +334,9 @@ class PlayerController {
     this.updateGaze();
 
     // Send position update to server (rate-limited by network layer)
-    // Send discrete args to match network.sendPlayerInput signature
-    this.network.sendPlayerInput(this.position, this.rotation, this.gaze);
+    // Send discrete args to match network.sendPlayerInput signature; the seq tells the
+    // server which of our movement commands this position already includes
+    this.network.sendPlayerInput(this.position, this.rotation, this.gaze, this.inputSeq);
 
     // Update camera
     if (this.scene) {
@@ -301,6 +344,27 @@ class PlayerController {
     }
   }
 
+  /**
+   * Put the camera on the watched player: behind their eyes, or straight above them
+   * in tactical mode
+   */
+  updateSpectateCamera() {
+    const target = this.spectateTarget;
+    if (this.spectateMode === 'tactical') {
+      this.position = {
+        x: target.position.x,
+        y: target.position.y + (CONFIG.SPECTATOR_TACTICAL_HEIGHT || 60),
+        z: target.position.z,
+      };
+      this.rotation = { x: -Math.PI / 2, y: 0, z: 0 };
+    } else {
+      this.position = { ...target.position };
+      this.rotation = { ...(target.rotation || { x: 0, y: 0, z: 0 }) };
+    }
+    // Mouse look is ignored while following
+    this.mouseDelta = { x: 0, y: 0 };
+  }
+
   /**
    * Move spectator camera (dead player) using WASD, keeping a higher vantage point.
    */
@@ -389,41 +453,56 @@ class PlayerController {
 
     const moveLen = Math.sqrt(moveX * moveX + moveZ * moveZ);
     if (moveLen > 0) {
-      moveX /= moveLen;
-      moveZ /= moveLen;
       // Apply slower speed when moving backward (S without W)
       let speed = MOVE_SPEED;
       if (this.keys['s'] && !this.keys['w']) {
         speed *= backwardMultiplier;
       }
 
-      const distance = speed * deltaTime;
-      const newX = this.position.x + moveX * distance;
-      const newZ = this.position.z + moveZ * distance;
-
-      // Simple collision: reuse server obstacle layout
-      if (!this.isPositionBlocked(newX, newZ)) {
-        this.position.x = newX;
-        this.position.z = newZ;
-      } else {
-        // Try sliding on X axis
-        if (!this.isPositionBlocked(newX, this.position.z)) {
-          this.position.x = newX;
-        } else if (!this.isPositionBlocked(this.position.x, newZ)) {
-          // Or sliding on Z axis
-          this.position.z = newZ;
-        }
+      // Predict locally and remember the command until the server confirms it
+      const command = {
+        seq: ++this.inputSeq,
+        dirX: moveX / moveLen,
+        dirZ: moveZ / moveLen,
+        distance: speed * deltaTime,
+      };
+      this.applyMoveCommand(this.position, command);
+      this.pendingInputs.push(command);
+      if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+        this.pendingInputs.shift();
       }
     }
   }
 
-
   /**
-   * Client-side collision check using same boxes as server
+   * Move `position` (in place) by one movement command, sliding along obstacles
    */
+  applyMoveCommand(position, command) {
+    const newX = position.x + command.dirX * command.distance;
+    const newZ = position.z + command.dirZ * command.distance;
+
+    // Simple collision: reuse server obstacle layout
+    if (!this.isPositionBlocked(newX, newZ, position)) {
+      position.x = newX;
+      position.z = newZ;
+    } else {
+      // Try sliding on X axis
+      if (!this.isPositionBlocked(newX, position.z, position)) {
+        position.x = newX;
+      } else if (!this.isPositionBlocked(position.x, newZ, position)) {
+        // Or sliding on Z axis
+        position.z = newZ;
+      }
+    }
+  }
 
 
-  isPositionBlocked(x, z) {
+  /**
+   * Client-side collision check using same boxes as server (grown by PLAYER_RADIUS).
+   * Boxes that `from` already overlaps don't block, so a player can walk out of them.
+   */
+  isPositionBlocked(x, z, from = null) {
+    const radius = CONFIG.PLAYER_RADIUS || 0;
     // Prefer authoritative obstacle list from server/gameState if available
     const serverObs = window.gameClient?.gameState?.obstacles;
     const obstacles = Array.isArray(serverObs) && serverObs.length > 0 ? serverObs.map(o => ({
@@ -442,11 +521,12 @@ class PlayerController {
     ];
 
     for (const obs of obstacles) {
-      const minX = obs.x - obs.w / 2;
-      const maxX = obs.x + obs.w / 2;
-      const minZ = obs.z - obs.d / 2;
-      const maxZ = obs.z + obs.d / 2;
+      const minX = obs.x - obs.w / 2 - radius;
+      const maxX = obs.x + obs.w / 2 + radius;
+      const minZ = obs.z - obs.d / 2 - radius;
+      const maxZ = obs.z + obs.d / 2 + radius;
 
+      if (from && from.x >= minX && from.x <= maxX && from.z >= minZ && from.z <= maxZ) continue;
       if (x >= minX && x <= maxX && z >= minZ && z <= maxZ) {
         return true;
       }
@@ -510,6 +590,7 @@ class PlayerController {
    */
   enterSpectator(basePosition) {
     this.isSpectator = true;
+    this.spectateMode = 'follow';
     this.position = {
       x: basePosition?.x ?? this.position.x,
       y: (basePosition?.y ?? this.position.y) + this.spectatorHeight,
@@ -526,6 +607,7 @@ class PlayerController {
    */
   exitSpectator(basePosition) {
     this.isSpectator = false;
+    this.spectateTarget = null;
     if (basePosition) {
       this.position = { ...basePosition };
     }
@@ -533,11 +615,10 @@ class PlayerController {
   /**
  * Trigger a blink:
  * - screen black for 0.3s
- * - refresh 15s timer
+ * (the forced-blink clock is set by the server, see syncBlinkClock)
  */
   triggerBlink() {
     const now = Date.now();
-    this.lastAutoBlinkTime = now;
     this.isScreenBlack = true;
     this.blackScreenEndTime = now + 300;
     document.body.style.opacity = 0;
@@ -546,6 +627,14 @@ class PlayerController {
   }
 
 
+  /**
+   * Set the forced-blink clock from the server: remainingMs until the next forced
+   * blink, or null when no match is running
+   */
+  syncBlinkClock(remainingMs) {
+    this.blinkDeadline = typeof remainingMs === 'number' ? Date.now() + remainingMs : null;
+  }
+
   /**
    * Set player position from server correction
    */
@@ -563,6 +652,62 @@ class PlayerController {
     }
   }
 
+  /**
+   * Snap to the server's authoritative position after it rejected a move
+   */
+  applyServerCorrection(position, reason, seq) {
+    if (this.isSpectator) return;
+    console.log('[Controller] Server correction:', reason);
+    if (typeof seq === 'number') {
+      this.reconcile(position, seq, true);
+    } else {
+      this.position = { ...position };
+    }
+  }
+
+  /**
+   * Server reconciliation: take the authoritative position (which includes our
+   * commands up to ackedSeq), replay the commands it hasn't seen yet, and only
+   * snap when that differs noticeably from what we're showing.
+   */
+  reconcile(serverPosition, ackedSeq, force = false) {
+    if (this.isSpectator || !serverPosition) return;
+
+    // Partner drives our position while we're attached and not controlling
+    if (this.attachedTo && !this.isControlling) {
+      this.pendingInputs = [];
+      this.position = { ...serverPosition };
+      return;
+    }
+
+    if (typeof ackedSeq === 'number') {
+      this.pendingInputs = this.pendingInputs.filter(input => input.seq > ackedSeq);
+    }
+
+    const predicted = { ...serverPosition };
+    for (const input of this.pendingInputs) {
+      this.applyMoveCommand(predicted, input);
+    }
+
+    const dx = predicted.x - this.position.x;
+    const dz = predicted.z - this.position.z;
+    const error = Math.sqrt(dx * dx + dz * dz);
+    const threshold = CONFIG.PREDICTION_SNAP_THRESHOLD || 1;
+
+    if (force || error > threshold) {
+      if (error > threshold) {
+        console.log('[Controller] Reconcile snap:', error.toFixed(2), 'units');
+      }
+      this.position = predicted;
+    } else if (error > 0) {
+      // Small drift: ease toward the reconciled position instead of jumping
+      const blend = CONFIG.PREDICTION_SMOOTHING || 0.1;
+      this.position.x += dx * blend;
+      this.position.z += dz * blend;
+    }
+    this.position.y = predicted.y;
+  }
+
   /**
    * Get current player state
    */
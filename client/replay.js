@@ -0,0 +1,398 @@
+/**
+ * client/replay.js
+ *
+ * Replay viewer: lists recorded matches (GET /replays), loads one (GET /replays/:id)
+ * and plays it back in a GameScene with play/pause, seek and speed controls and a
+ * free-flying camera. See server/replayRecorder.js for the file format.
+ *
+ * Frames are ~REPLAY_FRAME_RATE apart; players and monsters are interpolated between
+ * the two frames around the playback time, orbs are rebuilt from the add/remove deltas.
+ */
+
+const REPLAY_CAMERA_SPEED = 40; // units per second (Shift doubles it)
+const REPLAY_CAMERA_SENSITIVITY = 0.003; // radians per pixel of mouse drag
+const REPLAY_EVENT_LINES = 6;
+
+class ReplayViewer {
+  constructor(containerElement, serverUrl = null) {
+    this.container = containerElement;
+    this.serverUrl = serverUrl; // game server for GET /replays (null: same origin)
+    this.scene = null;
+    this.replay = null;
+    this.duration = 0;
+
+    this.time = 0; // playback position (ms since match start)
+    this.playing = false;
+    this.speed = 1;
+    this.lastFrameTime = 0;
+    this.animationFrameId = null;
+
+    // Orb set as of frame orbFrameIndex (rebuilt from deltas when seeking backwards)
+    this.orbs = new Map();
+    this.orbFrameIndex = -1;
+    this.eventIndex = 0; // next event to show in the ticker
+
+    // Free camera
+    this.camera = { position: { x: 0, y: 60, z: 120 }, rotation: { x: -0.45, y: 0 } };
+    this.keys = new Set();
+    this.dragging = false;
+
+    this.elements = {
+      panel: document.getElementById('replayPanel'),
+      list: document.getElementById('replayList'),
+      controls: document.getElementById('replayControls'),
+      playBtn: document.getElementById('replayPlayBtn'),
+      seek: document.getElementById('replaySeek'),
+      speed: document.getElementById('replaySpeed'),
+      time: document.getElementById('replayTime'),
+      events: document.getElementById('replayEvents'),
+      closeBtn: document.getElementById('replayCloseBtn'),
+    };
+
+    this.onClose = null;
+    this.bindControls();
+  }
+
+  /**
+   * Show the panel and fill it with the server's replay list
+   */
+  async open() {
+    this.elements.panel.classList.add('show');
+    this.elements.controls.style.display = 'none';
+    this.elements.list.style.display = 'block';
+    this.elements.list.textContent = 'Loading replays...';
+
+    try {
+      const response = await fetch(NetworkManager.httpUrl('/replays', this.serverUrl));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.renderList(await response.json());
+    } catch (error) {
+      console.error('[Replay] Failed to list replays:', error);
+      this.elements.list.textContent = 'Could not load replays';
+    }
+  }
+
+  /**
+   * Stop playback, remove the scene and hide the panel
+   */
+  close() {
+    this.pause();
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    if (this.scene) {
+      this.container.removeChild(this.scene.renderer.domElement);
+      this.scene.renderer.dispose();
+      this.scene = null;
+    }
+    this.replay = null;
+    this.elements.panel.classList.remove('show');
+    if (this.onClose) this.onClose();
+  }
+
+  renderList(replays) {
+    const list = this.elements.list;
+    list.innerHTML = '';
+    if (!replays.length) {
+      list.textContent = 'No replays recorded yet';
+      return;
+    }
+
+    for (const entry of replays) {
+      const row = document.createElement('button');
+      row.className = 'replay-entry';
+      row.textContent = `${new Date(entry.recordedAt).toLocaleString()}  -  Lobby ${entry.lobbyId}`;
+      row.onclick = () => this.load(entry.id);
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Fetch a replay and start playing it from the beginning
+   */
+  async load(id) {
+    this.elements.list.textContent = 'Loading replay...';
+    let replay;
+    try {
+      const response = await fetch(NetworkManager.httpUrl(`/replays/${encodeURIComponent(id)}`, this.serverUrl));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      replay = await response.json();
+    } catch (error) {
+      console.error('[Replay] Failed to load replay:', error);
+      this.elements.list.textContent = 'Could not load replay';
+      return;
+    }
+    if (!replay.frames || !replay.frames.length) {
+      this.elements.list.textContent = 'Replay is empty';
+      return;
+    }
+
+    this.replay = replay;
+    this.duration = replay.frames[replay.frames.length - 1].t;
+    this.elements.list.style.display = 'none';
+    this.elements.controls.style.display = 'block';
+    this.elements.seek.max = String(this.duration);
+    this.elements.events.innerHTML = '';
+
+    if (!this.scene) {
+      this.scene = new GameScene(this.container);
+      this.scene.setBlackOverlay(false);
+    }
+    this.scene.updateObstacles(replay.obstacles.map(o => ({
+      id: o.id,
+      position: { x: o.x, y: 0, z: o.z },
+      width: o.w,
+      depth: o.d,
+      height: o.h,
+    })));
+
+    this.seek(0);
+    this.play();
+    if (!this.animationFrameId) this.startLoop();
+  }
+
+  play() {
+    if (!this.replay) return;
+    if (this.time >= this.duration) this.seek(0);
+    this.playing = true;
+    this.elements.playBtn.textContent = 'PAUSE';
+  }
+
+  pause() {
+    this.playing = false;
+    this.elements.playBtn.textContent = 'PLAY';
+  }
+
+  /**
+   * Jump to a playback time (ms); the event ticker restarts from there
+   */
+  seek(time) {
+    this.time = Math.max(0, Math.min(this.duration, time));
+    const events = this.replay.events || [];
+    this.eventIndex = events.findIndex(e => e.t > this.time);
+    if (this.eventIndex === -1) this.eventIndex = events.length;
+    this.elements.events.innerHTML = '';
+    this.applyState();
+  }
+
+  bindControls() {
+    const el = this.elements;
+    el.playBtn.onclick = () => (this.playing ? this.pause() : this.play());
+    el.seek.oninput = () => this.seek(Number(el.seek.value));
+    el.speed.onchange = () => { this.speed = Number(el.speed.value) || 1; };
+    el.closeBtn.onclick = () => this.close();
+
+    // Free camera: WASD to fly, Q/E down/up, drag to look
+    window.addEventListener('keydown', (e) => {
+      if (!this.replay) return;
+      if (e.code === 'Space') {
+        e.preventDefault();
+        this.playing ? this.pause() : this.play();
+        return;
+      }
+      this.keys.add(e.code);
+    });
+    window.addEventListener('keyup', (e) => this.keys.delete(e.code));
+    this.container.addEventListener('mousedown', () => { this.dragging = !!this.replay; });
+    window.addEventListener('mouseup', () => { this.dragging = false; });
+    window.addEventListener('mousemove', (e) => {
+      if (!this.dragging) return;
+      const rotation = this.camera.rotation;
+      rotation.y -= e.movementX * REPLAY_CAMERA_SENSITIVITY;
+      rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotation.x - e.movementY * REPLAY_CAMERA_SENSITIVITY));
+    });
+  }
+
+  startLoop() {
+    this.lastFrameTime = performance.now();
+    const loop = (now) => {
+      this.animationFrameId = requestAnimationFrame(loop);
+      const deltaTime = Math.min((now - this.lastFrameTime) / 1000, 0.1); // Cap at 100ms
+      this.lastFrameTime = now;
+
+      if (this.playing) {
+        this.time = Math.min(this.duration, this.time + deltaTime * 1000 * this.speed);
+        this.applyState();
+        if (this.time >= this.duration) this.pause();
+      }
+
+      this.updateCamera(deltaTime);
+      this.scene.render();
+    };
+    this.animationFrameId = requestAnimationFrame(loop);
+  }
+
+  updateCamera(deltaTime) {
+    const { position, rotation } = this.camera;
+    const speed = REPLAY_CAMERA_SPEED * (this.keys.has('ShiftLeft') ? 2 : 1) * deltaTime;
+    const forward = { x: -Math.sin(rotation.y), z: -Math.cos(rotation.y) };
+    const right = { x: Math.cos(rotation.y), z: -Math.sin(rotation.y) };
+
+    const move = (dir, amount) => {
+      position.x += dir.x * amount;
+      position.z += dir.z * amount;
+    };
+    if (this.keys.has('KeyW')) move(forward, speed);
+    if (this.keys.has('KeyS')) move(forward, -speed);
+    if (this.keys.has('KeyD')) move(right, speed);
+    if (this.keys.has('KeyA')) move(right, -speed);
+    if (this.keys.has('KeyE')) position.y += speed;
+    if (this.keys.has('KeyQ')) position.y = Math.max(1, position.y - speed);
+
+    const camera = this.scene.camera;
+    camera.position.set(position.x, position.y, position.z);
+    camera.rotation.order = 'YXZ';
+    camera.rotation.set(rotation.x, rotation.y, 0);
+  }
+
+  /**
+   * Index of the last frame at or before time t
+   */
+  frameIndexAt(t) {
+    const frames = this.replay.frames;
+    let lo = 0;
+    let hi = frames.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (frames[mid].t <= t) lo = mid;
+      else hi = mid - 1;
+    }
+    return lo;
+  }
+
+  /**
+   * Apply orb deltas up to frameIndex (from scratch when going backwards)
+   */
+  updateOrbSet(frameIndex) {
+    if (frameIndex < this.orbFrameIndex) {
+      this.orbs.clear();
+      this.orbFrameIndex = -1;
+    }
+    const frames = this.replay.frames;
+    for (let i = this.orbFrameIndex + 1; i <= frameIndex; i++) {
+      for (const [id, x, z, value] of frames[i].oa || []) {
+        this.orbs.set(id, { id, position: { x, y: 1, z }, value });
+      }
+      for (const id of frames[i].or || []) this.orbs.delete(id);
+    }
+    this.orbFrameIndex = frameIndex;
+  }
+
+  /**
+   * Push the state at the current playback time into the scene and UI
+   */
+  applyState() {
+    const frames = this.replay.frames;
+    const index = this.frameIndexAt(this.time);
+    const a = frames[index];
+    const b = frames[Math.min(index + 1, frames.length - 1)];
+    const alpha = b.t > a.t ? Math.max(0, Math.min(1, (this.time - a.t) / (b.t - a.t))) : 0;
+    const lerp = (x, y) => x + (y - x) * alpha;
+
+    const nextPlayers = new Map(b.p.map(p => [p[0], p]));
+    const players = a.p.map(([id, x, y, z, yaw, pitch, health, score, state, attachedTo]) => {
+      const next = nextPlayers.get(id);
+      const player = {
+        id,
+        username: this.replay.players[id] || id,
+        position: { x, y, z },
+        rotation: { x: pitch, y: yaw, z: 0 },
+        health,
+        score,
+        state,
+        attachedTo,
+        attachmentState: attachedTo ? 'attached' : 'alone',
+      };
+      if (next) {
+        player.position = { x: lerp(x, next[1]), y: lerp(y, next[2]), z: lerp(z, next[3]) };
+        player.rotation = { x: lerp(pitch, next[5]), y: lerpAngle(yaw, next[4], alpha), z: 0 };
+      }
+      return player;
+    });
+
+    const nextMonsters = new Map(b.m.map(m => [m[0], m]));
+    const monsters = a.m.map(([id, x, y, z, state]) => {
+      const next = nextMonsters.get(id) || [id, x, y, z];
+      return { id, position: { x: lerp(x, next[1]), y: lerp(y, next[2]), z: lerp(z, next[3]) }, state };
+    });
+
+    this.updateOrbSet(index);
+
+    const scene = this.scene;
+    scene.updatePlayers(players);
+    scene.updateMonsters(monsters);
+    scene.updateOrbs([...this.orbs.values()]);
+    for (const player of players) {
+      const mesh = scene.playerMeshes.get(player.id);
+      if (mesh) scene.applyEntityTransform(mesh, player);
+    }
+    for (const monster of monsters) {
+      const mesh = scene.monsterMeshes.get(monster.id);
+      if (mesh) scene.applyEntityTransform(mesh, monster);
+    }
+    if (a.z) {
+      const [cx, cz, radius] = a.z;
+      scene.updateArenaSafeRadius(radius, { x: cx, z: cz });
+    }
+
+    this.updateEventTicker();
+    this.elements.seek.value = String(Math.round(this.time));
+    this.elements.time.textContent = `${formatReplayTime(this.time)} / ${formatReplayTime(this.duration)}`;
+  }
+
+  /**
+   * Append events that playback has passed to the ticker (newest last)
+   */
+  updateEventTicker() {
+    const events = this.replay.events || [];
+    while (this.eventIndex < events.length && events[this.eventIndex].t <= this.time) {
+      const line = document.createElement('div');
+      line.textContent = `${formatReplayTime(events[this.eventIndex].t)}  ${this.describeEvent(events[this.eventIndex])}`;
+      this.elements.events.appendChild(line);
+      this.eventIndex++;
+    }
+    while (this.elements.events.childElementCount > REPLAY_EVENT_LINES) {
+      this.elements.events.firstChild.remove();
+    }
+  }
+
+  describeEvent(event) {
+    const name = (id) => this.replay.players[id] || (id ? id.slice(0, 6) : '?');
+    switch (event.type) {
+      case 'blink':
+        return `${name(event.playerId)} ${event.forced ? 'was forced to blink' : 'blinked'}`;
+      case 'attack':
+        return `Monster hit ${name(event.playerId)} for ${Math.round(event.damage)}`;
+      case 'orb_collected':
+        return `${name(event.playerId)} collected an orb (+${event.points})`;
+      case 'attach':
+        return `${name(event.player1)} attached to ${name(event.player2)}`;
+      case 'detach':
+        return `${name(event.playerId)} detached`;
+      case 'ping': {
+        const ping = window.GAME_TYPES.PING_TYPES.find(t => t.type === event.pingType);
+        return `${name(event.playerId)} pinged ${ping ? ping.label : event.pingType}`;
+      }
+      default:
+        return event.type;
+    }
+  }
+}
+
+/**
+ * Interpolate between two angles along the shorter arc
+ */
+function lerpAngle(from, to, alpha) {
+  let diff = (to - from) % (Math.PI * 2);
+  if (diff > Math.PI) diff -= Math.PI * 2;
+  if (diff < -Math.PI) diff += Math.PI * 2;
+  return from + diff * alpha;
+}
+
+function formatReplayTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+window.ReplayViewer = ReplayViewer;
@@ -17,7 +17,9 @@ class GameScene {
     this.monsterMeshes = new Map();
     this.orbMeshes = new Map();
     this.obstacleMeshes = new Map();
+    this.pingMarkers = new Map(); // ping id -> { group, expiresAt, duration }
     this.arenaSafeRadius = 100;
+    this.hiddenPlayerId = null; // player whose eyes the spectator camera is using
 
     // Fullscreen black overlay for blink effect
     this.blackOverlay = null;
@@ -118,6 +120,15 @@ class GameScene {
     this.safeZoneMesh.rotation.x = -Math.PI / 2;
     group.add(this.safeZoneMesh);
 
+    // Preview of the circle the safe zone is closing on
+    const nextZoneGeom = new THREE.TorusGeometry(100, 0.3, 8, 200);
+    const nextZoneMat = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 });
+    this.nextZoneMesh = new THREE.Mesh(nextZoneGeom, nextZoneMat);
+    this.nextZoneMesh.position.y = 0.1;
+    this.nextZoneMesh.rotation.x = -Math.PI / 2;
+    this.nextZoneMesh.visible = false;
+    group.add(this.nextZoneMesh);
+
     // Outer walls
     const wallGeom = new THREE.CylinderGeometry(120, 120, 60, 64);
     const wallMat = new THREE.MeshStandardMaterial({
@@ -190,8 +201,8 @@ class GameScene {
 
     for (const player of players) {
 
-      // Skip dead players - don't render them and remove any existing mesh
-      if (player.state === 'dead') {
+      // Skip dead/spectating players - don't render them and remove any existing mesh
+      if (player.state !== 'alive') {
         const existing = this.playerMeshes.get(player.id);
         if (existing) {
           this.scene.remove(existing);
@@ -249,20 +260,9 @@ class GameScene {
         this.scene.add(mesh);
         this.playerMeshes.set(player.id, mesh);
         //console.log('[Scene] Created mesh for player:', player.id, player.username);
-      }
 
-      // Update position and rotation from server data
-      //console.log(`[Scene] Updating player ${player.id.slice(0, 6)} mesh to pos=(${player.position.x.toFixed(1)}, ${player.position.z.toFixed(1)})`);
-      mesh.position.set(player.position.x, player.position.y, player.position.z);
-
-      if (player.rotation) {
-        // Use explicit Euler components and a valid order
-        mesh.rotation.set(
-          player.rotation.x || 0,
-          player.rotation.y || 0,
-          player.rotation.z || 0,
-          "YXZ"   // or "XYZ", but match your camera order
-        );
+        // Initial placement; afterwards applyInterpolation() moves the mesh every frame
+        this.applyEntityTransform(mesh, player);
       }
 
 
@@ -320,10 +320,10 @@ class GameScene {
 
         this.scene.add(mesh);
         this.monsterMeshes.set(monster.id, mesh);
-      }
 
-      // Update position
-      mesh.position.set(monster.position.x, monster.position.y, monster.position.z);
+        // Initial placement; afterwards applyInterpolation() moves the mesh every frame
+        mesh.position.set(monster.position.x, monster.position.y, monster.position.z);
+      }
 
       // Color: red if roaring, orange if hunting
       const isRoaring = monster.state === 'ROARING';
@@ -342,6 +342,45 @@ class GameScene {
     }
   }
 
+  /**
+   * Move remote player and monster meshes to their interpolated transforms (every frame)
+   */
+  applyInterpolation(buffer) {
+    if (!buffer) return;
+    const renderTime = buffer.getRenderTime();
+
+    for (const [id, mesh] of this.playerMeshes) {
+      mesh.visible = id !== this.hiddenPlayerId;
+      const sample = buffer.sample('players', id, renderTime);
+      if (sample) this.applyEntityTransform(mesh, sample);
+    }
+    for (const [id, mesh] of this.monsterMeshes) {
+      const sample = buffer.sample('monsters', id, renderTime);
+      if (sample) this.applyEntityTransform(mesh, sample);
+    }
+  }
+
+  /**
+   * Set a mesh's position/rotation from an entity transform ({ position, rotation, gaze })
+   */
+  applyEntityTransform(mesh, entity) {
+    if (entity.position) {
+      mesh.position.set(entity.position.x, entity.position.y, entity.position.z);
+    }
+    if (entity.rotation) {
+      // Use explicit Euler components and a valid order
+      mesh.rotation.set(
+        entity.rotation.x || 0,
+        entity.rotation.y || 0,
+        entity.rotation.z || 0,
+        "YXZ"   // or "XYZ", but match your camera order
+      );
+    }
+    if (entity.gaze) {
+      mesh.userData.gaze = entity.gaze;
+    }
+  }
+
   /**
    * Update orb meshes from server state
    */
@@ -385,13 +424,94 @@ class GameScene {
   }
 
   /**
-   * Update arena safe zone radius indicator
+   * Add a ping marker: a beam and a bobbing arrow over a ground ring, in the
+   * ping's wheel color. expiresAt is local time.
    */
-  updateArenaSafeRadius(radius) {
+  addPing(ping, expiresAt) {
+    this.removePing(ping.id);
+    const style = window.GAME_TYPES.PING_TYPES.find(t => t.type === ping.type);
+    const color = new THREE.Color(style ? style.color : '#ffffff');
+    const group = new THREE.Group();
+
+    const beam = new THREE.Mesh(
+      new THREE.CylinderGeometry(0.08, 0.08, 12, 8),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.35 })
+    );
+    beam.position.y = 6;
+    group.add(beam);
+
+    const arrow = new THREE.Mesh(
+      new THREE.ConeGeometry(0.6, 1.2, 12),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.9 })
+    );
+    arrow.rotation.x = Math.PI; // point down at the spot
+    arrow.position.y = 3;
+    group.add(arrow);
+
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(0.8, 1.1, 24),
+      new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.8, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.05;
+    group.add(ring);
+
+    group.position.set(ping.position.x, ping.position.y, ping.position.z);
+    group.userData.arrow = arrow;
+    this.scene.add(group);
+    this.pingMarkers.set(ping.id, { group, expiresAt, duration: ping.duration });
+  }
+
+  /**
+   * Animate ping markers (every frame) and remove them once expired; they fade
+   * out over their last second
+   */
+  updatePings(now = Date.now()) {
+    for (const [id, marker] of this.pingMarkers) {
+      const remaining = marker.expiresAt - now;
+      if (remaining <= 0) {
+        this.removePing(id);
+        continue;
+      }
+      const fade = Math.min(1, remaining / 1000);
+      marker.group.userData.arrow.position.y = 3 + Math.sin(now / 200) * 0.4;
+      for (const mesh of marker.group.children) {
+        if (mesh.userData.baseOpacity === undefined) mesh.userData.baseOpacity = mesh.material.opacity;
+        mesh.material.opacity = mesh.userData.baseOpacity * fade;
+      }
+    }
+  }
+
+  removePing(id) {
+    const marker = this.pingMarkers.get(id);
+    if (!marker) return;
+    this.scene.remove(marker.group);
+    for (const mesh of marker.group.children) {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    }
+    this.pingMarkers.delete(id);
+  }
+
+  clearPings() {
+    for (const id of Array.from(this.pingMarkers.keys())) {
+      this.removePing(id);
+    }
+  }
+
+  /**
+   * Update the safe zone indicator (current circle) and the next-zone preview.
+   * center is { x, z }; nextZone is { x, z, radius } or null
+   */
+  updateArenaSafeRadius(radius, center = null, nextZone = null) {
     this.arenaSafeRadius = radius;
     if (this.safeZoneMesh) {
       const scale = radius / 100;
       this.safeZoneMesh.scale.set(scale, scale, scale);
+      if (center) {
+        this.safeZoneMesh.position.x = center.x;
+        this.safeZoneMesh.position.z = center.z;
+      }
 
       // Color: green if safe, red if danger zone
       if (radius > 30) {
@@ -400,6 +520,17 @@ class GameScene {
         this.safeZoneMesh.material.color.setHex(0xff0000);
       }
     }
+
+    if (this.nextZoneMesh) {
+      // Hide once the zone has reached the next circle (or there is none)
+      this.nextZoneMesh.visible = !!nextZone && nextZone.radius < radius;
+      if (this.nextZoneMesh.visible) {
+        const scale = nextZone.radius / 100;
+        this.nextZoneMesh.scale.set(scale, scale, scale);
+        this.nextZoneMesh.position.x = nextZone.x;
+        this.nextZoneMesh.position.z = nextZone.z;
+      }
+    }
   }
 
   /**
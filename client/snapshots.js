@@ -0,0 +1,91 @@
+/**
+ * client/snapshots.js
+ *
+ * Rebuilds full lobby state from the server's sequence-numbered, delta-encoded
+ * state_update messages (see server/snapshotEncoder.js for the wire format).
+ *
+ * Each decoded snapshot is kept by seq so later deltas can be applied to whichever
+ * baseline the server picked (the last one we acknowledged).
+ */
+
+const SNAPSHOT_ENTITY_KINDS = ['players', 'monsters', 'orbs'];
+const SNAPSHOT_MAX_HISTORY = 64;
+
+class SnapshotDecoder {
+  constructor() {
+    this.history = new Map(); // seq -> { players: Map, monsters: Map, orbs: Map, meta }
+    this.latestSeq = 0;
+  }
+
+  /**
+   * Apply a state_update message. Returns the full state
+   * ({ seq, players: [], monsters: [], orbs: [], ...meta }) or null if the message
+   * is stale or its baseline is unknown (the server falls back to a full snapshot
+   * once our last ack leaves its history window).
+   */
+  apply(message) {
+    if (!message || typeof message.seq !== 'number') return null;
+
+    let base = null;
+    if (message.baseSeq === null || message.baseSeq === undefined) {
+      // Full snapshot: start over (also covers a fresh encoder after switching lobbies)
+      this.reset();
+    } else {
+      if (message.seq <= this.latestSeq) return null;
+      base = this.history.get(message.baseSeq);
+      if (!base) {
+        console.warn('[Snapshots] Missing baseline', message.baseSeq, 'for seq', message.seq);
+        return null;
+      }
+    }
+
+    const snapshot = { meta: { ...(base ? base.meta : {}), ...(message.meta || {}) } };
+    for (const kind of SNAPSHOT_ENTITY_KINDS) {
+      const entities = new Map(base ? base[kind] : []);
+      const delta = message[kind] || {};
+      for (const id of delta.remove || []) {
+        entities.delete(id);
+      }
+      for (const changed of delta.upsert || []) {
+        entities.set(changed.id, { ...entities.get(changed.id), ...changed });
+      }
+      snapshot[kind] = entities;
+    }
+
+    this.history.set(message.seq, snapshot);
+    this.latestSeq = message.seq;
+
+    // The server never goes back to a baseline older than one it already used
+    const oldestUseful = message.baseSeq || message.seq;
+    for (const seq of this.history.keys()) {
+      if (seq < oldestUseful || this.history.size > SNAPSHOT_MAX_HISTORY) {
+        this.history.delete(seq);
+      }
+    }
+
+    return this.toState(message.seq, snapshot);
+  }
+
+  /**
+   * Forget all baselines (new lobby / reconnect)
+   */
+  reset() {
+    this.history.clear();
+    this.latestSeq = 0;
+  }
+
+  toState(seq, snapshot) {
+    const state = { seq, ...snapshot.meta };
+    for (const kind of SNAPSHOT_ENTITY_KINDS) {
+      state[kind] = Array.from(snapshot[kind].values());
+    }
+    return state;
+  }
+}
+
+if (typeof window !== 'undefined') {
+  window.SnapshotDecoder = SnapshotDecoder;
+} else if (typeof module !== 'undefined') {
+  // Lets the socket test scripts decode state_update too
+  module.exports = { SnapshotDecoder };
+}
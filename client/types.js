@@ -28,6 +28,15 @@ const ATTACHMENT_STATES = {
   ATTACHED: 'attached', // Successfully paired back-to-back
 };
 
+// Ping wheel entries, clockwise from the top (type is what the server accepts)
+const PING_TYPES = [
+  { type: 'go_here', label: 'GO HERE', icon: '➤', color: '#00ffff' },
+  { type: 'orb', label: 'ORB', icon: '◆', color: '#ffff00' },
+  { type: 'cover', label: 'COVER', icon: '▣', color: '#00ff00' },
+  { type: 'danger', label: 'DANGER', icon: '!', color: '#ff8800' },
+  { type: 'monster', label: 'MONSTER', icon: '☠', color: '#ff0000' },
+];
+
 // ==================== GAME CONSTANTS ====================
 
 const GAME_CONSTANTS = {
@@ -45,12 +54,16 @@ const GAME_CONSTANTS = {
   PLAYER_SPEED: 25,
   PLAYER_BACKWARD_SPEED_MULTIPLIER: 0.5,
   PLAYER_HEIGHT: 1.8,
+  PLAYER_RADIUS: 0.5, // Kept clear of obstacles, like the server
 
   // Blink
   PLAYER_BLINK_MAX_TIME: 20000, // 20 seconds before forced blink
   PLAYER_BLINK_VOLUNTARY_REFRESH: 10000, // Voluntary blink adds 10s
   PLAYER_BLINK_BLACKOUT: 500, // Screen blackout duration
 
+  // Spectator
+  SPECTATOR_TACTICAL_HEIGHT: 60, // Overhead camera height above the watched player
+
   // Monster
   MONSTER_SPAWN_DELAY: 30000, // First spawn at 30s
   MONSTER_SPAWN_RATE: 1, // 1 per living player per minute
@@ -66,7 +79,7 @@ const GAME_CONSTANTS = {
   MINIMAP_VISIBLE_RANGE: 50,
 
   // Orbs
-  ORB_COLLECTION_RANGE: 5,
+  ORB_COLLECTION_RANGE: 2.5,
   ORB_SCORE_VALUE: 1,
   ORB_COUNT_INITIAL: 75,
   ORB_SPAWN_INTERVAL: 5000,
@@ -74,6 +87,20 @@ const GAME_CONSTANTS = {
   // Pairing
   PAIR_REQUEST_TIMEOUT: 10000,
   PAIR_BROADCAST_RANGE: 30,
+
+  // Remote entity interpolation
+  INTERPOLATION_DELAY: 100, // Render remote entities this far in the past (ms, ~3 snapshots)
+  INTERPOLATION_MAX_EXTRAPOLATION: 250, // Keep predicting motion this long when packets are late (ms)
+
+  // Local player prediction / reconciliation
+  PREDICTION_SNAP_THRESHOLD: 1, // Snap to the reconciled position beyond this error (units)
+  PREDICTION_SMOOTHING: 0.1, // Fraction of a smaller error corrected per state update
+
+  // Chat
+  CHAT_LOG_SIZE: 50, // Messages kept in the chat panel
+
+  // Pings
+  PING_WHEEL_DEADZONE: 30, // Mouse travel before the wheel selects a ping (px)
 };
 
 // ==================== TYPE DEFINITIONS ====================
@@ -91,7 +118,8 @@ const GAME_CONSTANTS = {
  * @typedef {Object} Player
  * @property {string} id - unique player identifier (socket.id)
  * @property {string} username - player name
- * @property {string} state - ALIVE | DEAD | SPECTATING
+ * @property {string} state - ALIVE | DEAD | SPECTATING (dead and watching spectatingPlayerId)
+ * @property {string|null} spectatingPlayerId - living player a dead player is watching
  * @property {Vector3} position - 3D position in arena
  * @property {Vector3} rotation - rotation (pitch, yaw, roll in radians)
  * @property {Vector3} gaze - normalized direction vector (forward = Z)
@@ -133,12 +161,23 @@ const GAME_CONSTANTS = {
  * GameState - sent to clients for rendering
  * @typedef {Object} GameState
  * @property {string} lobbyCode - 4-char code for lobby (e.g., "AB12")
+ * @property {number} seq - snapshot sequence number (acknowledged with state_ack)
  * @property {boolean} active - match is running
  * @property {number} matchTime - seconds elapsed
+ * @property {number} timeRemaining - seconds left on the match clock (0 in sudden death)
+ * @property {boolean} suddenDeath - tied at the buzzer: overtime with no regen, extra monsters
  * @property {Player[]} players - all players in lobby
  * @property {Monster[]} monsters - all monsters spawned
  * @property {Orb[]} orbs - all uncollected orbs
  * @property {number} arenaSafeRadius - current safe zone radius
+ * @property {{x: number, z: number}} safeCenter - current safe zone center
+ * @property {{x: number, z: number, radius: number}|null} nextSafeZone - circle the zone is closing on
+ * @property {number} serverTime - server clock when the snapshot was taken (ms)
+ * (each player also carries lastInputSeq: the last player_input seq the server applied,
+ * and blinkDeadline: server time of their next forced blink, 0 outside a match)
+ *
+ * state_update carries this as a delta against an acknowledged snapshot
+ * (see client/snapshots.js); obstacles arrive once with match_started.
  */
 
 // ==================== NETWORK MESSAGES ====================
@@ -148,26 +187,50 @@ const NETWORK_MESSAGES = {
   JOIN_LOBBY: 'join_lobby',
   PLAYER_INPUT: 'player_input',
   BLINK_ACTION: 'blink_action',
-  COLLECT_ORB: 'collect_orb',
   ATTACH_REQUEST: 'attach_request',
   ATTACH_RESPONSE: 'attach_response',
   DETACH: 'detach',
   BROADCAST_TIMER: 'broadcast_timer',
+  STATE_ACK: 'state_ack',
+  KICK_PLAYER: 'kick_player',
+  SET_LOBBY_LOCKED: 'set_lobby_locked',
+  START_MATCH_EARLY: 'start_match_early',
+  UPDATE_LOBBY_SETTINGS: 'update_lobby_settings',
+  SPECTATE: 'spectate',
+  CREATE_PARTY: 'create_party',
+  JOIN_PARTY: 'join_party',
+  LEAVE_PARTY: 'leave_party',
+  PARTY_QUEUE: 'party_queue',
+  PARTY_CANCEL_QUEUE: 'party_cancel_queue',
+  CHAT_MESSAGE: 'chat_message',
+  MUTE_PLAYER: 'mute_player',
+  PING: 'ping',
 
   // Server -> Client
   STATE_UPDATE: 'state_update',
+  POSITION_CORRECTION: 'position_correction',
+  LOBBY_INFO: 'lobby_info',
+  PROFILE: 'profile',
+  MATCHMAKING_STATUS: 'matchmaking_status',
+  PARTY_UPDATE: 'party_update',
+  CHAT_MESSAGE: 'chat_message',
+  MUTE_LIST: 'mute_list',
+  PING: 'ping',
+  KICKED: 'kicked',
   PLAYER_JOINED: 'player_joined',
   PLAYER_LEFT: 'player_left',
   ORB_COLLECTED: 'orb_collected',
   BLINK_ACTION: 'blink_action',
   BLINK_RESPONSE: 'blink_response',
+  BLINK_FORCED: 'blink_forced',
   ATTACH_REQUEST: 'attach_request',
   ATTACH_RESPONSE: 'attach_response',
   ATTACH_ACCEPTED: 'attach_accepted',
   ATTACH_DECLINED: 'attach_declined',
   PLAYER_DETACHED: 'player_detached',
   TIMER_BROADCAST: 'timer_broadcast',
-  MATCH_START: 'match_start',
+  MATCH_STARTED: 'match_started',
+  SUDDEN_DEATH: 'sudden_death',
   MATCH_END: 'match_end',
   ERROR: 'error',
 };
@@ -180,6 +243,7 @@ if (typeof module !== 'undefined' && module.exports) {
     PLAYER_STATES,
     MONSTER_STATES,
     ATTACHMENT_STATES,
+    PING_TYPES,
     GAME_CONSTANTS,
     NETWORK_MESSAGES,
   };
@@ -189,6 +253,7 @@ if (typeof module !== 'undefined' && module.exports) {
     PLAYER_STATES,
     MONSTER_STATES,
     ATTACHMENT_STATES,
+    PING_TYPES,
     GAME_CONSTANTS,
     NETWORK_MESSAGES,
   };
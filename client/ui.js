@@ -4,15 +4,33 @@
  * UI rendering and management for HUD, minimap, messages, and screens.
  */
 
+// Editable lobby rules shown in the ready panel (scale converts ms to seconds for display)
+const LOBBY_SETTING_FIELDS = [
+  { key: 'GAME_DURATION', label: 'Match length (s)', scale: 1000 },
+  { key: 'ARENA_SHRINK_START_TIME', label: 'Shrink starts (s)', scale: 1000 },
+  { key: 'ARENA_SHRINK_DURATION', label: 'Shrink time (s)', scale: 1000 },
+  { key: 'ARENA_FINAL_RADIUS', label: 'Final radius', scale: 1 },
+  { key: 'MONSTER_SPAWN_DELAY', label: 'First monster (s)', scale: 1000 },
+  { key: 'MONSTER_SPAWN_RATE', label: 'Monster rate', scale: 1 },
+  { key: 'MONSTER_SPEED', label: 'Monster speed', scale: 1 },
+  { key: 'ORB_COUNT_INITIAL', label: 'Orbs', scale: 1 },
+  { key: 'OBSTACLE_COUNT', label: 'Obstacles', scale: 1 },
+  { key: 'PLAYER_BLINK_MAX_TIME', label: 'Blink timer (s)', scale: 1000 },
+  { key: 'BOT_COUNT', label: 'Bots', scale: 1 },
+];
+
 class UIManager {
   constructor() {
     this.elements = {
       loadingScreen: document.getElementById('loadingScreen'),
       hudHealth: document.getElementById('hudHealth'),
       hudScore: document.getElementById('hudScore'),
+      hudTimer: document.getElementById('hudTimer'),
       hudOrbs: document.getElementById('hudOrbs'),
       hudPlayers: document.getElementById('hudPlayers'),
       hudMonsters: document.getElementById('hudMonsters'),
+      hudViewers: document.getElementById('hudViewers'),
+      hudViewersLabel: document.getElementById('hudViewersLabel'),
       hudStatus: document.getElementById('hudStatus'),
       blinkTimerPanel: document.getElementById('blinkTimerPanel'),
       blinkTimerValue: document.getElementById('blinkTimerValue'),
@@ -23,6 +41,12 @@ class UIManager {
       readyPanel: document.getElementById('readyPanel'),
       readyBtn: document.getElementById('readyBtn'),
       readyCount: document.getElementById('readyCount'),
+      lobbyInfo: document.getElementById('lobbyInfo'),
+      hostControls: document.getElementById('hostControls'),
+      lockLobbyBtn: document.getElementById('lockLobbyBtn'),
+      kickList: document.getElementById('kickList'),
+      presetSelect: document.getElementById('presetSelect'),
+      settingsFields: document.getElementById('settingsFields'),
       attachNotification: document.getElementById('attachNotification'),
       attachNotificationText: document.getElementById('attachNotificationText'),
       attachAcceptBtn: document.getElementById('attachAcceptBtn'),
@@ -31,6 +55,16 @@ class UIManager {
       controlNotificationText: document.getElementById('controlNotificationText'),
       controlAcceptBtn: document.getElementById('controlAcceptBtn'),
       controlDeclineBtn: document.getElementById('controlDeclineBtn'),
+      partyPanel: document.getElementById('partyPanel'),
+      partyNone: document.getElementById('partyNone'),
+      partyCurrent: document.getElementById('partyCurrent'),
+      partyInfo: document.getElementById('partyInfo'),
+      partyMembers: document.getElementById('partyMembers'),
+      partyQueueBtn: document.getElementById('partyQueueBtn'),
+      chatLog: document.getElementById('chatLog'),
+      chatChannel: document.getElementById('chatChannel'),
+      chatInput: document.getElementById('chatInput'),
+      pingWheel: document.getElementById('pingWheel'),
     };
 
     // Normalize missing elements to null and guard canvas context
@@ -49,6 +83,10 @@ class UIManager {
     }
 
     this.isPlayerReady = false;
+    this.lobbyInfo = null; // { lobbyCode, isPrivate, locked, hostId }
+    this.party = null; // { code, leaderId, maxSize, queued, members } or null
+    this.mutedIds = new Set(); // players whose chat we muted
+    this.createPingWheel();
     // Wire attach accept/decline buttons
     if (this.elements.attachAcceptBtn) {
       this.elements.attachAcceptBtn.addEventListener('click', () => {
@@ -137,6 +175,56 @@ class UIManager {
     });
   }
 
+  /**
+   * Lay the PING_TYPES out clockwise from the top of the ping wheel
+   */
+  createPingWheel() {
+    if (!this.elements.pingWheel) return;
+    const types = window.GAME_TYPES.PING_TYPES;
+    types.forEach((ping, i) => {
+      const angle = (i / types.length) * Math.PI * 2;
+      const option = document.createElement('div');
+      option.className = 'ping-option';
+      option.style.left = `${50 + Math.sin(angle) * 36}%`;
+      option.style.top = `${50 - Math.cos(angle) * 36}%`;
+      option.style.color = ping.color;
+      const icon = document.createElement('span');
+      icon.className = 'ping-icon';
+      icon.textContent = ping.icon;
+      option.appendChild(icon);
+      option.appendChild(document.createTextNode(ping.label));
+      this.elements.pingWheel.appendChild(option);
+    });
+  }
+
+  showPingWheel() {
+    this.updatePingWheel(0, 0);
+    this.elements.pingWheel?.classList.add('show');
+  }
+
+  hidePingWheel() {
+    this.elements.pingWheel?.classList.remove('show');
+  }
+
+  /**
+   * Highlight the ping in the direction of the mouse travel (dx, dy in px) and
+   * return its type, or null inside the deadzone
+   */
+  updatePingWheel(dx, dy) {
+    if (!this.elements.pingWheel) return null;
+    const types = window.GAME_TYPES.PING_TYPES;
+
+    let selected = -1;
+    if (Math.hypot(dx, dy) >= GAME_CONSTANTS.PING_WHEEL_DEADZONE) {
+      const angle = (Math.atan2(dx, -dy) + Math.PI * 2) % (Math.PI * 2); // clockwise from up
+      selected = Math.round(angle / (Math.PI * 2 / types.length)) % types.length;
+    }
+    Array.from(this.elements.pingWheel.children).forEach((option, i) => {
+      option.classList.toggle('selected', i === selected);
+    });
+    return selected >= 0 ? types[selected].type : null;
+  }
+
   /**
    * Hide loading screen
    */
@@ -174,6 +262,8 @@ class UIManager {
       this.elements.readyPanel.classList.remove('active');
     }
 
+    this.updateKickList(players, localPlayerId);
+
     const localPlayer = players.find(p => p.id === localPlayerId);
     if (localPlayer?.ready) {
       this.elements.readyBtn.classList.add('ready');
@@ -183,6 +273,180 @@ class UIManager {
       this.elements.readyBtn.textContent = 'READY';
     }
   }
+  /**
+   * Show lobby code/privacy and toggle host controls
+   */
+  updateLobbyInfo(info, localPlayerId) {
+    this.lobbyInfo = info;
+    if (!info || !this.elements.lobbyInfo) return;
+
+    const flags = [info.isPrivate ? 'PRIVATE' : 'PUBLIC'];
+    if (info.locked) flags.push('LOCKED');
+    this.elements.lobbyInfo.innerHTML = `Code <span class="code">${info.lobbyCode}</span> · ${flags.join(' · ')}`;
+
+    const isHost = info.hostId === localPlayerId;
+    this.elements.hostControls.classList.toggle('show', isHost);
+    this.elements.lockLobbyBtn.textContent = info.locked ? 'UNLOCK LOBBY' : 'LOCK LOBBY';
+    this.updateLobbySettings(info, isHost);
+  }
+
+  /**
+   * Show the lobby's rules; only the host gets editable inputs
+   */
+  updateLobbySettings(info, isHost) {
+    if (!this.elements.settingsFields || !info.settings) return;
+
+    this.elements.presetSelect.value = info.settingsPreset;
+    this.elements.presetSelect.disabled = !isHost;
+
+    this.elements.settingsFields.innerHTML = '';
+    for (const field of LOBBY_SETTING_FIELDS) {
+      const row = document.createElement('div');
+      row.className = 'setting-row';
+      const label = document.createElement('span');
+      label.textContent = field.label;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.value = info.settings[field.key] / field.scale;
+      input.disabled = !isHost;
+      input.dataset.key = field.key;
+      input.dataset.scale = field.scale;
+      row.appendChild(label);
+      row.appendChild(input);
+      this.elements.settingsFields.appendChild(row);
+    }
+  }
+
+  /**
+   * Host-only list of other players with kick buttons
+   */
+  updateKickList(players, localPlayerId) {
+    if (!this.elements.kickList) return;
+    if (!this.lobbyInfo || this.lobbyInfo.hostId !== localPlayerId) {
+      this.elements.kickList.innerHTML = '';
+      return;
+    }
+
+    this.elements.kickList.innerHTML = '';
+    for (const player of players) {
+      if (player.id === localPlayerId) continue;
+      const row = document.createElement('div');
+      row.className = 'kick-row';
+      const name = document.createElement('span');
+      name.textContent = player.username;
+      const btn = document.createElement('button');
+      btn.className = 'kick-btn';
+      btn.textContent = 'KICK';
+      btn.dataset.playerId = player.id;
+      row.appendChild(name);
+      row.appendChild(btn);
+      this.elements.kickList.appendChild(row);
+    }
+  }
+
+  /**
+   * Party panel (between matches and on the match end screen)
+   */
+  showPartyPanel() {
+    this.elements.partyPanel?.classList.add('show');
+  }
+
+  hidePartyPanel() {
+    this.elements.partyPanel?.classList.remove('show');
+  }
+
+  /**
+   * Show the party code and members; only the leader can queue
+   */
+  updateParty(party, localProfileId) {
+    this.party = party;
+    if (!this.elements.partyPanel) return;
+
+    this.elements.partyNone.style.display = party ? 'none' : 'block';
+    this.elements.partyCurrent.style.display = party ? 'block' : 'none';
+    if (!party) return;
+
+    this.elements.partyInfo.innerHTML =
+      `Code <span class="code">${party.code}</span> · ${party.members.length}/${party.maxSize}`;
+
+    this.elements.partyMembers.innerHTML = '';
+    for (const member of party.members) {
+      const row = document.createElement('div');
+      row.className = 'party-member' + (member.online ? '' : ' offline');
+      const name = document.createElement('span');
+      name.textContent = (member.profileId === party.leaderId ? '★ ' : '') + member.username;
+      const where = document.createElement('span');
+      where.textContent = member.online ? (member.lobbyCode || 'menu') : 'offline';
+      row.appendChild(name);
+      row.appendChild(where);
+      this.elements.partyMembers.appendChild(row);
+    }
+
+    const isLeader = party.leaderId === localProfileId;
+    this.elements.partyQueueBtn.style.display = isLeader ? 'block' : 'none';
+    this.elements.partyQueueBtn.textContent = party.queued ? 'CANCEL SEARCH' : 'FIND MATCH';
+  }
+
+  /**
+   * Append a chat message; clicking the sender's name toggles their mute
+   */
+  addChatMessage(message, localPlayerId) {
+    if (!this.elements.chatLog) return;
+
+    const line = document.createElement('div');
+    line.className = `chat-line chat-${message.channel}`;
+    const tag = message.channel === 'lobby' ? '' : `[${message.channel === 'partner' ? 'PARTNER' : 'NEARBY'}] `;
+    const name = document.createElement('span');
+    name.className = 'chat-name' + (this.mutedIds.has(message.fromPlayerId) ? ' muted' : '');
+    name.textContent = message.username;
+    if (message.fromPlayerId !== localPlayerId) {
+      name.dataset.playerId = message.fromPlayerId;
+      name.title = 'Click to mute / unmute';
+    }
+    line.appendChild(document.createTextNode(tag));
+    line.appendChild(name);
+    line.appendChild(document.createTextNode(`: ${message.text}`));
+
+    const log = this.elements.chatLog;
+    log.appendChild(line);
+    while (log.children.length > GAME_CONSTANTS.CHAT_LOG_SIZE) {
+      log.removeChild(log.firstChild);
+    }
+    log.scrollTop = log.scrollHeight;
+  }
+
+  /**
+   * Mark muted senders in the chat log (from the server's mute_list)
+   */
+  updateMuteList(mutedIds) {
+    this.mutedIds = new Set(mutedIds);
+    if (!this.elements.chatLog) return;
+    for (const name of this.elements.chatLog.querySelectorAll('.chat-name[data-player-id]')) {
+      name.classList.toggle('muted', this.mutedIds.has(name.dataset.playerId));
+    }
+  }
+
+  /**
+   * Offer only the channels usable right now: lobby between matches, nearby while
+   * alive in a match, partner while attached
+   */
+  updateChatChannels(matchActive, player) {
+    const select = this.elements.chatChannel;
+    if (!select) return;
+
+    const available = {
+      lobby: !matchActive,
+      proximity: matchActive && player?.state === 'alive',
+      partner: !!player?.attachedTo,
+    };
+    for (const option of select.options) {
+      option.disabled = !available[option.value];
+    }
+    if (!available[select.value]) {
+      const first = Array.from(select.options).find(option => !option.disabled);
+      if (first) select.value = first.value;
+    }
+  }
 
   /**
    * Show attach request notification
@@ -262,6 +526,8 @@ class UIManager {
 
     this.elements.hudScore.textContent = player.score || 0;
 
+    this.updateMatchTimer(gameState);
+
     const playerCount = gameState?.players?.length || 0;
     //console.log('[UI] Updating player count display:', playerCount, 'gameState.players:', gameState?.players);
     this.elements.hudPlayers.textContent = `${playerCount}/8`;
@@ -269,6 +535,8 @@ class UIManager {
     const monsterCount = gameState?.monsters?.length || 0;
     this.elements.hudMonsters.textContent = monsterCount;
 
+    this.updateSpectatorHUD(player, gameState?.players || []);
+
     let status = 'Alone';
     if (player.attachedTo) {
       status = '� Paired';
@@ -276,6 +544,46 @@ class UIManager {
     this.elements.hudStatus.textContent = status;
   }
 
+  /**
+   * Viewer count for the local player, or who we're watching while spectating
+   */
+  updateSpectatorHUD(player, players) {
+    if (!this.elements.hudViewers) return;
+    const countViewers = (id) => players.filter(p => p.state === 'spectating' && p.spectatingPlayerId === id).length;
+
+    if (player.state === 'alive') {
+      this.elements.hudViewersLabel.textContent = 'Viewers';
+      this.elements.hudViewers.textContent = countViewers(player.id);
+      return;
+    }
+
+    const target = players.find(p => p.id === player.spectatingPlayerId);
+    this.elements.hudViewersLabel.textContent = 'Watching';
+    this.elements.hudViewers.textContent = target
+      ? `${target.username} (👁 ${countViewers(target.id)}) [Q/E, T]`
+      : '-';
+  }
+
+  /**
+   * Show the match countdown (mm:ss), or SUDDEN DEATH during overtime
+   */
+  updateMatchTimer(gameState) {
+    const el = this.elements.hudTimer;
+    if (!el) return;
+
+    if (gameState?.suddenDeath) {
+      el.textContent = 'SUDDEN DEATH';
+      el.style.color = '#ff0000';
+      return;
+    }
+
+    const remaining = Math.max(0, gameState?.timeRemaining || 0);
+    const minutes = Math.floor(remaining / 60);
+    const seconds = String(remaining % 60).padStart(2, '0');
+    el.textContent = `${minutes}:${seconds}`;
+    el.style.color = remaining <= 10 ? '#ff0000' : '#ffff00';
+  }
+
   /**
    * Reset game HUD to initial state for new match
    */
@@ -285,8 +593,16 @@ class UIManager {
       this.elements.hudHealth.style.color = '#ffff00';
     }
     if (this.elements.hudScore) this.elements.hudScore.textContent = '0';
+    if (this.elements.hudTimer) {
+      this.elements.hudTimer.textContent = '--:--';
+      this.elements.hudTimer.style.color = '#ffff00';
+    }
     if (this.elements.hudPlayers) this.elements.hudPlayers.textContent = '0/8';
     if (this.elements.hudMonsters) this.elements.hudMonsters.textContent = '0';
+    if (this.elements.hudViewers) {
+      this.elements.hudViewersLabel.textContent = 'Viewers';
+      this.elements.hudViewers.textContent = '0';
+    }
     if (this.elements.hudStatus) this.elements.hudStatus.textContent = 'Alone';
 
     // Reset blink timer
@@ -332,7 +648,7 @@ class UIManager {
   /**
    * Draw minimap
    */
-  drawMinimap(player, gameState, arenaRadius) {
+  drawMinimap(player, gameState, arenaRadius, pings = []) {
     const ctx = this.minimapCtx;
     // If no player, fallback to center map at arena center
     const viewRadius = 50; // show +/- 50 units around player
@@ -359,6 +675,24 @@ class UIManager {
       return { x: centerX + rx * scale, y: centerY - rz * scale };
     }
 
+    // Draw the safe zone (solid) and the next zone it is closing on (dashed)
+    const drawZone = (zone, radius, color, dash) => {
+      const m = worldToMap(zone.x - (local ? local.position.x : 0), zone.z - (local ? local.position.z : 0));
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash(dash);
+      ctx.beginPath();
+      ctx.arc(m.x, m.y, radius * scale, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    };
+    const safeCenter = gameState.safeCenter || { x: 0, z: 0 };
+    const safeRadius = gameState.arenaSafeRadius || arenaRadius;
+    drawZone(safeCenter, safeRadius, '#00ff00', []);
+    if (gameState.nextSafeZone && gameState.nextSafeZone.radius < safeRadius) {
+      drawZone(gameState.nextSafeZone, gameState.nextSafeZone.radius, '#ffffff', [4, 4]);
+    }
+
     // Draw obstacles (server-provided if present)
     ctx.fillStyle = '#888888';
     const obstacles = gameState.obstacles || [];
@@ -400,6 +734,20 @@ class UIManager {
 
     // Orbs intentionally not shown on minimap — obstacles are shown instead
 
+    // Draw pings as their wheel icons, clamped to the map edge when out of view
+    ctx.font = 'bold 12px Courier New';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const ping of pings) {
+      const style = window.GAME_TYPES.PING_TYPES.find(t => t.type === ping.type);
+      if (!style) continue;
+      const m = worldToMap(ping.position.x - (local ? local.position.x : 0), ping.position.z - (local ? local.position.z : 0));
+      const x = Math.max(6, Math.min(this.minimapWidth - 6, m.x));
+      const y = Math.max(6, Math.min(this.minimapHeight - 6, m.y));
+      ctx.fillStyle = style.color;
+      ctx.fillText(style.icon, x, y);
+    }
+
     // Draw local player at center
     if (local) {
       ctx.fillStyle = '#ffff00';
@@ -450,6 +798,9 @@ class UIManager {
       title = `🏆 ${winner.username} WINS! 🏆`;
       statsHTML = `<div class="winner-name">Score: ${winner.score}</div>`;
     }
+    if (results.suddenDeath) {
+      statsHTML += '<div class="stat-row">Decided in sudden death</div>';
+    }
 
     if (results.playerStats) {
       statsHTML += '<div class="stats-table">';
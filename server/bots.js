@@ -0,0 +1,271 @@
+/**
+ * server/bots.js
+ *
+ * Headless bot players. Bots join a lobby's GameState as normal players (flagged
+ * isBot, no socket) and are steered each game tick with a few simple behaviours:
+ *   - watch monsters: face the nearest one in BOT_WATCH_RANGE (freezing it) and back away
+ *   - collect orbs: walk to the nearest orb inside the safe zone, or back into the zone
+ *   - blink on a timer, well before the forced blink
+ *   - accept pair requests
+ *
+ * Movement goes through GameState.updatePlayerTransform, so bots obey the same speed,
+ * obstacle and arena checks as clients. index.js owns one BotManager per lobby, fills
+ * empty slots with it and forwards the 'blink' and 'attach' events to sockets and replays.
+ */
+
+const { EventEmitter } = require('events');
+const { CONFIG, logger } = require('./config.js');
+const { MONSTER_STATES, PLAYER_STATES } = require('./gameState.js');
+
+const BOT_NAMES = ['Ash', 'Birch', 'Cedar', 'Elm', 'Fir', 'Hazel', 'Juniper', 'Larch', 'Maple', 'Oak', 'Rowan', 'Willow'];
+
+/**
+ * Unit vector on the XZ plane from `from` towards `to` (null when they coincide)
+ */
+function directionTo(from, to) {
+  const dx = to.x - from.x;
+  const dz = to.z - from.z;
+  const length = Math.sqrt(dx * dx + dz * dz);
+  if (length < 0.001) return null;
+  return { x: dx / length, z: dz / length, distance: length };
+}
+
+/**
+ * BotManager - adds, removes and steers the bots of one lobby
+ */
+class BotManager extends EventEmitter {
+  constructor(lobbyManager, lobbyId) {
+    super();
+    this.lobbyManager = lobbyManager;
+    this.lobbyId = lobbyId;
+    this.bots = new Map(); // playerId -> per-bot steering state
+    this.nextBotNumber = 1;
+  }
+
+  get size() {
+    return this.getBotPlayers().length;
+  }
+
+  get gameState() {
+    return this.lobbyManager.getLobby(this.lobbyId);
+  }
+
+  /**
+   * Add up to `count` bots (as many as there are free slots). Returns the added players.
+   */
+  addBots(count) {
+    const added = [];
+    for (let i = 0; i < count; i++) {
+      const number = this.nextBotNumber++;
+      const id = `bot_${this.lobbyId}_${number}`;
+      const username = `${BOT_NAMES[(number - 1) % BOT_NAMES.length]} (bot)`;
+      if (!this.lobbyManager.addPlayerToLobby(this.lobbyId, id, { username, isBot: true })) break;
+
+      this.bots.set(id, { nextBlinkAt: 0, targetOrbId: null, detour: null, detourUntil: 0, stuckSince: 0 });
+      const player = this.gameState.getPlayer(id);
+      player.ready = true; // bots never hold up the ready check
+      added.push(player);
+    }
+    return added;
+  }
+
+  /**
+   * Remove up to `count` bots, newest first. Returns the removed player ids.
+   */
+  removeBots(count = this.bots.size) {
+    const removed = [...this.bots.keys()].reverse().slice(0, count);
+    for (const id of removed) {
+      this.bots.delete(id);
+      this.lobbyManager.removePlayerFromLobby(id);
+    }
+    return removed;
+  }
+
+  /**
+   * Ready every bot up again after a match (resetForNewMatch clears ready flags)
+   */
+  readyAll() {
+    for (const player of this.getBotPlayers()) player.ready = true;
+  }
+
+  /**
+   * Bot players still in the lobby; bots removed elsewhere (kicked, or giving a slot
+   * to a human) are forgotten here
+   */
+  getBotPlayers() {
+    const gameState = this.gameState;
+    const players = [];
+    for (const id of this.bots.keys()) {
+      const player = gameState?.getPlayer(id);
+      if (player) players.push(player);
+      else this.bots.delete(id);
+    }
+    return players;
+  }
+
+  /**
+   * Steer every living bot for one game tick
+   */
+  update(deltaTime) {
+    const gameState = this.gameState;
+    if (!gameState || !gameState.active) return;
+    const now = gameState.clock();
+
+    for (const player of this.getBotPlayers()) {
+      if (player.state !== PLAYER_STATES.ALIVE) continue;
+      const bot = this.bots.get(player.id);
+
+      this.acceptPairRequests(gameState, player);
+      this.updateBlink(gameState, player, bot, now);
+
+      // Attached bots that aren't walking only look around
+      const canMove = !player.attachedTo || player.isControlling;
+      const monster = this.findWatchedMonster(gameState, player);
+      if (monster) {
+        this.watchMonster(gameState, player, bot, monster, canMove ? deltaTime : 0, now);
+      } else if (canMove) {
+        this.collectOrbs(gameState, player, bot, deltaTime, now);
+      }
+    }
+  }
+
+  /**
+   * Accept the first pending pair request
+   */
+  acceptPairRequests(gameState, player) {
+    if (player.attachedTo || player.pairRequestFrom.length === 0) return;
+    const requesterId = player.pairRequestFrom[0];
+    if (gameState.acceptAttachment(player.id, requesterId)) {
+      this.emit('attach', { player1: player.id, player2: requesterId });
+    }
+  }
+
+  /**
+   * Blink every BOT_BLINK_INTERVAL (jittered); the voluntary blink resets the forced one
+   */
+  updateBlink(gameState, player, bot, now) {
+    if (!bot.nextBlinkAt) bot.nextBlinkAt = now + this.getBlinkInterval(gameState);
+    if (now < bot.nextBlinkAt) return;
+
+    bot.nextBlinkAt = now + this.getBlinkInterval(gameState);
+    if (gameState.executeBlink(player.id, now) !== null) {
+      this.emit('blink', { playerId: player.id });
+    }
+  }
+
+  getBlinkInterval(gameState) {
+    return CONFIG.BOT_BLINK_INTERVAL * (0.75 + gameState.random() * 0.5);
+  }
+
+  /**
+   * Nearest monster within BOT_WATCH_RANGE that the bot can see, or null
+   */
+  findWatchedMonster(gameState, player) {
+    let nearest = null;
+    let nearestDistance = CONFIG.BOT_WATCH_RANGE;
+    for (const monster of gameState.monsters.values()) {
+      if (monster.state === MONSTER_STATES.DEAD) continue;
+      const distance = gameState.distance(player.position, monster.position);
+      if (distance > nearestDistance) continue;
+      if (!gameState.hasLineOfSight(player.position, monster.position)) continue;
+      nearest = monster;
+      nearestDistance = distance;
+    }
+    return nearest;
+  }
+
+  /**
+   * Face the monster (freezing it) and back away while it is closer than BOT_FLEE_DISTANCE
+   */
+  watchMonster(gameState, player, bot, monster, deltaTime, now) {
+    const toMonster = directionTo(player.position, monster.position);
+    if (!toMonster) return;
+
+    const away = toMonster.distance < CONFIG.BOT_FLEE_DISTANCE ? { x: -toMonster.x, z: -toMonster.z } : null;
+    this.move(gameState, player, bot, toMonster, away, deltaTime * CONFIG.PLAYER_BACKWARD_SPEED_MULTIPLIER, now);
+  }
+
+  /**
+   * Walk to the nearest orb inside the safe zone that no other bot is after, or towards
+   * the zone center when outside it or when no orb is left
+   */
+  collectOrbs(gameState, player, bot, deltaTime, now) {
+    let target = null;
+    if (!gameState.isOutsideSafeZone(player.position)) {
+      let orb = bot.targetOrbId && gameState.orbs.get(bot.targetOrbId);
+      if (!orb || orb.collected || gameState.isOutsideSafeZone(orb.position)) {
+        orb = this.findNearestOrb(gameState, player, bot);
+        bot.targetOrbId = orb ? orb.id : null;
+      }
+      target = orb && orb.position;
+    }
+    if (!target) target = { x: gameState.safeCenterX, z: gameState.safeCenterZ };
+
+    const direction = directionTo(player.position, target);
+    if (!direction) return;
+    this.move(gameState, player, bot, direction, direction, deltaTime, now);
+  }
+
+  findNearestOrb(gameState, player, bot) {
+    const claimed = new Set();
+    for (const other of this.bots.values()) {
+      if (other !== bot && other.targetOrbId) claimed.add(other.targetOrbId);
+    }
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const orb of gameState.getActiveOrbs()) {
+      if (claimed.has(orb.id) || gameState.isOutsideSafeZone(orb.position)) continue;
+      const distance = gameState.distance(player.position, orb.position);
+      if (distance < nearestDistance) {
+        nearest = orb;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Look along `facing` and step along `heading` (null to stand still) for `seconds`
+   * at PLAYER_SPEED. A bot that stops making progress (stuck on an obstacle) takes a
+   * sideways detour for BOT_DETOUR_TIME.
+   */
+  move(gameState, player, bot, facing, heading, seconds, now) {
+    // Gaze points out of the back of the view on the XZ plane; walking forward is along -gaze
+    const gaze = { x: -facing.x, y: 0, z: -facing.z };
+    const rotation = { x: 0, y: Math.atan2(gaze.x, gaze.z), z: 0 };
+
+    let position = player.position;
+    const step = CONFIG.PLAYER_SPEED * seconds;
+    if (heading && step > 0) {
+      if (bot.detour && now < bot.detourUntil) heading = bot.detour;
+      position = {
+        x: player.position.x + heading.x * step,
+        y: CONFIG.PLAYER_HEIGHT,
+        z: player.position.z + heading.z * step,
+      };
+    }
+
+    const from = { ...player.position };
+    gameState.updatePlayerTransform(player.id, position, rotation, gaze);
+    gameState.moveAttachedPartners(player.id);
+
+    if (heading && step > 0) {
+      const moved = gameState.distance(from, player.position);
+      if (moved >= step * 0.25) {
+        bot.stuckSince = 0;
+      } else if (!bot.stuckSince) {
+        bot.stuckSince = now;
+      } else if (now - bot.stuckSince >= CONFIG.BOT_STUCK_TIME) {
+        const side = gameState.random() < 0.5 ? 1 : -1;
+        bot.detour = { x: -heading.z * side, z: heading.x * side };
+        bot.detourUntil = now + CONFIG.BOT_DETOUR_TIME;
+        bot.targetOrbId = null;
+        bot.stuckSince = 0;
+        logger.debug(`Bot ${player.id} stuck, detouring`);
+      }
+    }
+  }
+}
+
+module.exports = { BotManager };
@@ -0,0 +1,135 @@
+/**
+ * server/chatManager.js
+ *
+ * Text chat. Three channels:
+ *   lobby     - everyone in the lobby, only between matches (the ready phase)
+ *   proximity - living players within CHAT_PROXIMITY_RANGE during a match
+ *   partner   - private between two attached players
+ *
+ * Messages are trimmed, length-limited and rate-limited per sender, then passed
+ * through a filter hook (setFilter) before delivery. Each player can mute others;
+ * muted senders are skipped when recipients are picked. Sockets are handled by
+ * index.js; this module only decides what is sent and to whom.
+ */
+
+const { CONFIG } = require('./config.js');
+
+const CHAT_CHANNELS = ['lobby', 'proximity', 'partner'];
+
+/**
+ * Default filter: mask CONFIG.CHAT_BLOCKED_WORDS (whole words, any case) with asterisks
+ */
+function maskBlockedWords(text) {
+  let filtered = text;
+  for (const word of CONFIG.CHAT_BLOCKED_WORDS) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    filtered = filtered.replace(new RegExp(`\\b${escaped}\\b`, 'gi'), match => '*'.repeat(match.length));
+  }
+  return filtered;
+}
+
+class ChatManager {
+  constructor(filter = maskBlockedWords) {
+    this.filter = filter;
+    this.sentTimes = new Map(); // senderId -> recent send times (ms) inside CHAT_RATE_WINDOW
+    this.mutes = new Map(); // playerId -> Set of playerIds they muted
+  }
+
+  /**
+   * Replace the profanity filter. filter(text, { senderId, channel }) returns the
+   * text to send, or null to drop the message.
+   */
+  setFilter(filter) {
+    this.filter = filter;
+  }
+
+  /**
+   * Validate and filter a message: { result: text } or { error }
+   */
+  prepareMessage(senderId, channel, text, now = Date.now()) {
+    if (!CHAT_CHANNELS.includes(channel)) {
+      return { error: { code: 'invalid_channel', message: 'Unknown chat channel' } };
+    }
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      return { error: { code: 'empty_message', message: 'Message is empty' } };
+    }
+    if (trimmed.length > CONFIG.CHAT_MAX_LENGTH) {
+      return { error: { code: 'message_too_long', message: `Messages are limited to ${CONFIG.CHAT_MAX_LENGTH} characters` } };
+    }
+
+    const recent = (this.sentTimes.get(senderId) || []).filter(time => now - time < CONFIG.CHAT_RATE_WINDOW);
+    if (recent.length >= CONFIG.CHAT_RATE_LIMIT) {
+      this.sentTimes.set(senderId, recent);
+      return { error: { code: 'rate_limited', message: 'You are sending messages too fast' } };
+    }
+    recent.push(now);
+    this.sentTimes.set(senderId, recent);
+
+    const filtered = this.filter(trimmed, { senderId, channel });
+    if (!filtered) {
+      return { error: { code: 'message_blocked', message: 'Message blocked' } };
+    }
+    return { result: filtered };
+  }
+
+  /**
+   * Players who should receive a message on a channel (sender included, muters
+   * excluded): { result: players } or { error } when the channel isn't usable now
+   */
+  getRecipients(gameState, senderId, channel) {
+    const sender = gameState.getPlayer(senderId);
+    if (!sender) {
+      return { error: { code: 'not_in_lobby', message: 'You are not in a lobby' } };
+    }
+
+    let recipients;
+    if (channel === 'lobby') {
+      if (gameState.active) {
+        return { error: { code: 'channel_unavailable', message: 'Lobby chat is closed during a match' } };
+      }
+      recipients = Array.from(gameState.players.values());
+    } else if (channel === 'proximity') {
+      if (!gameState.active || sender.state !== 'alive') {
+        return { error: { code: 'channel_unavailable', message: 'Proximity chat is for living players in a match' } };
+      }
+      recipients = [sender, ...gameState.getNearbyPlayers(senderId, CONFIG.CHAT_PROXIMITY_RANGE)];
+    } else {
+      const partner = sender.attachedTo ? gameState.getPlayer(sender.attachedTo) : null;
+      if (!partner) {
+        return { error: { code: 'channel_unavailable', message: 'You have no partner to talk to' } };
+      }
+      recipients = [sender, partner];
+    }
+
+    return { result: recipients.filter(p => p.id === senderId || !this.isMuted(p.id, senderId)) };
+  }
+
+  /**
+   * Mute or unmute a sender for one listener; returns the listener's muted ids
+   */
+  setMuted(listenerId, targetId, muted) {
+    let mutedIds = this.mutes.get(listenerId);
+    if (!mutedIds) {
+      mutedIds = new Set();
+      this.mutes.set(listenerId, mutedIds);
+    }
+    if (muted) mutedIds.add(targetId);
+    else mutedIds.delete(targetId);
+    return Array.from(mutedIds);
+  }
+
+  isMuted(listenerId, senderId) {
+    return !!this.mutes.get(listenerId)?.has(senderId);
+  }
+
+  /**
+   * Forget a player who left for good
+   */
+  removePlayer(playerId) {
+    this.sentTimes.delete(playerId);
+    this.mutes.delete(playerId);
+  }
+}
+
+module.exports = { ChatManager, CHAT_CHANNELS, maskBlockedWords };
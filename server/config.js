@@ -7,11 +7,20 @@
 
 // ==================== LOGGER ====================
 
+// LOG_LEVEL (env) hides messages below it; without it DEBUG=true shows debug messages
+const LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3, silent: 4 };
+
 class Logger {
     constructor(name = 'Game') {
         this.name = name;
     }
 
+    _enabled(level) {
+        const defaultLevel = process.env.DEBUG === 'true' ? LOG_LEVELS.debug : LOG_LEVELS.info;
+        const threshold = LOG_LEVELS[process.env.LOG_LEVEL] ?? defaultLevel;
+        return LOG_LEVELS[level] >= threshold;
+    }
+
     _format(level, message, data = null) {
         const timestamp = new Date().toISOString();
         const dataStr = data ? ` ${JSON.stringify(data)}` : '';
@@ -19,21 +28,21 @@ class Logger {
     }
 
     debug(message, data) {
-        if (process.env.DEBUG === 'true') {
+        if (this._enabled('debug')) {
             console.log(this._format('DEBUG', message, data));
         }
     }
 
     info(message, data) {
-        console.log(this._format('INFO', message, data));
+        if (this._enabled('info')) console.log(this._format('INFO', message, data));
     }
 
     warn(message, data) {
-        console.warn(this._format('WARN', message, data));
+        if (this._enabled('warn')) console.warn(this._format('WARN', message, data));
     }
 
     error(message, data) {
-        console.error(this._format('ERROR', message, data));
+        if (this._enabled('error')) console.error(this._format('ERROR', message, data));
     }
 }
 
@@ -47,14 +56,23 @@ const CONFIG = {
     // Game Loop
     GAME_LOOP_RATE: 60,           // Server ticks per second
     NETWORK_UPDATE_RATE: 30,       // Network broadcasts per second
+    SNAPSHOT_HISTORY_SIZE: 32,     // Snapshots kept as delta baselines (~1s at 30 Hz)
 
     // Arena
     ARENA_RADIUS: 100,             // Starting arena radius
     ARENA_HEIGHT: 150,             // Wall height
     ARENA_SHRINK_START_TIME: 120000, // Start shrinking at 2 minutes (ms)
-    ARENA_SHRINK_DURATION: 60000,  // Shrink over 1 minute (ms)
+    ARENA_SHRINK_DURATION: 60000,  // Whole zone schedule runs over 1 minute (ms)
     ARENA_FINAL_RADIUS: 10,        // Final shrunk radius
     ARENA_OUTSIDE_DAMAGE_PER_SECOND: 5, // Damage per second outside safe zone
+    // Safe-zone phases (see safeZone.js): wait/shrink are shares of ARENA_SHRINK_DURATION,
+    // radius is the share of the way from ARENA_RADIUS to ARENA_FINAL_RADIUS (1 = final)
+    ARENA_ZONE_PHASES: [
+        { wait: 0,    shrink: 0.25, radius: 0.4, damageMultiplier: 1 },
+        { wait: 0.1,  shrink: 0.2,  radius: 0.7, damageMultiplier: 1.5 },
+        { wait: 0.1,  shrink: 0.15, radius: 0.9, damageMultiplier: 2 },
+        { wait: 0.05, shrink: 0.15, radius: 1,   damageMultiplier: 3 },
+    ],
 
     // Player
     PLAYERS_PER_LOBBY: 8,          // Max players in one lobby
@@ -65,6 +83,12 @@ const CONFIG = {
     PLAYER_SPEED: 25,              // Units per second forward
     PLAYER_BACKWARD_SPEED_MULTIPLIER: 0.5, // 50% speed backward
     PLAYER_HEIGHT: 1.6,            // Player height
+    PLAYER_RADIUS: 0.5,            // Keeps players this far from obstacles (units)
+
+    // Movement validation (anti-teleport)
+    MOVEMENT_SPEED_TOLERANCE: 1.25, // Allow 25% over PLAYER_SPEED for jitter/rounding
+    MOVEMENT_MAX_BURST_TIME: 500,  // Max unused movement budget a client can bank (ms)
+    MOVEMENT_CORRECTION_COOLDOWN: 100, // Min time between position_correction events per player (ms)
 
     // Blink Mechanic
     PLAYER_BLINK_MAX_TIME: 15000,  // 15 seconds forced blink (ms)
@@ -84,17 +108,35 @@ const CONFIG = {
     // Monster roar timings for GameState.spawnMonster
     MONSTER_ROAR_DURATION: 2000,      // 2s roar duration
     MONSTER_ROAR_IMMOBILE_TIME: 2000, // immobile during entire roar
+    // Monster navigation
+    MONSTER_PATHFIND_UPDATE_INTERVAL: 1000, // Recalculate path every 1s (ms)
+    MONSTER_PATHFIND_CELL_SIZE: 2,    // Navigation grid cell size (units)
+    MONSTER_COLLISION_RADIUS: 1,      // Clearance kept from obstacle edges (units)
+    // Monster patrol (IDLE state)
+    MONSTER_PATROL_SPEED_MULTIPLIER: 0.1, // Wander speed as a share of MONSTER_SPEED
+    MONSTER_PATROL_ARRIVE_DISTANCE: 2,    // Close enough to a patrol point (units)
+    MONSTER_PATROL_MEMORY_TIME: 15000,    // Sighted player positions stay worth checking (ms)
+    MONSTER_PATROL_ZONE_MARGIN: 5,        // Patrol points on the zone edge sit this far inside (units)
+    MONSTER_PATROL_CLUSTER_RADIUS: 10,    // Orbs within this of each other count as a cluster (units)
+    MONSTER_PATROL_SWEEP_ANGLE: 0.6,      // Gaze swing either side of the heading while walking (radians)
+    MONSTER_PATROL_SWEEP_RATE: 2,         // Speed of that swing (radians of phase per second)
+    MONSTER_SCAN_DURATION: 3000,          // Look around on reaching a patrol point (ms)
+    MONSTER_SCAN_TURN_RATE: 2,            // Turn speed while scanning (radians per second)
 
     // Vision
     VISION_DETECTION_RANGE: 10000,    // How far monsters can see
     VISION_CONE_ANGLE: 0.6,        // Vision cone angle
     BLIND_SPOT_CONE_ANGLE: 0.2,    // Blind spot cone angle
     GAZE_RAYCAST_CONE_ANGLE: 0.6,        // Vision raycast cone angle
+    OCCLUSION_CELL_SIZE: 10,       // Grid cell size of the line-of-sight obstacle index (units)
 
     // Orbs
     ORB_COUNT_INITIAL: 75,           // Initial orbs
     ORB_RESPAWN_INTERVAL: 5000,    // Respawn collected orbs every 5s (ms)
+    ORB_SPAWN_CLEARANCE: 1,        // Min gap between a spawned orb and obstacle edges (units)
+    ORB_SPAWN_MAX_ATTEMPTS: 20,    // Random placements tried per orb before giving up
     ORB_POINTS_PER_ORB: 1,         // Points for collecting
+    ORB_COLLECTION_RANGE: 2.5,     // Max XZ distance from player to orb for pickup (units)
 
     // Obstacles
     OBSTACLE_COUNT: 30,            // Number of obstacles to spawn per match
@@ -109,12 +151,77 @@ const CONFIG = {
 
     // Game Duration
     GAME_DURATION: 180000,         // 3 minute (ms)
+    SUDDEN_DEATH_MAX_DURATION: 60000, // Tied-at-the-buzzer overtime ends after this at the latest (ms)
+    SUDDEN_DEATH_MONSTER_MULTIPLIER: 2, // Monster count multiplier during sudden death
     GAME_AUTO_START_DELAY: 10000,   // Auto-start after 10s with 2+ players (ms)
     GAME_AUTO_START_MIN_PLAYERS: 2, // Minimum players to auto-start
 
     // Reconnection
     RECONNECT_TIMEOUT: 30000,      // Keep player state for 30s after disconnect (ms)
     RECONNECT_GRACE_PERIOD: 60000, // Allow reconnection within 60s (ms)
+
+    // Replays
+    REPLAY_ENABLED: process.env.REPLAY_ENABLED !== 'false',
+    REPLAY_DIR: process.env.REPLAY_DIR || 'replays', // Relative paths are resolved from the project root
+    REPLAY_FRAME_RATE: 10,         // Recorded frames per second
+    REPLAY_LIST_LIMIT: 50,         // Newest replays returned by GET /replays
+    REPLAY_MAX_FILES: 200,         // Oldest replays are deleted beyond this many
+
+    // Player profiles
+    PROFILE_STORAGE: process.env.PROFILE_STORAGE || 'json', // 'json' (file) or 'memory'
+    PROFILE_FILE: process.env.PROFILE_FILE || 'data/profiles.json', // Relative paths are resolved from the project root
+
+    // Leaderboard and seasons
+    LEADERBOARD_FILE: process.env.LEADERBOARD_FILE || 'data/leaderboard.json', // Stored like profiles (PROFILE_STORAGE)
+    LEADERBOARD_SIZE: 10,          // Rows per ranking
+    LEADERBOARD_WEEKS_KEPT: 8,     // Weekly tables kept before the oldest is dropped
+    SEASON_START: '2026-01-05T00:00:00Z', // Season 1 starts here (UTC)
+    SEASON_LENGTH_DAYS: 91,        // Seasons roll over every 13 weeks
+    SEASON_NAMES: [],              // Optional display names by season index; default "Season N"
+
+    // Rating (multiplayer Elo, stored on profiles)
+    RATING_INITIAL: 1000,
+    RATING_K_FACTOR: 32,           // Max rating change per match
+
+    // Matchmaking queue (join_lobby with matchmaking: true)
+    MATCHMAKING_ENABLED: process.env.MATCHMAKING_ENABLED !== 'false',
+    MATCHMAKING_UPDATE_INTERVAL: 1000, // Queue grouping and status updates (ms)
+    MATCHMAKING_MIN_PLAYERS: 2,    // Smallest group once the partial wait has passed
+    MATCHMAKING_TARGET_PLAYERS: 4, // Group formed immediately at this size
+    MATCHMAKING_PARTIAL_AFTER: 20000, // Accept a smaller group after this wait (ms)
+    MATCHMAKING_MAX_WAIT: 60000,   // Then place the player in any open lobby (ms)
+    MATCHMAKING_INITIAL_WINDOW: 100, // Rating difference accepted at first
+    MATCHMAKING_WINDOW_GROWTH: 10, // Rating added to the window per second waited
+    MATCHMAKING_MAX_WINDOW: 600,
+
+    // Parties (friends queue together with party_queue)
+    PARTY_MAX_SIZE: 4,
+    PARTY_CODE_LENGTH: 6,          // Characters in a party invite code
+
+    // Chat (lobby, proximity and partner channels)
+    CHAT_MAX_LENGTH: 200,          // Characters per message
+    CHAT_RATE_LIMIT: 5,            // Messages per sender per window
+    CHAT_RATE_WINDOW: 5000,        // Rate limit window (ms)
+    CHAT_PROXIMITY_RANGE: 30,      // Proximity chat reach (units)
+    CHAT_BLOCKED_WORDS: [],        // Masked by the default filter
+
+    // Pings (ping wheel markers, for the partner or nearby players)
+    PING_MAX_DISTANCE: 80,         // Gaze ray length (units)
+    PING_RANGE: 50,                // Unattached pings reach players this close (units)
+    PING_DURATION: 6000,           // Marker lifetime (ms)
+    PING_COOLDOWN: 500,            // Min time between a player's pings (ms)
+
+    // Bots (server-driven players, see bots.js)
+    BOT_FILL_ENABLED: process.env.BOT_FILL_ENABLED !== 'false',
+    BOT_FILL_DELAY: 20000,         // Lobby waits this long for people before bots fill in (ms)
+    BOT_COUNT: 3,                  // Bots per lobby (lobby setting); they only take free slots
+    BOT_BLINK_INTERVAL: 8000,      // Average time between a bot's voluntary blinks (ms)
+    BOT_WATCH_RANGE: 25,           // Bots turn to face monsters this close (units)
+    BOT_FLEE_DISTANCE: 12,         // ...and back away while they are closer than this (units)
+    BOT_STUCK_TIME: 500,           // No progress for this long counts as stuck (ms)
+    BOT_DETOUR_TIME: 1000,         // Sideways walk to get around an obstacle (ms)
+    BOT_LOAD_TEST_LOBBIES: Number(process.env.BOT_LOAD_TEST_LOBBIES) || 0, // Bot-only lobbies kept running for load tests
+    BOT_LOAD_TEST_REPORT_INTERVAL: 10000, // Game loop timing is logged this often during a load test (ms)
 };
 
 // ==================== EXPORTS ====================
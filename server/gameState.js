@@ -12,6 +12,9 @@
  */
 
 const { CONFIG, logger } = require('./config.js');
+const { DEFAULT_PRESET, createMatchSettings, validateMatchSettings } = require('./matchSettings.js');
+const { buildZoneSchedule, sampleZone } = require('./safeZone.js');
+const { OcclusionIndex, segmentBoxEntry } = require('./occlusion.js');
 
 // Game state constants
 const PLAYER_STATES = {
@@ -38,31 +41,62 @@ const ATTACHMENT_STATES = {
 const ORB_SCORE_VALUE = 10;
 
 /**
- * GameState - manages state for a single lobby/match
+ * GameState - manages state for a single lobby/match.
+ * options.random (a Math.random replacement) and options.clock (a Date.now replacement)
+ * make a lobby reproducible; see random.js and simulation.js.
  */
 class GameState {
-  constructor(lobbyId) {
+  constructor(lobbyId, options = {}) {
     this.lobbyId = lobbyId;
+    this.random = options.random || Math.random;
+    this.clock = options.clock || Date.now;
     this.players = new Map(); // playerId -> Player
     this.monsters = new Map(); // monsterId -> Monster
     this.orbs = new Map(); // orbId -> Orb
     this.obstacles = new Map(); // obstacleId -> Obstacle
+    this.occlusion = new OcclusionIndex(); // line-of-sight index over this.obstacles
 
     // Game phase timing
     this.matchStartTime = null; // will be set when match starts
+    this.humansAtStart = 0; // people (not bots) in the lobby when the match started
     this.active = false;
 
+    // Sudden death: overtime when scores are tied when GAME_DURATION runs out
+    this.suddenDeath = false;
+    this.suddenDeathStartTime = 0;
+
     // Arena state
     this.arenaSafeRadius = CONFIG.ARENA_RADIUS;
-    this.centerX = 0; // arena center position
+    this.centerX = 0; // arena center position (walls)
     this.centerZ = 0;
 
+    // Safe zone (see safeZone.js): current circle, the circle it is closing on, and
+    // the outside-damage multiplier of the current phase
+    this.safeCenterX = this.centerX;
+    this.safeCenterZ = this.centerZ;
+    this.nextSafeZone = null; // { x, z, radius } or null after the last phase
+    this.zoneDamageMultiplier = 1;
+    this.zoneSchedule = [];
+
+    // Lobby settings: private lobbies are join-by-code only and have a host
+    this.isPrivate = false;
+    this.hostId = null; // creator of a private lobby (kick / lock / start early)
+    this.locked = false; // no new players may join
+
+    // Match rules for this lobby (see matchSettings.js)
+    this.settingsPreset = DEFAULT_PRESET;
+    this.settings = createMatchSettings(DEFAULT_PRESET);
+
+    // Orb respawn tracking
+    this.lastOrbRespawnTime = 0;
+    this.nextOrbId = 0;
+
     // Monster spawn tracking
     this.lastMonsterSpawnTime = 0;
     this.monstersSpawnedThisPhase = 0;
 
     // Last network state snapshot (for delta updates)
-    this.lastNetworkUpdate = Date.now();
+    this.lastNetworkUpdate = this.clock();
   }
 
   /**
@@ -70,7 +104,73 @@ class GameState {
    */
   getMatchElapsedTime() {
     if (!this.matchStartTime) return 0;
-    return Date.now() - this.matchStartTime;
+    return this.clock() - this.matchStartTime;
+  }
+
+  /**
+   * Time left on the match clock (ms); 0 once sudden death starts
+   */
+  getMatchTimeRemaining() {
+    if (!this.active || this.suddenDeath) return 0;
+    return Math.max(0, this.settings.GAME_DURATION - this.getMatchElapsedTime());
+  }
+
+  /**
+   * True when two or more living, connected players share the top score
+   * (sudden death can't be won by someone who is dead or gone)
+   */
+  isScoreTied() {
+    const scores = this.getLivingPlayers().filter(p => p.isConnected !== false).map(p => p.score);
+    if (scores.length < 2) return false;
+    const top = Math.max(...scores);
+    return scores.filter(score => score === top).length > 1;
+  }
+
+  /**
+   * Advance the match clock (run each tick). Returns 'sudden_death' when a tied match
+   * goes to overtime, 'expired' when the match should end on time, otherwise null.
+   * Sudden death ends as soon as the tie is broken or after SUDDEN_DEATH_MAX_DURATION.
+   */
+  updateMatchClock(now = this.clock()) {
+    if (!this.active) return null;
+
+    if (!this.suddenDeath) {
+      if (this.getMatchElapsedTime() < this.settings.GAME_DURATION) return null;
+      if (this.isScoreTied()) {
+        this.suddenDeath = true;
+        this.suddenDeathStartTime = now;
+        logger.info(`Lobby ${this.lobbyId}: Scores tied at the buzzer - sudden death`);
+        return 'sudden_death';
+      }
+      return 'expired';
+    }
+
+    if (!this.isScoreTied() || now - this.suddenDeathStartTime >= CONFIG.SUDDEN_DEATH_MAX_DURATION) {
+      return 'expired';
+    }
+    return null;
+  }
+
+  /**
+   * Move the safe zone along this match's schedule (matchTime in ms)
+   */
+  updateSafeZone(matchTime = this.getMatchElapsedTime()) {
+    const zone = sampleZone(this.zoneSchedule, matchTime, { x: this.centerX, z: this.centerZ });
+    this.safeCenterX = zone.x;
+    this.safeCenterZ = zone.z;
+    this.arenaSafeRadius = zone.radius;
+    this.nextSafeZone = zone.next;
+    this.zoneDamageMultiplier = zone.damageMultiplier;
+    return zone;
+  }
+
+  /**
+   * True when a position is outside the current safe zone
+   */
+  isOutsideSafeZone(position) {
+    const dx = position.x - this.safeCenterX;
+    const dz = position.z - this.safeCenterZ;
+    return Math.sqrt(dx * dx + dz * dz) > this.arenaSafeRadius;
   }
 
   /**
@@ -78,10 +178,13 @@ class GameState {
    */
   // Add to GameState class
   resetForNewMatch() {
-    // Reset arena
+    // Reset arena (the safe zone starts as the full arena again)
     this.arenaSafeRadius = CONFIG.ARENA_RADIUS;  // Back to 100
-    this.centerX = 0;
-    this.centerZ = 0;
+    this.safeCenterX = this.centerX;
+    this.safeCenterZ = this.centerZ;
+    this.nextSafeZone = null;
+    this.zoneDamageMultiplier = 1;
+    this.zoneSchedule = [];
 
     // Reset all players (keep them, reset stats)
     for (const player of this.players.values()) {
@@ -89,14 +192,20 @@ class GameState {
       player.orbsCollected = 0;
       player.health = CONFIG.PLAYER_MAX_HEALTH;
       player.state = PLAYER_STATES.ALIVE;
+      player.deathCause = null;
+      player.deathTime = 0;
+      player.spectatingPlayerId = null;
       player.blinkCooldownEnd = 0;  // Ready to blink
+      player.lastBlinkTime = 0;
+      player.blinkDeadline = 0;  // Blink clock starts with the match
+      player.lastMoveValidationTime = 0; // Spawn teleport is server-side; restart movement budget
       // Respawn position - avoid obstacles if present
       let placed = false;
       const obstacles = Array.from(this.obstacles.values());
       const maxAttempts = 50;
       for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * 30;
+        const angle = this.random() * Math.PI * 2;
+        const distance = this.random() * 30;
         const x = this.centerX + Math.cos(angle) * distance;
         const z = this.centerZ + Math.sin(angle) * distance;
 
@@ -118,8 +227,8 @@ class GameState {
       }
       if (!placed) {
         // fallback to original random position if no free spot found
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * 30;
+        const angle = this.random() * Math.PI * 2;
+        const distance = this.random() * 30;
         player.position = {
           x: this.centerX + Math.cos(angle) * distance,
           y: CONFIG.PLAYER_HEIGHT,
@@ -132,12 +241,22 @@ class GameState {
     // Clear game objects
     this.orbs.clear();
     this.obstacles.clear();
+    this.occlusion.clear();
     this.monsters.clear();
     this.matchStartTime = null;  // Will be set by startMatch
   }
 
   startMatch() {
-    this.matchStartTime = Date.now();
+    this.matchStartTime = this.clock();
+    this.humansAtStart = this.getHumanCount();
+    this.lastOrbRespawnTime = this.matchStartTime;
+    this.suddenDeath = false;
+    this.suddenDeathStartTime = 0;
+    this.zoneSchedule = buildZoneSchedule(this.settings, { x: this.centerX, z: this.centerZ }, CONFIG.ARENA_ZONE_PHASES, this.random);
+    this.updateSafeZone(0);
+    for (const player of this.players.values()) {
+      player.blinkDeadline = this.matchStartTime + this.settings.PLAYER_BLINK_MAX_TIME;
+    }
     this.active = true;
     logger.info(`Lobby ${this.lobbyId}: Match started`);
   }
@@ -154,8 +273,8 @@ class GameState {
     const maxAttempts = 50;
     let found = false;
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = Math.random() * 30;
+      const angle = this.random() * Math.PI * 2;
+      const distance = this.random() * 30;
       const x = this.centerX + Math.cos(angle) * distance;
       const z = this.centerZ + Math.sin(angle) * distance;
       let collides = false;
@@ -175,8 +294,8 @@ class GameState {
       }
     }
     if (!found) {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = Math.random() * 30;
+      const angle = this.random() * Math.PI * 2;
+      const distance = this.random() * 30;
       spawnX = this.centerX + Math.cos(angle) * distance;
       spawnZ = this.centerZ + Math.sin(angle) * distance;
     }
@@ -189,19 +308,30 @@ class GameState {
       maxHealth: CONFIG.PLAYER_MAX_HEALTH,
       score: 0,
       orbsCollected: 0,
-      lastBlinkTime: 0,
+      deathCause: null, // 'monster', 'zone' or 'fall' once dead
+      deathTime: 0, // ms
+      profileId: playerData.profileId || null, // persistent profile (see profileStore.js)
+      isBot: !!playerData.isBot, // server-driven player without a socket (see bots.js)
+      lastBlinkTime: 0, // start of the last blink (blacked out for PLAYER_BLINK_BLACKOUT_DURATION)
+      blinkDeadline: this.active ? this.clock() + this.settings.PLAYER_BLINK_MAX_TIME : 0, // forced blink time (ms)
       attachedTo: null,
       attachmentState: ATTACHMENT_STATES.ALONE,
       lastAttackTime: 0,
-      lastRegenTime: Date.now(),
+      lastRegenTime: this.clock(),
       ready: false, // New: track if player is ready to start
 
       // Spatial state
       position: { x: spawnX, y: CONFIG.PLAYER_HEIGHT, z: spawnZ },
-      rotation: { x: 0, y: Math.random() * Math.PI * 2, z: 0 },
+      rotation: { x: 0, y: this.random() * Math.PI * 2, z: 0 },
       gaze: { x: 0, y: 0, z: 1 }, // normalized direction vector (forward)
       velocity: { x: 0, y: 0, z: 0 },
 
+      // Movement validation (see validateMovement)
+      moveBudget: 0,
+      lastMoveValidationTime: 0,
+      lastCorrectionTime: 0,
+      lastInputSeq: 0, // last client movement command included in position (prediction ack)
+
       // Pairing state
       pairRequestPendingTo: null,
       pairRequestFrom: [],
@@ -240,6 +370,53 @@ class GameState {
     }
 
     this.players.delete(playerId);
+
+    // Hand host controls to the longest-present remaining player
+    if (this.hostId === playerId) {
+      const next = this.players.keys().next();
+      this.hostId = next.done ? null : next.value;
+    }
+  }
+
+  /**
+   * Public lobby settings sent to clients (lobby_info)
+   */
+  getLobbyInfo() {
+    return {
+      lobbyCode: this.lobbyId,
+      isPrivate: this.isPrivate,
+      locked: this.locked,
+      hostId: this.hostId,
+      settingsPreset: this.settingsPreset,
+      settings: { ...this.settings },
+    };
+  }
+
+  /**
+   * Change match rules before a match: switch to a named preset and/or apply edits.
+   * Returns { settings } or { error: { code, message } }.
+   */
+  updateSettings({ preset, changes } = {}) {
+    if (this.active) {
+      return { error: { code: 'match_active', message: 'Settings can only change between matches' } };
+    }
+
+    let base = this.settings;
+    if (preset !== undefined) {
+      base = createMatchSettings(preset);
+      if (!base) {
+        return { error: { code: 'unknown_preset', message: `Unknown preset ${preset}` } };
+      }
+    }
+
+    const result = changes ? validateMatchSettings(changes, base) : { settings: base };
+    if (result.error) return result;
+
+    this.settings = result.settings;
+    // Hand edits turn the rules into a custom set
+    if (preset !== undefined) this.settingsPreset = preset;
+    if (changes && Object.keys(changes).length > 0) this.settingsPreset = 'custom';
+    return { settings: this.settings };
   }
 
   /**
@@ -250,12 +427,16 @@ class GameState {
   }
 
   /**
-   * Update player position and rotation (called frequently from input)
+   * Update player position and rotation (called frequently from input).
+   * The requested position is validated against speed, obstacles and the arena wall;
+   * returns a correction { position, reason } when the stored position differs from the request.
    */
   updatePlayerTransform(playerId, position, rotation, gaze) {
 
     const player = this.players.get(playerId);
-    if (!player) return;
+    if (!player) return null;
+
+    let correction = null;
 
     if (player && player.state === PLAYER_STATES.ALIVE) {
       // Validate position data
@@ -267,23 +448,23 @@ class GameState {
       // Check if player fell out of bounds (below -200)
       if (position && position.y < -200) {
         player.state = PLAYER_STATES.DEAD;
+        player.deathCause = 'fall';
+        player.deathTime = this.clock();
         logger.info(`Player ${playerId} fell out of bounds (y=${position.y}), marked as dead`);
-        return;
+        return null;
+      }
+
+      // ensure rotation is legal
+      if (!rotation) {
+        rotation = player.rotation || { x: 0, y: 0, z: 0 };
       }
 
-      player.position = { ...position };
-      player.rotation = { ...rotation };
       // ensure gaze is legal
       if (!gaze || typeof gaze.x !== 'number') {
         // use cureent player if no gaze，or a default forward vector
         gaze = player.gaze || { x: 0, y: 0, z: 1 };
       }
 
-      // ensure rotation is legal
-      if (!rotation) {
-        rotation = player.rotation || { x: 0, y: 0, z: 0 };
-      }
-
       // Normalize gaze vector
       const len = Math.sqrt(gaze.x * gaze.x + gaze.y * gaze.y + gaze.z * gaze.z);
       if (len > 0) {
@@ -293,21 +474,165 @@ class GameState {
           z: gaze.z / len,
         };
       }
+
+      const result = this.validateMovement(player, position, this.clock());
+      player.position = result.position;
+      player.rotation = { ...rotation };
+      if (result.reason) {
+        correction = { position: { ...result.position }, reason: result.reason };
+      }
     }
+
+    return correction;
+  }
+
+  /**
+   * Check a requested move against the player's movement budget, obstacle AABBs (grown
+   * by PLAYER_RADIUS, along the whole path) and the arena wall.
+   * Returns the authoritative position and the reason it differs from the request (or null).
+   */
+  validateMovement(player, requested, now) {
+    const from = player.position;
+    let reason = null;
+
+    // Refill movement budget for the time since the last input (token bucket absorbs packet jitter)
+    const maxBudget = CONFIG.PLAYER_SPEED * CONFIG.MOVEMENT_SPEED_TOLERANCE * (CONFIG.MOVEMENT_MAX_BURST_TIME / 1000);
+    if (!player.lastMoveValidationTime) {
+      player.moveBudget = maxBudget;
+    } else {
+      const elapsed = (now - player.lastMoveValidationTime) / 1000;
+      player.moveBudget = Math.min(maxBudget, (player.moveBudget || 0) + CONFIG.PLAYER_SPEED * CONFIG.MOVEMENT_SPEED_TOLERANCE * elapsed);
+    }
+    player.lastMoveValidationTime = now;
+
+    let x = requested.x;
+    let z = requested.z;
+    let dx = x - from.x;
+    let dz = z - from.z;
+    let distance = Math.sqrt(dx * dx + dz * dz);
+
+    // Clients walk forward along -gaze, so moving along +gaze is walking backward
+    if (distance > 0.001) {
+      const gazeLen = Math.sqrt(player.gaze.x * player.gaze.x + player.gaze.z * player.gaze.z) || 1;
+      const backwardDot = (dx * player.gaze.x + dz * player.gaze.z) / (distance * gazeLen);
+      const speedFactor = backwardDot > 0.5 ? CONFIG.PLAYER_BACKWARD_SPEED_MULTIPLIER : 1;
+      const cost = distance / speedFactor;
+
+      if (cost > maxBudget) {
+        // Farther than even a full burst allows: a teleport or stale input, reject outright
+        x = from.x;
+        z = from.z;
+        reason = 'teleport';
+        logger.debug(`Player ${player.id} teleport rejected (${distance.toFixed(2)} units)`);
+      } else if (cost > player.moveBudget) {
+        // Too fast: only allow as far as the remaining budget reaches along the requested direction
+        const allowed = player.moveBudget * speedFactor;
+        x = from.x + (dx / distance) * allowed;
+        z = from.z + (dz / distance) * allowed;
+        player.moveBudget = 0;
+        reason = 'speed';
+        logger.debug(`Player ${player.id} moved too fast (${distance.toFixed(2)} > ${allowed.toFixed(2)}), clamped`);
+      } else {
+        player.moveBudget -= cost;
+      }
+    }
+
+    // Obstacles: a path into a box slides along one axis like the client does, otherwise
+    // stops just short of the first box it enters (so no single input can cross one)
+    const radius = CONFIG.PLAYER_RADIUS;
+    const hit = this.getPathObstacleHit(from, { x, z }, radius);
+    if (hit !== null) {
+      if (x !== from.x && this.getPathObstacleHit(from, { x, z: from.z }, radius) === null) {
+        z = from.z;
+      } else if (z !== from.z && this.getPathObstacleHit(from, { x: from.x, z }, radius) === null) {
+        x = from.x;
+      } else {
+        const pathLength = Math.sqrt((x - from.x) ** 2 + (z - from.z) ** 2);
+        const stop = Math.max(0, hit - 0.01 / pathLength);
+        x = from.x + (x - from.x) * stop;
+        z = from.z + (z - from.z) * stop;
+      }
+      reason = reason || 'obstacle';
+    }
+
+    // Arena wall
+    dx = x - this.centerX;
+    dz = z - this.centerZ;
+    distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > CONFIG.ARENA_RADIUS) {
+      x = this.centerX + (dx / distance) * CONFIG.ARENA_RADIUS;
+      z = this.centerZ + (dz / distance) * CONFIG.ARENA_RADIUS;
+      reason = reason || 'arena';
+    }
+
+    return { position: { x, y: CONFIG.PLAYER_HEIGHT, z }, reason };
+  }
+
+  /**
+   * Fraction (0..1) of the way from `from` to `to` where the path first enters an
+   * obstacle footprint grown by `padding`, or null when it stays clear. Boxes the path
+   * starts inside are skipped, so a player overlapping one can still walk out of it.
+   */
+  getPathObstacleHit(from, to, padding = 0) {
+    let nearest = null;
+    for (const obs of this.obstacles.values()) {
+      const halfW = (obs.width || 6) / 2 + padding;
+      const halfD = (obs.depth || 6) / 2 + padding;
+      const box = {
+        minX: obs.position.x - halfW,
+        maxX: obs.position.x + halfW,
+        minZ: obs.position.z - halfD,
+        maxZ: obs.position.z + halfD,
+      };
+      if (from.x >= box.minX && from.x <= box.maxX && from.z >= box.minZ && from.z <= box.maxZ) continue;
+
+      const t = segmentBoxEntry(from, to, box);
+      if (t !== null && (nearest === null || t < nearest)) nearest = t;
+    }
+    return nearest;
   }
 
 
   /**
-   * Execute a blink action for player (resets cooldown)
+   * Execute a voluntary blink: the player blacks out and their forced-blink deadline
+   * moves back by PLAYER_BLINK_ADD_VOLUNTARY, never past a full PLAYER_BLINK_MAX_TIME.
+   * Returns the time left until the next forced blink (ms), or null for unknown players.
    */
-  executeBlink(playerId, refreshSeconds) {
+  executeBlink(playerId, now = this.clock()) {
     const player = this.players.get(playerId);
-    if (player) {
-      player.lastBlinkTime = Date.now();
-      logger.debug(`Player ${playerId} blinked, refresh: ${refreshSeconds}s`);
-      return true;
+    if (!player) return null;
+
+    player.lastBlinkTime = now;
+    player.blinkDeadline = Math.min(
+      now + this.settings.PLAYER_BLINK_MAX_TIME,
+      Math.max(player.blinkDeadline, now) + CONFIG.PLAYER_BLINK_ADD_VOLUNTARY,
+    );
+    logger.debug(`Player ${playerId} blinked, next forced blink in ${player.blinkDeadline - now}ms`);
+    return player.blinkDeadline - now;
+  }
+
+  /**
+   * Time until a player's next forced blink (ms)
+   */
+  getBlinkTimeRemaining(playerId, now = this.clock()) {
+    const player = this.players.get(playerId);
+    if (!player || !player.blinkDeadline) return this.settings.PLAYER_BLINK_MAX_TIME;
+    return Math.max(0, player.blinkDeadline - now);
+  }
+
+  /**
+   * Force a blink on every living player whose deadline has passed (run each tick).
+   * Returns the players who were forced to blink.
+   */
+  updateBlinkClocks(now = this.clock()) {
+    const forced = [];
+    for (const player of this.getLivingPlayers()) {
+      if (!player.blinkDeadline || now < player.blinkDeadline) continue;
+      player.lastBlinkTime = now;
+      player.blinkDeadline = now + this.settings.PLAYER_BLINK_MAX_TIME;
+      forced.push(player);
     }
-    return false;
+    return forced;
   }
 
 
@@ -326,18 +651,67 @@ class GameState {
   }
 
   /**
-   * Spawn random orbs in the safe zone
+   * Spawn random orbs in the safe zone, away from obstacles.
+   * Returns the number actually placed.
    */
   spawnRandomOrbs(count) {
+    let spawned = 0;
     for (let i = 0; i < count; i++) {
-      const orbId = `orb_${Date.now()}_${i}`;
-      const angle = Math.random() * Math.PI * 2;
-      const distance = Math.random() * this.arenaSafeRadius;
-      const x = this.centerX + Math.cos(angle) * distance;
-      const z = this.centerZ + Math.sin(angle) * distance;
+      const position = this.findOrbSpawnPosition();
+      if (!position) continue;
+      this.spawnOrb(`orb_${this.clock()}_${this.nextOrbId++}`, position);
+      spawned++;
+    }
+    return spawned;
+  }
 
-      this.spawnOrb(orbId, { x, y: 1, z });
+  /**
+   * Pick a random point inside the current safe zone that is clear of obstacles.
+   * Returns null if no free point was found.
+   */
+  findOrbSpawnPosition() {
+    const clearance = CONFIG.ORB_SPAWN_CLEARANCE;
+    for (let attempt = 0; attempt < CONFIG.ORB_SPAWN_MAX_ATTEMPTS; attempt++) {
+      const angle = this.random() * Math.PI * 2;
+      // sqrt keeps the distribution uniform over the disc's area
+      const distance = Math.sqrt(this.random()) * this.arenaSafeRadius;
+      const x = this.safeCenterX + Math.cos(angle) * distance;
+      const z = this.safeCenterZ + Math.sin(angle) * distance;
+
+      let blocked = false;
+      for (const obs of this.obstacles.values()) {
+        const halfW = (obs.width || 6) / 2 + clearance;
+        const halfD = (obs.depth || 6) / 2 + clearance;
+        if (Math.abs(x - obs.position.x) <= halfW && Math.abs(z - obs.position.z) <= halfD) {
+          blocked = true;
+          break;
+        }
+      }
+      if (!blocked) return { x, y: 1, z };
     }
+    return null;
+  }
+
+  /**
+   * Periodic orb refill (run each tick): every ORB_RESPAWN_INTERVAL, drop collected
+   * orb records and top the field back up to the lobby's ORB_COUNT_INITIAL.
+   * Returns the number of orbs spawned.
+   */
+  updateOrbRespawns(now = this.clock()) {
+    if (now - this.lastOrbRespawnTime < CONFIG.ORB_RESPAWN_INTERVAL) return 0;
+    this.lastOrbRespawnTime = now;
+
+    for (const [orbId, orb] of this.orbs) {
+      if (orb.collected) this.orbs.delete(orbId);
+    }
+
+    const missing = this.settings.ORB_COUNT_INITIAL - this.orbs.size;
+    if (missing <= 0) return 0;
+    const spawned = this.spawnRandomOrbs(missing);
+    if (spawned > 0) {
+      logger.debug(`Lobby ${this.lobbyId}: respawned ${spawned} orbs`);
+    }
+    return spawned;
   }
 
   /**
@@ -345,13 +719,49 @@ class GameState {
    */
   spawnObstacle(obstacleId, position, size) {
     const height = size.h || Math.max(4, Math.floor((size.w + size.d) / 3));
-    this.obstacles.set(obstacleId, {
+    const obstacle = {
       id: obstacleId,
       position: { x: position.x, y: position.y || 0, z: position.z },
       width: size.w,
       depth: size.d,
       height,
-    });
+    };
+    this.obstacles.set(obstacleId, obstacle);
+    this.occlusion.insert(obstacle);
+  }
+
+  /**
+   * True when no obstacle blocks the line between two positions
+   */
+  hasLineOfSight(from, to) {
+    return this.occlusion.hasLineOfSight(from, to);
+  }
+
+  /**
+   * World point a gaze ray from `eye` lands on: the first obstacle it enters or the
+   * ground, whichever is nearer. A ray that hits neither within maxDistance ends at
+   * the ground below its far end. Returns { x, y, z }.
+   * Player gaze points out of the back of the view on the XZ plane (the monster freeze
+   * check relies on this), so the ray is cast along (-x, y, -z).
+   */
+  raycastGaze(eye, gaze, maxDistance = CONFIG.PING_MAX_DISTANCE) {
+    const length = Math.sqrt(gaze.x * gaze.x + gaze.y * gaze.y + gaze.z * gaze.z) || 1;
+    const dir = { x: -gaze.x / length, y: gaze.y / length, z: -gaze.z / length };
+
+    let distance = maxDistance;
+    if (dir.y < -1e-6) {
+      distance = Math.min(distance, eye.y / -dir.y);
+    }
+    const obstacleDistance = this.occlusion.raycast(eye, dir, distance);
+    if (obstacleDistance !== null) distance = obstacleDistance;
+
+    const point = {
+      x: eye.x + dir.x * distance,
+      y: eye.y + dir.y * distance,
+      z: eye.z + dir.z * distance,
+    };
+    if (obstacleDistance === null) point.y = 0;
+    return point;
   }
 
   /**
@@ -368,11 +778,11 @@ class GameState {
 
     for (let c = 0; c < clusterCount; c++) {
       // cluster center scattered across more of the arena (up to 80% radius)
-      const clusterAngle = Math.random() * Math.PI * 2;
+      const clusterAngle = this.random() * Math.PI * 2;
       const clearRadius = CONFIG.OBSTACLE_CLEAR_RADIUS || 4;
       // ensure cluster centers are at least `clearRadius` away from arena center
       const maxClusterRange = Math.max(0, this.arenaSafeRadius * 0.8 - clearRadius);
-      const clusterDist = clearRadius + Math.random() * maxClusterRange;
+      const clusterDist = clearRadius + this.random() * maxClusterRange;
       const cx = this.centerX + Math.cos(clusterAngle) * clusterDist;
       const cz = this.centerZ + Math.sin(clusterAngle) * clusterDist;
 
@@ -380,11 +790,11 @@ class GameState {
         const idx = c * perCluster + i;
         if (idx >= count) break;
         // generate safer unique id (include random suffix)
-        const obstacleId = `obs_${Date.now()}_${c}_${i}_${Math.random().toString(36).slice(2, 8)}`;
+        const obstacleId = `obs_${this.clock()}_${c}_${i}_${this.random().toString(36).slice(2, 8)}`;
         // place near cluster center within small jitter
-        const angle = Math.random() * Math.PI * 2;
+        const angle = this.random() * Math.PI * 2;
         // jitter each obstacle within a modest area around the cluster center
-        const distance = Math.random() * (this.arenaSafeRadius * 0.18);
+        const distance = this.random() * (this.arenaSafeRadius * 0.18);
         let x = cx + Math.cos(angle) * distance;
         let z = cz + Math.sin(angle) * distance;
         // Ensure obstacle is not placed too close to arena center
@@ -393,7 +803,7 @@ class GameState {
         const distCenter = Math.sqrt(dxCenter * dxCenter + dzCenter * dzCenter);
         if (distCenter < clearRadius) {
           if (distCenter <= 0.001) {
-            const a = Math.random() * Math.PI * 2;
+            const a = this.random() * Math.PI * 2;
             x = this.centerX + Math.cos(a) * clearRadius;
             z = this.centerZ + Math.sin(a) * clearRadius;
           } else {
@@ -402,9 +812,9 @@ class GameState {
             z = this.centerZ + dzCenter * scale;
           }
         }
-        const w = 4 + Math.floor(Math.random() * 6); // width between 4..9
-        const d = 4 + Math.floor(Math.random() * 6); // depth between 4..9
-        const h = 4 + Math.floor(Math.random() * 6); // height between 4..9
+        const w = 4 + Math.floor(this.random() * 6); // width between 4..9
+        const d = 4 + Math.floor(this.random() * 6); // depth between 4..9
+        const h = 4 + Math.floor(this.random() * 6); // height between 4..9
         this.spawnObstacle(obstacleId, { x, y: 0, z }, { w, d, h });
       }
     }
@@ -422,7 +832,7 @@ class GameState {
     if (orb && !orb.collected) {
       orb.collected = true;
       orb.collectedBy = playerId;
-      orb.collectedTime = Date.now();
+      orb.collectedTime = this.clock();
 
       const player = this.players.get(playerId);
       if (player) {
@@ -452,6 +862,28 @@ class GameState {
     return null;
   }
 
+  /**
+   * Collect every orb a living player is standing on (server-detected pickups, run each tick).
+   * Returns [{ orbId, result }] for announcing.
+   */
+  collectOrbsInRange() {
+    const pickups = [];
+    const livingPlayers = this.getLivingPlayers();
+    if (livingPlayers.length === 0) return pickups;
+
+    for (const orb of this.orbs.values()) {
+      if (orb.collected) continue;
+      for (const player of livingPlayers) {
+        if (this.distance(player.position, orb.position) <= CONFIG.ORB_COLLECTION_RANGE) {
+          const result = this.collectOrb(orb.id, player.id);
+          if (result) pickups.push({ orbId: orb.id, result });
+          break;
+        }
+      }
+    }
+    return pickups;
+  }
+
   /**
    * Add score to a player
    */
@@ -463,18 +895,22 @@ class GameState {
   }
 
   /**
-   * Damage a player from monster attack
+   * Damage a player; cause ('monster' or 'zone') is remembered if the hit is fatal
    */
-  damagePlayer(playerId, damage) {
+  damagePlayer(playerId, damage, cause = 'monster') {
     const player = this.players.get(playerId);
     if (!player) return 0;
 
     if (player.health > 0) {
       player.health = Math.max(0, player.health - damage);
-      player.lastAttackTime = Date.now();
+      player.lastAttackTime = this.clock();
     }
 
     if (player.health <= 0) {
+      if (player.state === PLAYER_STATES.ALIVE) {
+        player.deathCause = cause;
+        player.deathTime = this.clock();
+      }
       player.state = PLAYER_STATES.DEAD;
       logger.info(`Player ${playerId} died in lobby ${this.lobbyId}`);
     }
@@ -490,7 +926,7 @@ class GameState {
     const player = this.players.get(playerId);
     if (player && player.health > 0 && player.state === PLAYER_STATES.ALIVE) {
       player.health = Math.min(player.maxHealth, player.health + regenAmount);
-      player.lastRegenTime = Date.now();
+      player.lastRegenTime = this.clock();
       return true;
     }
     return false;
@@ -514,14 +950,18 @@ class GameState {
       maxHealth: CONFIG.MONSTER_MAX_HEALTH,
       targetPlayerId: null,
       behaviour,
-      spawnTime: Date.now(),
-      roarEndTime: Date.now() + CONFIG.MONSTER_ROAR_DURATION,
-      immobileUntilTime: Date.now() + CONFIG.MONSTER_ROAR_IMMOBILE_TIME,
-      nextAttackTime: Date.now() + CONFIG.MONSTER_ATTACK_COOLDOWN,
+      spawnTime: this.clock(),
+      roarEndTime: this.clock() + CONFIG.MONSTER_ROAR_DURATION,
+      immobileUntilTime: this.clock() + CONFIG.MONSTER_ROAR_IMMOBILE_TIME,
+      nextAttackTime: this.clock() + CONFIG.MONSTER_ATTACK_COOLDOWN,
       lastSeenPlayerPosition: null,
       lastSightTime: 0,
+      patrolTarget: null, // { x, z, kind } point of interest while IDLE
+      scanUntil: 0, // IDLE monsters turn in place until this time
+      sweepPhase: this.random() * Math.PI * 2,
       lastPathfindTime: 0,
       pathfindTarget: null,
+      pathUnreachable: false, // last search found no path (retried after the repath interval)
       path: [],
       pathIndex: 0,
       frozenBy: [],
@@ -558,6 +998,60 @@ class GameState {
     }
   }
 
+  /**
+   * Point a dead player's spectator camera at a living player. With no targetId the
+   * next living player after the current target is chosen (direction -1 goes back).
+   * Returns { result: { targetId } } or { error: { code, message } }.
+   */
+  spectatePlayer(playerId, targetId = null, direction = 1) {
+    const player = this.players.get(playerId);
+    if (!player) {
+      return { error: { code: 'player_not_found', message: 'Player not found' } };
+    }
+    if (player.state === PLAYER_STATES.ALIVE) {
+      return { error: { code: 'not_dead', message: 'Only eliminated players can spectate' } };
+    }
+
+    const living = this.getLivingPlayers();
+    if (living.length === 0) {
+      return { error: { code: 'no_targets', message: 'Nobody left to spectate' } };
+    }
+
+    let target;
+    if (targetId) {
+      target = living.find(p => p.id === targetId);
+      if (!target) {
+        return { error: { code: 'invalid_target', message: 'That player cannot be spectated' } };
+      }
+    } else {
+      const index = living.findIndex(p => p.id === player.spectatingPlayerId);
+      const step = direction < 0 ? -1 : 1;
+      const next = index === -1 ? 0 : (index + step + living.length) % living.length;
+      target = living[next];
+    }
+
+    player.state = PLAYER_STATES.SPECTATING;
+    player.spectatingPlayerId = target.id;
+    return { result: { targetId: target.id } };
+  }
+
+  /**
+   * Put newly dead players into spectating and move spectators off players who died
+   * or left (run each tick)
+   */
+  updateSpectators() {
+    for (const player of this.players.values()) {
+      if (player.state === PLAYER_STATES.ALIVE) continue;
+
+      const target = this.players.get(player.spectatingPlayerId);
+      if (player.state === PLAYER_STATES.SPECTATING && target && target.state === PLAYER_STATES.ALIVE) continue;
+
+      if (this.spectatePlayer(player.id).error) {
+        player.spectatingPlayerId = null;
+      }
+    }
+  }
+
   /**
    * Get all living players in this lobby
    */
@@ -607,6 +1101,26 @@ class GameState {
     return true;
   }
 
+  /**
+   * True when the match counts towards profiles and the leaderboard: a public lobby on
+   * the default rules that started with at least 2 people (a lone host or custom rules
+   * would make stats trivial to farm)
+   */
+  isRankedMatch() {
+    return !this.isPrivate && this.settingsPreset === DEFAULT_PRESET && this.humansAtStart >= 2;
+  }
+
+  /**
+   * Number of players who are people rather than bots
+   */
+  getHumanCount() {
+    let count = 0;
+    for (const player of this.players.values()) {
+      if (!player.isBot) count++;
+    }
+    return count;
+  }
+
   /**
    * Get players as array
    */
@@ -721,6 +1235,25 @@ class GameState {
     logger.debug(`Players ${playerId} and ${otherPlayerId} detached`);
   }
 
+  /**
+   * Place the partner of an attached controller just behind them, facing the same way
+   */
+  moveAttachedPartners(controllerId) {
+    const controller = this.players.get(controllerId);
+    if (!controller) return;
+
+    for (const [, other] of this.players) {
+      if (other.attachedTo === controllerId && other.id !== controllerId) {
+        const gaze = controller.gaze || { x: 0, y: 0, z: 1 };
+        const backDist = CONFIG.ATTACH_BACK_DISTANCE || 0.4;
+        other.position.x = controller.position.x + gaze.x * backDist;
+        other.position.z = controller.position.z + gaze.z * backDist;
+        other.position.y = CONFIG.PLAYER_HEIGHT;
+        other.rotation = { ...controller.rotation };
+      }
+    }
+  }
+
   /**
    * Get nearby players within a radius for broadcasts
    */
@@ -763,7 +1296,7 @@ class GameState {
       const dotProduct = player.gaze.x * dx_norm + player.gaze.z * dz_norm;
       const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
 
-      if (angle <= CONFIG.GAZE_RAYCAST_CONE_ANGLE) {
+      if (angle <= CONFIG.GAZE_RAYCAST_CONE_ANGLE && this.hasLineOfSight(player.position, target.position)) {
         viewers.push(player);
       }
     }
@@ -784,6 +1317,9 @@ class GameState {
         centerX: this.centerX,
         centerZ: this.centerZ,
         safeRadius: this.arenaSafeRadius,
+        safeCenterX: this.safeCenterX,
+        safeCenterZ: this.safeCenterZ,
+        nextSafeZone: this.nextSafeZone,
       },
       matchStartTime: this.matchStartTime,
       active: this.active,
@@ -25,6 +25,17 @@ const path = require('path');
 const { CONFIG, logger } = require('./config.js');
 const { LobbyManager } = require('./lobbyManager.js');
 const { MonsterAI } = require('./monsterAI.js');
+const { SnapshotEncoder } = require('./snapshotEncoder.js');
+const { ReplayRecorder, listReplays, getReplayPath } = require('./replayRecorder.js');
+const { ProfileStore } = require('./profileStore.js');
+const { Leaderboard } = require('./leaderboard.js');
+const { MatchmakingQueue } = require('./matchmaking.js');
+const { PartyManager } = require('./partyManager.js');
+const { ChatManager } = require('./chatManager.js');
+const { BotManager } = require('./bots.js');
+const { tickLobby } = require('./lobbyTick.js');
+
+const PING_TYPES = ['orb', 'monster', 'danger', 'go_here', 'cover'];
 
 // ==================== SETUP ====================
 const app = express();
@@ -37,6 +48,12 @@ const io = new SocketIOServer(httpServer, {
   transports: ['websocket', 'polling'],
 });
 
+// The client page may be hosted on another origin (e.g. itch.io) and fetch these routes
+app.use(['/replays', '/api'], (req, res, next) => {
+  res.set('Access-Control-Allow-Origin', '*');
+  next();
+});
+
 // Serve static files from /client
 const clientPath = path.join(__dirname, '../client');
 app.use(express.static(clientPath));
@@ -47,6 +64,15 @@ app.get('/', (req, res) => {
 // ==================== GAME STATE ====================
 const lobbyManager = new LobbyManager(CONFIG.MAX_LOBBIES, CONFIG.PLAYERS_PER_LOBBY);
 const monsterAIByLobby = new Map(); // lobbyId -> MonsterAI instance
+const snapshotsByLobby = new Map(); // lobbyId -> SnapshotEncoder (state_update deltas)
+const replaysByLobby = new Map(); // lobbyId -> ReplayRecorder for the running match
+const profileStore = new ProfileStore(); // persistent player profiles and career stats
+const leaderboard = new Leaderboard(); // all-time / weekly / seasonal rankings
+const matchmaking = new MatchmakingQueue(); // players waiting for a skill-matched lobby
+const parties = new PartyManager(); // friends who queue together (keyed by profile id)
+const socketsByProfile = new Map(); // profileId -> socket currently signed in with it
+const chat = new ChatManager(); // lobby / proximity / partner text chat
+const botsByLobby = new Map(); // lobbyId -> BotManager for the lobby's bots
 const playerToLobby = new Map(); // playerId (socket.id) -> lobbyId
 const playerReconnectTimers = new Map(); // playerId -> timeout id for reconnection grace period
 const disconnectedPlayers = new Map(); // playerId -> { lobbyId, disconnectTime, timeout }
@@ -56,6 +82,7 @@ const playerSessions = new Map(); // username -> { playerId, lobbyId, lastActive
 // ==================== GAME LOOP ====================
 let gameLoopRunning = false;
 let gameLoopInterval = null;
+let matchmakingInterval = null;
 const GAME_TICK_RATE = CONFIG.GAME_LOOP_RATE; // 60 Hz server updates
 const NETWORK_TICK_RATE = CONFIG.NETWORK_UPDATE_RATE; // 30 Hz broadcasts to clients
 const GAME_TICK = 1000 / GAME_TICK_RATE;
@@ -75,6 +102,7 @@ function startGameLoop() {
   gameLoopInterval = setInterval(() => {
     gameTickCount++;
     const now = Date.now();
+    const tickStart = performance.now();
 
     // Update game state every game tick
     updateAllLobbies((GAME_TICK) / 1000);
@@ -84,9 +112,29 @@ function startGameLoop() {
       broadcastAllLobbies();
       lastNetworkBroadcast = now;
     }
+
+    if (CONFIG.BOT_LOAD_TEST_LOBBIES > 0) recordTickTime(performance.now() - tickStart, now);
   }, GAME_TICK);
 }
 
+/**
+ * Load-test timing: log the average and worst game tick every BOT_LOAD_TEST_REPORT_INTERVAL
+ */
+const tickTimes = { count: 0, total: 0, max: 0, since: Date.now() };
+function recordTickTime(ms, now) {
+  tickTimes.count++;
+  tickTimes.total += ms;
+  tickTimes.max = Math.max(tickTimes.max, ms);
+  if (now - tickTimes.since < CONFIG.BOT_LOAD_TEST_REPORT_INTERVAL) return;
+
+  let bots = 0;
+  for (const botManager of botsByLobby.values()) bots += botManager.size;
+  logger.info(`Load test: ${lobbyManager.lobbies.size} lobbies, ${bots} bots, ` +
+    `tick avg ${(tickTimes.total / tickTimes.count).toFixed(2)}ms, max ${tickTimes.max.toFixed(2)}ms ` +
+    `(budget ${GAME_TICK.toFixed(1)}ms)`);
+  Object.assign(tickTimes, { count: 0, total: 0, max: 0, since: now });
+}
+
 /**
  * Stop the game loop - called when last player disconnects
  */
@@ -98,7 +146,7 @@ function stopGameLoop() {
 }
 
 /**
- * Update all active lobbies (game logic tick)
+ * Update all active lobbies (game logic tick, see lobbyTick.js) and announce what happened
  */
 
 // index.js
@@ -106,44 +154,37 @@ function updateAllLobbies(deltaTime) {
   for (const [lobbyId, gameState] of lobbyManager.getAllLobbies()) {
     if (!gameState || !gameState.active) continue;
 
-    const monsterAI = monsterAIByLobby.get(lobbyId);
-    if (monsterAI) {
-      monsterAI.updateAllMonsters(deltaTime);
-    }
+    const tick = tickLobby(gameState, {
+      monsterAI: monsterAIByLobby.get(lobbyId),
+      bots: botsByLobby.get(lobbyId),
+      deltaTime,
+    });
 
-    const livingPlayers = gameState.getLivingPlayers();
-    const now = Date.now();
-    for (const player of livingPlayers) {
-      // Regenerate health every configured interval (1% every 5s)
-      if (!player.lastRegenTime || (now - player.lastRegenTime) >= CONFIG.PLAYER_REGEN_INTERVAL) {
-        gameState.regenPlayer(player.id, CONFIG.PLAYER_REGEN_AMOUNT);
-      }
+    for (const { orbId, result } of tick.pickups) {
+      announceOrbCollected(lobbyId, orbId, result);
+    }
 
-      // Apply damage when outside the shrinking safe radius
-      const dx = player.position.x - gameState.centerX;
-      const dz = player.position.z - gameState.centerZ;
-      const dist = Math.sqrt(dx * dx + dz * dz);
-      if (dist > gameState.arenaSafeRadius) {
-        const damagePerSecond = CONFIG.ARENA_OUTSIDE_DAMAGE_PER_SECOND || 5;
-        const damage = damagePerSecond * deltaTime;
-        gameState.damagePlayer(player.id, damage);
-      }
+    for (const player of tick.forcedBlinks) {
+      recordReplayEvent(lobbyId, 'blink', { playerId: player.id, forced: true });
+      io.to(lobbyId).emit('blink_forced', {
+        playerId: player.id,
+        blinkTimeRemaining: gameState.settings.PLAYER_BLINK_MAX_TIME,
+      });
     }
 
-    const matchTime = gameState.getMatchElapsedTime();
-    if (matchTime > CONFIG.ARENA_SHRINK_START_TIME) {
-      const timeShrinking = matchTime - CONFIG.ARENA_SHRINK_START_TIME;
-      const shrinkProgress = Math.min(1, timeShrinking / CONFIG.ARENA_SHRINK_DURATION);
-      gameState.arenaSafeRadius =
-        CONFIG.ARENA_RADIUS -
-        (CONFIG.ARENA_RADIUS - CONFIG.ARENA_FINAL_RADIUS) * shrinkProgress;
+    if (tick.suddenDeath) {
+      io.to(lobbyId).emit('sudden_death', {
+        message: 'Sudden death! Next point wins - no regeneration',
+        maxDuration: CONFIG.SUDDEN_DEATH_MAX_DURATION,
+      });
     }
 
-    const shouldEnd =
-      livingPlayers.length <= 1 ||
-      gameState.arenaSafeRadius <= CONFIG.ARENA_FINAL_RADIUS;
-    if (shouldEnd && gameState.active) {
-      endLobbyMatch(lobbyId);
+    // endLobbyMatch records the final frame itself
+    if (tick.endReason !== 'time') {
+      replaysByLobby.get(lobbyId)?.captureFrame(Date.now());
+    }
+    if (tick.endReason) {
+      endLobbyMatch(lobbyId, tick.endReason);
     }
   }
 }
@@ -157,13 +198,28 @@ function broadcastAllLobbies() {
     // Broadcast for both lobby phase (inactive) and game phase (active)
     broadcastLobbyState(gameState);
   }
+
+  // Drop snapshot history and recordings for lobbies that were closed
+  for (const lobbyId of snapshotsByLobby.keys()) {
+    if (!lobbyManager.getLobby(lobbyId)) snapshotsByLobby.delete(lobbyId);
+  }
+  for (const lobbyId of replaysByLobby.keys()) {
+    if (!lobbyManager.getLobby(lobbyId)) replaysByLobby.delete(lobbyId);
+  }
+  for (const lobbyId of botsByLobby.keys()) {
+    if (!lobbyManager.getLobby(lobbyId)) botsByLobby.delete(lobbyId);
+  }
 }
 
 
 /**
- * Send current lobby state to all players in that lobby
+ * Send current lobby state to all players in that lobby.
+ * Each client receives a delta against the last snapshot it acknowledged.
  */
 function broadcastLobbyState(gameState) {
+  const sockets = io.sockets.adapter.rooms.get(gameState.lobbyId);
+  if (!sockets || sockets.size === 0) return;
+
   const players = Array.from(gameState.players.values())
     .filter(p => p && p.position && typeof p.position.x === 'number') // Only include players with valid positions
     .map(p => ({
@@ -180,17 +236,11 @@ function broadcastLobbyState(gameState) {
       ready: p.ready,
       isControlling: (typeof p.isControlling === 'boolean') ? p.isControlling : true,
       attachmentState: p.attachmentState,
-
+      lastInputSeq: p.lastInputSeq,
+      blinkDeadline: p.blinkDeadline, // server ms; changes only when the player blinks
+      spectatingPlayerId: p.spectatingPlayerId,
     }));
 
-  if (players.length > 1) {
-    // Safe logging with null checks
-    const playerInfo = players.map(p => {
-      return `${p.username}(${p.id.slice(0, 6)}) at (${p.position.x.toFixed(1)},${p.position.z.toFixed(1)})`;
-    }).join(', ');
-    console.log(`[Broadcast] Lobby ${gameState.lobbyId}: Sending ${players.length} players: ${playerInfo}`);
-  }
-
   const monsters = Array.from(gameState.monsters.values()).map(m => ({
     id: m.id,
     position: m.position,
@@ -207,35 +257,419 @@ function broadcastLobbyState(gameState) {
     value: o.value,
   }));
 
-  const obstacles = Array.from(gameState.getActiveObstacles ? gameState.getActiveObstacles() : []).map(o => ({
-    id: o.id,
-    position: o.position,
-    width: o.width,
-    depth: o.depth,
-  }));
+  let snapshots = snapshotsByLobby.get(gameState.lobbyId);
+  if (!snapshots) {
+    snapshots = new SnapshotEncoder();
+    snapshotsByLobby.set(gameState.lobbyId, snapshots);
+  }
 
-  const payload = {
+  // Obstacles are static per match and go out once with match_started
+  snapshots.capture({
     players,
     monsters,
     orbs,
-    obstacles,
-    arenaSafeRadius: gameState.arenaSafeRadius,
-    matchTime: gameState.getMatchElapsedTime() / 1000, // seconds
-    active: gameState.active, // Include whether game is active or in lobby
+    meta: {
+      arenaSafeRadius: gameState.arenaSafeRadius,
+      safeCenter: { x: gameState.safeCenterX, z: gameState.safeCenterZ },
+      nextSafeZone: gameState.nextSafeZone, // { x, z, radius } preview, or null
+      matchTime: gameState.getMatchElapsedTime() / 1000, // seconds
+      timeRemaining: Math.ceil(gameState.getMatchTimeRemaining() / 1000), // seconds
+      suddenDeath: gameState.suddenDeath,
+      active: gameState.active, // Include whether game is active or in lobby
+      serverTime: Date.now(), // ms, drives client-side interpolation
+    },
+  });
+
+  for (const socketId of sockets) {
+    io.to(socketId).emit('state_update', snapshots.encodeFor(socketId));
+  }
+}
+
+/**
+ * Match setup sent once per match: static obstacle layout and the tunables clients need
+ */
+function getMatchSetup(gameState) {
+  return {
+    obstacles: Array.from(gameState.getActiveObstacles()).map(o => ({
+      id: o.id,
+      position: o.position,
+      width: o.width,
+      depth: o.depth,
+      height: o.height,
+    })),
+    config: {
+      ...gameState.settings, // this lobby's rules
+      ARENA_RADIUS: CONFIG.ARENA_RADIUS,
+      PLAYER_SPEED: CONFIG.PLAYER_SPEED,
+      PLAYER_BACKWARD_SPEED_MULTIPLIER: CONFIG.PLAYER_BACKWARD_SPEED_MULTIPLIER,
+      ORB_COLLECTION_RANGE: CONFIG.ORB_COLLECTION_RANGE,
+    },
   };
+}
+
+/**
+ * Announce an orb pickup (one event per player credited, two when split between partners)
+ */
+function announceOrbCollected(lobbyId, orbId, result) {
+  for (const r of result.results) {
+    recordReplayEvent(lobbyId, 'orb_collected', { orbId, playerId: r.playerId, points: r.points });
+    io.to(lobbyId).emit('orb_collected', {
+      orbId,
+      playerId: r.playerId,
+      points: r.points,
+    });
+    logger.debug(`Player ${r.playerId} collected orb ${orbId} (+${r.points})${result.split ? ' [split]' : ''}`);
+  }
+}
 
-  io.to(gameState.lobbyId).emit('state_update', payload);
+/**
+ * Tell everyone in a lobby about its current settings (privacy, lock, host)
+ */
+function broadcastLobbyInfo(lobbyId) {
+  const gameState = lobbyManager.getLobby(lobbyId);
+  if (gameState) {
+    io.to(lobbyId).emit('lobby_info', gameState.getLobbyInfo());
+  }
+}
+
+/**
+ * The lobby's MonsterAI, created on first use (attacks are recorded in the replay)
+ */
+function getMonsterAI(lobbyId, gameState) {
+  let monsterAI = monsterAIByLobby.get(lobbyId);
+  if (!monsterAI) {
+    monsterAI = new MonsterAI(gameState);
+    monsterAI.on('attack', (attack) => recordReplayEvent(lobbyId, 'attack', attack));
+    monsterAIByLobby.set(lobbyId, monsterAI);
+  }
+  return monsterAI;
+}
+
+/**
+ * The lobby's BotManager, created on first use (bot blinks and pairings are announced
+ * like a socket's)
+ */
+function getBots(lobbyId) {
+  let bots = botsByLobby.get(lobbyId);
+  if (!bots) {
+    bots = new BotManager(lobbyManager, lobbyId);
+    bots.on('blink', ({ playerId }) => {
+      recordReplayEvent(lobbyId, 'blink', { playerId, forced: false });
+      io.to(lobbyId).emit('blink_action', { playerId });
+    });
+    bots.on('attach', (pair) => {
+      recordReplayEvent(lobbyId, 'attach', pair);
+      io.to(lobbyId).emit('attach_accepted', pair);
+    });
+    botsByLobby.set(lobbyId, bots);
+  }
+  return bots;
+}
+
+/**
+ * Bring a lobby's bots up (or down) to its BOT_COUNT setting, within the free slots,
+ * and announce the change. Lobbies without people are left alone.
+ */
+function fillLobbyWithBots(lobbyId) {
+  const gameState = lobbyManager.getLobby(lobbyId);
+  if (!gameState || gameState.active || gameState.getHumanCount() === 0) return;
+
+  const bots = getBots(lobbyId);
+  const missing = gameState.settings.BOT_COUNT - bots.size;
+  if (missing > 0) {
+    const freeSlots = CONFIG.PLAYERS_PER_LOBBY - gameState.players.size;
+    for (const bot of bots.addBots(Math.min(missing, freeSlots))) {
+      io.to(lobbyId).emit('player_joined', { playerId: bot.id, username: bot.username });
+    }
+  } else if (missing < 0) {
+    for (const botId of bots.removeBots(-missing)) {
+      io.to(lobbyId).emit('player_left', { playerId: botId });
+    }
+  }
+  broadcastLobbyInfo(lobbyId);
+  scheduleAutoStart(lobbyId);
+}
+
+/**
+ * Fill a lobby with bots if it is still waiting for its match after BOT_FILL_DELAY
+ */
+function scheduleBotFill(lobbyId) {
+  const gameState = lobbyManager.getLobby(lobbyId);
+  if (!CONFIG.BOT_FILL_ENABLED || !gameState || gameState.active || gameState._botFillTimeout) return;
+
+  gameState._botFillTimeout = setTimeout(() => {
+    gameState._botFillTimeout = null;
+    fillLobbyWithBots(lobbyId);
+  }, CONFIG.BOT_FILL_DELAY);
+}
+
+/**
+ * Public lobbies start on their own: at once when full, otherwise shortly after a
+ * second player arrives. Private lobbies wait for everyone to ready up or for the host.
+ */
+function scheduleAutoStart(lobbyId) {
+  const gameState = lobbyManager.getLobby(lobbyId);
+  const playerCount = gameState.players.size;
+  if (!gameState.active && !gameState.isPrivate && playerCount >= 1) {
+    // Auto-start after 5s or when 8 players join
+    if (playerCount === CONFIG.PLAYERS_PER_LOBBY ||
+      (playerCount >= 2 && !gameState._startTimeout)) {
+      if (playerCount === CONFIG.PLAYERS_PER_LOBBY) {
+        startLobbyMatch(lobbyId, 'Match starting!');
+      } else {
+        gameState._startTimeout = setTimeout(() => {
+          if (!gameState.active && gameState.players.size > 0) {
+            startLobbyMatch(lobbyId, 'Match starting!');
+          }
+        }, 5000);
+      }
+    }
+  }
+}
+
+/**
+ * Load test (BOT_LOAD_TEST_LOBBIES): private lobbies full of bots that play match after
+ * match while the game loop logs its tick times
+ */
+function startLoadTest() {
+  for (let i = 0; i < CONFIG.BOT_LOAD_TEST_LOBBIES; i++) {
+    const lobbyId = lobbyManager.createLobby({ isPrivate: true });
+    if (!lobbyId) break;
+    lobbyManager.getLobby(lobbyId).isLoadTest = true;
+    getBots(lobbyId).addBots(CONFIG.PLAYERS_PER_LOBBY);
+    startLobbyMatch(lobbyId, null);
+  }
+  logger.info(`Load test started with ${botsByLobby.size} bot lobbies`);
+}
+
+/**
+ * Start a match in a lobby, prepare its monster AI and announce it
+ */
+function startLobbyMatch(lobbyId, message) {
+  if (!lobbyManager.startLobbyMatch(lobbyId)) return false;
+
+  const gameState = lobbyManager.getLobby(lobbyId);
+  const monsterAI = getMonsterAI(lobbyId, gameState);
+  // Navigation grid depends on this match's obstacle layout
+  monsterAI.onMatchStart();
+
+  // Bot load-test matches would only churn the replay directory
+  if (CONFIG.REPLAY_ENABLED && !gameState.isLoadTest) {
+    replaysByLobby.set(lobbyId, new ReplayRecorder(gameState));
+  }
+
+  if (!gameLoopRunning) startGameLoop();
+  io.to(lobbyId).emit('match_started', { message, ...getMatchSetup(gameState) });
+  return true;
 }
 
 /**
  * End a match in a lobby and announce results
  */
-function endLobbyMatch(lobbyId) {
-  const results = lobbyManager.endLobbyMatch(lobbyId);
+function endLobbyMatch(lobbyId, reason) {
+  // Final replay frame before the lobby resets
+  const recorder = replaysByLobby.get(lobbyId);
+  replaysByLobby.delete(lobbyId);
+  recorder?.captureFrame(Date.now(), true);
+
+  const results = lobbyManager.endLobbyMatch(lobbyId, reason);
   if (results) {
+    if (recorder) results.replayId = recorder.id;
     io.to(lobbyId).emit('match_end', results);
     logger.info(`Match ended in lobby ${lobbyId}`, results);
   }
+  recorder?.finish(results || {});
+
+  // Bots ready up for the next match; load-test lobbies go straight into it
+  const gameState = lobbyManager.getLobby(lobbyId);
+  if (gameState) {
+    botsByLobby.get(lobbyId)?.readyAll();
+    if (gameState.isLoadTest) {
+      setTimeout(() => startLobbyMatch(lobbyId, null), 5000);
+    }
+  }
+
+  if (results) {
+    profileStore.recordMatch(results).catch((err) => {
+      logger.error(`Failed to record match stats for lobby ${lobbyId}: ${err.message}`);
+    });
+    leaderboard.recordMatch(results).catch((err) => {
+      logger.error(`Failed to update leaderboard for lobby ${lobbyId}: ${err.message}`);
+    });
+  }
+}
+
+/**
+ * Link a player to their profile (creating one for new or unknown tokens) and send
+ * the client its token and current stats
+ */
+async function attachProfile(socket, player, token) {
+  const profile = await linkProfile(socket, token, player.username);
+  player.profileId = profile.id;
+}
+
+/**
+ * Resolve the socket's profile and remember it on socket.data (parties need a
+ * profile before the player is in any lobby). Resolves with the profile.
+ */
+async function linkProfile(socket, token, username) {
+  const { profile, token: profileToken } = await profileStore.resolve(token, username);
+  socket.data.profileId = profile.id;
+  socket.data.username = socket.data.username || profile.username;
+  socketsByProfile.set(profile.id, socket);
+  socket.emit('profile', { token: profileToken, profile: ProfileStore.toPublic(profile) });
+
+  // Back in their party after a reload or reconnect
+  const party = parties.getParty(profile.id);
+  if (party) {
+    parties.updateUsername(profile.id, profile.username);
+    socket.join(partyRoom(party.code));
+    broadcastParty(party);
+  }
+  return profile;
+}
+
+// ==================== PARTIES ====================
+
+function partyRoom(code) {
+  return `party:${code}`;
+}
+
+/**
+ * Party as sent to its members (party_update)
+ */
+function getPartyInfo(party) {
+  return {
+    code: party.code,
+    leaderId: party.leaderId,
+    maxSize: CONFIG.PARTY_MAX_SIZE,
+    queued: matchmaking.has(partyRoom(party.code)),
+    members: Array.from(party.members.values()).map((member) => {
+      const memberSocket = socketsByProfile.get(member.profileId);
+      return {
+        profileId: member.profileId,
+        username: member.username,
+        online: !!memberSocket?.connected,
+        lobbyCode: memberSocket ? playerToLobby.get(memberSocket.data.playerId) || null : null,
+      };
+    }),
+  };
+}
+
+function broadcastParty(party) {
+  io.to(partyRoom(party.code)).emit('party_update', getPartyInfo(party));
+}
+
+/**
+ * Take a party out of the matchmaking queue (its size or members changed)
+ */
+function cancelPartyQueue(party) {
+  if (matchmaking.dequeue(partyRoom(party.code))) {
+    io.to(partyRoom(party.code)).emit('game_message', { message: 'Party matchmaking cancelled', type: 'warning' });
+  }
+}
+
+/**
+ * Is this socket's player alive in a running match (and so can't be moved)?
+ */
+function isPlayingMatch(socket) {
+  const gameState = lobbyManager.getLobby(playerToLobby.get(socket.data.playerId));
+  return !!(gameState?.active && gameState.getPlayer(socket.data.playerId)?.state === 'alive');
+}
+
+/**
+ * Why the party can't move into a lobby right now (a member is offline or still
+ * alive in a running match), or null
+ */
+function getPartyMoveRefusal(party) {
+  for (const member of party.members.values()) {
+    const memberSocket = socketsByProfile.get(member.profileId);
+    if (!memberSocket?.connected) return `${member.username} is offline`;
+    if (isPlayingMatch(memberSocket)) return `${member.username} is still in a match`;
+  }
+  return null;
+}
+
+/**
+ * Queue a whole party as one matchmaking entry (average rating of its members);
+ * when it is matched every member is moved into the same lobby.
+ * Returns an error message, or null once queued.
+ */
+async function queueParty(party) {
+  const refusal = getPartyMoveRefusal(party);
+  if (refusal) return refusal;
+  const members = Array.from(party.members.values()).map(m => ({ ...m, socket: socketsByProfile.get(m.profileId) }));
+
+  const profiles = await Promise.all(members.map(m => profileStore.get(m.profileId)));
+  const rating = Math.round(profiles.reduce((sum, p) => sum + (p ? ProfileStore.getRating(p) : CONFIG.RATING_INITIAL), 0) / profiles.length);
+
+  const room = partyRoom(party.code);
+  const moveParty = (targetLobbyId) => {
+    // Checked again before anyone leaves their lobby: members may have gone offline
+    // or into a match while queued, and there may be no lobby to go to
+    const refusal = targetLobbyId && lobbyManager.getLobby(targetLobbyId)
+      ? getPartyMoveRefusal(party)
+      : 'No lobby is available';
+    if (refusal) {
+      io.to(room).emit('game_message', { message: `Party match cancelled: ${refusal}`, type: 'warning' });
+      broadcastParty(party);
+      return;
+    }
+
+    for (const member of party.members.values()) {
+      const memberSocket = socketsByProfile.get(member.profileId);
+      if (memberSocket?.connected) memberSocket.data.moveToLobby(targetLobbyId);
+    }
+    broadcastParty(party);
+  };
+
+  for (const member of members) matchmaking.dequeue(member.socket.id);
+  if (!CONFIG.MATCHMAKING_ENABLED) {
+    moveParty(lobbyManager.findAvailableLobby(members.length));
+    return null;
+  }
+
+  matchmaking.enqueue(room, rating, moveParty, members.length);
+  broadcastParty(party);
+  io.to(room).emit('matchmaking_status', matchmaking.getStatus(room));
+  logger.info(`Party ${party.code} queued for matchmaking (${members.length} players, rating ${rating})`);
+  return null;
+}
+
+/**
+ * Form matchmaking groups, move each into a lobby and tell everyone still waiting
+ * where they stand
+ */
+function updateMatchmaking() {
+  const now = Date.now();
+  for (const group of matchmaking.update(now)) {
+    // Groups get a fresh lobby; a player or party that waited alone takes any open one
+    const players = group.reduce((sum, entry) => sum + entry.size, 0);
+    const targetLobbyId = group.length > 1
+      ? lobbyManager.createLobby() || lobbyManager.findAvailableLobby(players)
+      : lobbyManager.findAvailableLobby(players);
+    if (!targetLobbyId) {
+      matchmaking.requeue(group);
+      logger.warn(`Matchmaking: no lobby free for ${players} player(s), keeping them queued`);
+      continue;
+    }
+    logger.info(`Matchmaking: ${players} player(s) -> lobby ${targetLobbyId}`, {
+      ratings: group.map(e => e.rating),
+    });
+    for (const entry of group) entry.onMatch(targetLobbyId);
+  }
+
+  for (const id of matchmaking.entries.keys()) {
+    io.to(id).emit('matchmaking_status', matchmaking.getStatus(id, now));
+  }
+}
+
+/**
+ * Add an event to the lobby's replay (no-op when nothing is recording)
+ */
+function recordReplayEvent(lobbyId, type, data) {
+  const recorder = replaysByLobby.get(lobbyId);
+  if (recorder) recorder.recordEvent(type, data);
 }
 
 // ==================== SOCKET.IO HANDLERS ====================
@@ -246,11 +680,17 @@ io.on('connection', (socket) => {
   let lobbyId = null;
   let playerId = socket.id;
   let actualPlayerId = playerId; // Track the actual persistent player ID
+  let lastPingTime = 0; // throttles this socket's pings (PING_COOLDOWN)
+  let joinRequest = 0; // counts join_lobby requests so a stale matchmaking search can tell it was superseded
 
   /**
    * join_lobby - Player requests to join or create a lobby
    */
   socket.on('join_lobby', (data) => {
+    // Any join replaces a pending matchmaking search (or the match would add a second lobby)
+    matchmaking.dequeue(socket.id);
+    const request = ++joinRequest;
+
     const previousPlayerId = data.previousPlayerId;
     const username = data.username || `Player${playerId.slice(-4)}`;
 
@@ -273,6 +713,13 @@ io.on('connection', (socket) => {
 
         clearTimeout(disconnected.timeout);
         disconnectedPlayers.delete(previousPlayerId);
+        playerReconnectTimers.delete(previousPlayerId);
+
+        const player = lobbyManager.getLobby(targetLobbyId)?.getPlayer(previousPlayerId);
+        if (player) {
+          player.isConnected = true;
+          player.disconnectTime = null;
+        }
 
         logger.info(`Player ${playerId} reconnecting to lobby ${targetLobbyId}`);
         socket.emit('reconnected', {
@@ -314,15 +761,58 @@ io.on('connection', (socket) => {
     // If not reconnecting, create new player ID or find new lobby
     if (!isReconnect) {
       actualPlayerId = socket.id; // New player gets socket ID
-      targetLobbyId = data.lobbyCode ? data.lobbyCode : lobbyManager.findAvailableLobby();
-
-      if (!targetLobbyId) {
-        socket.emit('error', { message: 'No lobbies available' });
-        logger.warn(`Join lobby failed for ${playerId}: no lobbies available`);
+      if (data.createPrivate) {
+        targetLobbyId = lobbyManager.createLobby({ isPrivate: true });
+      } else if (data.lobbyCode) {
+        // Join by code (works for private lobbies; locked or full lobbies refuse)
+        targetLobbyId = String(data.lobbyCode).trim().toUpperCase();
+        const joinError = lobbyManager.getJoinError(targetLobbyId);
+        if (joinError) {
+          socket.emit('join_lobby_response', { success: false, ...joinError });
+          logger.warn(`Join lobby ${targetLobbyId} failed for ${playerId}: ${joinError.code}`);
+          return;
+        }
+      } else if (data.matchmaking && CONFIG.MATCHMAKING_ENABLED) {
+        // Wait in the skill-based queue; completeJoin runs once a group is formed
+        enterMatchmaking(data, username, request).catch((err) => {
+          logger.error(`Failed to queue ${playerId} for matchmaking: ${err.message}`);
+          socket.emit('error', { message: 'Matchmaking is unavailable' });
+        });
         return;
+      } else {
+        targetLobbyId = lobbyManager.findAvailableLobby();
       }
     }
 
+    completeJoin(targetLobbyId, data, username, isReconnect);
+  });
+
+  /**
+   * Queue this socket for matchmaking with its profile rating (`request` is the
+   * join_lobby that asked; skipped if a later join or lobby got there first)
+   */
+  async function enterMatchmaking(data, username, request) {
+    const { profile, token } = await profileStore.resolve(data.profileToken, username);
+    if (!socket.connected || lobbyId || request !== joinRequest) return;
+    data.profileToken = token; // reuse the issued token when the player joins
+
+    matchmaking.enqueue(socket.id, ProfileStore.getRating(profile), (targetLobbyId) => {
+      completeJoin(targetLobbyId, data, username, false);
+    });
+    socket.emit('matchmaking_status', matchmaking.getStatus(socket.id));
+    logger.info(`Player ${socket.id} queued for matchmaking (rating ${ProfileStore.getRating(profile)}, ${matchmaking.size} waiting)`);
+  }
+
+  /**
+   * Add (or re-add) this socket's player to a lobby and send join_lobby_response
+   */
+  function completeJoin(targetLobbyId, data, username, isReconnect) {
+    if (!targetLobbyId) {
+      socket.emit('error', { message: 'No lobbies available' });
+      logger.warn(`Join lobby failed for ${playerId}: no lobbies available`);
+      return;
+    }
+
     // Add/rejoin player to lobby
     const playerData = {
       username: username,
@@ -345,34 +835,33 @@ io.on('connection', (socket) => {
     socket.join(lobbyId);
 
     const gameState = lobbyManager.getLobby(lobbyId);
-
-    // Create MonsterAI if needed
-    if (!monsterAIByLobby.has(lobbyId)) {
-      const monsterAI = new MonsterAI(gameState);
-      monsterAIByLobby.set(lobbyId, monsterAI);
-    }
-
-    // Check if we should start the game (simple: start when enough players or after delay)
-    const playerCount = gameState.players.size;
-    if (!gameState.active && playerCount >= 1) {
-      // Auto-start after 5s or when 8 players join
-      if (playerCount === CONFIG.PLAYERS_PER_LOBBY ||
-        (playerCount >= 2 && !gameState._startTimeout)) {
-        if (playerCount === CONFIG.PLAYERS_PER_LOBBY) {
-          lobbyManager.startLobbyMatch(lobbyId);
-          if (!gameLoopRunning) startGameLoop();
-          io.to(lobbyId).emit('match_started', { message: 'Match starting!' });
-        } else {
-          gameState._startTimeout = setTimeout(() => {
-            if (!gameState.active && gameState.players.size > 0) {
-              lobbyManager.startLobbyMatch(lobbyId);
-              if (!gameLoopRunning) startGameLoop();
-              io.to(lobbyId).emit('match_started', { message: 'Match starting!' });
-            }
-          }, 5000);
-        }
+    const joinedPlayer = gameState.getPlayer(actualPlayerId);
+    socket.data.playerId = actualPlayerId;
+    socket.data.username = username;
+    if (joinedPlayer) {
+      joinedPlayer.socketId = socket.id; // lets the host's kick reach this socket
+      if (socket.data.profileId) {
+        // Moved with their party: the profile is already linked to this socket
+        joinedPlayer.profileId = socket.data.profileId;
+        const party = parties.getParty(socket.data.profileId);
+        if (party) broadcastParty(party);
+      } else {
+        attachProfile(socket, joinedPlayer, data.profileToken).catch((err) => {
+          logger.error(`Failed to load profile for ${actualPlayerId}: ${err.message}`);
+        });
       }
     }
+    if (data.createPrivate && !isReconnect) {
+      gameState.hostId = actualPlayerId;
+    }
+
+    // Create MonsterAI if needed
+    getMonsterAI(lobbyId, gameState);
+
+    // Check if we should start the game (simple: start when enough players or after delay);
+    // bots take the empty slots if nobody else turns up
+    scheduleAutoStart(lobbyId);
+    if (!isReconnect) scheduleBotFill(lobbyId);
 
     // Send confirmation
     socket.emit('join_lobby_response', {
@@ -395,11 +884,17 @@ io.on('connection', (socket) => {
         })),
         active: gameState.active,
       },
+      lobby: gameState.getLobbyInfo(),
       serverConfig: {
-        PLAYER_BLINK_MAX_TIME: CONFIG.PLAYER_BLINK_MAX_TIME,
+        PLAYER_BLINK_MAX_TIME: gameState.settings.PLAYER_BLINK_MAX_TIME,
       },
     });
 
+    // Joining a match in progress: send the match setup that was broadcast at start
+    if (gameState.active) {
+      socket.emit('match_started', { message: null, ...getMatchSetup(gameState) });
+    }
+
     // Notify others
     if (!isReconnect) {
       socket.to(lobbyId).emit('player_joined', {
@@ -414,7 +909,7 @@ io.on('connection', (socket) => {
     }
 
     logger.info(`Player ${playerId} ${isReconnect ? 'reconnected to' : 'joined'} lobby ${lobbyId} (${gameState.players.size}/${CONFIG.PLAYERS_PER_LOBBY})`);
-  });
+  }
 
   /**
    * player_input - Receive player movement/rotation/gaze updates
@@ -428,6 +923,9 @@ io.on('connection', (socket) => {
     const player = gameState.getPlayer(playerId);
     if (!player) return;
 
+    // Echoed in state_update so the client can replay only newer movement commands
+    if (Number.isInteger(data.seq)) player.lastInputSeq = data.seq;
+
     // If attached and not controlling movement, only accept rotation/gaze updates (view-only)
     if (player.attachedTo && !player.isControlling) {
       if (data.rotation) player.rotation = data.rotation;
@@ -436,21 +934,19 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Normal update (controller or unattached)
-    gameState.updatePlayerTransform(playerId, data.position, data.rotation, data.gaze);
-
-    // If this player is controlling for any attached partner(s), place them behind the controller
-    for (const [, other] of gameState.players) {
-      if (other.attachedTo === playerId && other.id !== playerId) {
-        const gaze = player.gaze || { x: 0, y: 0, z: 1 };
-        const backDist = CONFIG.ATTACH_BACK_DISTANCE || 0.4;
-        other.position.x = player.position.x + gaze.x * backDist;
-        other.position.z = player.position.z + gaze.z * backDist;
-        other.position.y = CONFIG.PLAYER_HEIGHT;
-        // Keep other's rotation updated to face same direction
-        other.rotation = { ...player.rotation };
+    // Normal update (controller or unattached) - server validates the move
+    const correction = gameState.updatePlayerTransform(playerId, data.position, data.rotation, data.gaze);
+    if (correction) {
+      const now = Date.now();
+      if (now - (player.lastCorrectionTime || 0) >= CONFIG.MOVEMENT_CORRECTION_COOLDOWN) {
+        player.lastCorrectionTime = now;
+        socket.emit('position_correction', { ...correction, seq: player.lastInputSeq });
+        logger.debug(`Position correction for ${playerId} (${correction.reason})`);
       }
     }
+
+    // If this player is controlling for any attached partner(s), place them behind the controller
+    gameState.moveAttachedPartners(playerId);
   });
 
   /**
@@ -461,46 +957,42 @@ io.on('connection', (socket) => {
 
     const gameState = lobbyManager.getLobby(lobbyId);
     if (!gameState || !gameState.active) return;
+    // Dead players and spectators have no blink timer to reset
+    if (gameState.getPlayer(playerId)?.state !== 'alive') return;
 
-    gameState.executeBlink(playerId, CONFIG.PLAYER_BLINK_MAX_TIME / 1000);
+    const blinkTimeRemaining = gameState.executeBlink(playerId);
+    if (blinkTimeRemaining === null) return;
+    recordReplayEvent(lobbyId, 'blink', { playerId, forced: false });
     socket.to(lobbyId).emit("blink_action", { playerId });
-    socket.emit("blink_response", { success: true });
+    socket.emit("blink_response", { success: true, blinkTimeRemaining });
 
   });
 
   /**
-   * collect_orb - Player collects an orb
+   * spectate - Dead player picks who to watch: { targetId } or { direction: 1 | -1 } to cycle
    */
-  socket.on('collect_orb', (data) => {
+  socket.on('spectate', (data = {}) => {
     if (!lobbyId) return;
 
     const gameState = lobbyManager.getLobby(lobbyId);
-    if (!gameState) return;
+    if (!gameState || !gameState.active) return;
 
-    const result = gameState.collectOrb(data.orbId, playerId);
-    if (result) {
-      if (result.split) {
-        // Notify both players of split
-        for (const r of result.results) {
-          io.to(lobbyId).emit('orb_collected', {
-            orbId: data.orbId,
-            playerId: r.playerId,
-            points: r.points,
-          });
-          logger.debug(`Player ${r.playerId} collected orb ${data.orbId} (+${r.points}) [split]`);
-        }
-      } else {
-        const r = result.results[0];
-        io.to(lobbyId).emit('orb_collected', {
-          orbId: data.orbId,
-          playerId: r.playerId,
-          points: r.points,
-        });
-        logger.debug(`Player ${r.playerId} collected orb ${data.orbId} (+${r.points})`);
-      }
+    const direction = data.direction === -1 ? -1 : 1;
+    const { error } = gameState.spectatePlayer(playerId, data.targetId || null, direction);
+    if (error) {
+      socket.emit('game_message', { message: error.message, type: 'warning' });
     }
   });
 
+  /**
+   * state_ack - Client decoded a state_update snapshot; use it as the next delta baseline
+   */
+  socket.on('state_ack', (data) => {
+    if (!lobbyId || !data) return;
+    const snapshots = snapshotsByLobby.get(lobbyId);
+    if (snapshots) snapshots.acknowledge(socket.id, data.seq);
+  });
+
   /**
    * attach_request - Player requests to attach with another player
    */
@@ -608,25 +1100,44 @@ io.on('connection', (socket) => {
   });
 
   /**
-   * signal_orb / signal_monster - O/P signals sent to attached partner
+   * ping - Ping wheel marker where the player is looking. Goes to the attached
+   * partner, or to players within PING_RANGE when unattached.
+   * signal_orb / signal_monster are the older O/P quick pings.
    */
-  socket.on('signal_orb', (data) => {
-    if (!lobbyId) return;
+  function sendPing(type, data = {}) {
     const gameState = lobbyManager.getLobby(lobbyId);
-    if (!gameState) return;
-    const p = gameState.getPlayer(playerId);
-    if (!p || !p.attachedTo) return;
-    io.to(lobbyId).emit('attach_signal', { fromPlayerId: playerId, toPlayerId: p.attachedTo, type: 'orb', gaze: data.gaze });
-  });
+    const player = gameState?.getPlayer(playerId);
+    if (!player || player.state !== 'alive' || !PING_TYPES.includes(type)) return;
 
-  socket.on('signal_monster', (data) => {
-    if (!lobbyId) return;
-    const gameState = lobbyManager.getLobby(lobbyId);
-    if (!gameState) return;
-    const p = gameState.getPlayer(playerId);
-    if (!p || !p.attachedTo) return;
-    io.to(lobbyId).emit('attach_signal', { fromPlayerId: playerId, toPlayerId: p.attachedTo, type: 'monster', gaze: data.gaze });
-  });
+    const now = Date.now();
+    if (now - lastPingTime < CONFIG.PING_COOLDOWN) return;
+    lastPingTime = now;
+
+    const gaze = data.gaze && Number.isFinite(data.gaze.x) && Number.isFinite(data.gaze.y) && Number.isFinite(data.gaze.z)
+      ? data.gaze
+      : player.gaze;
+    const position = gameState.raycastGaze(player.position, gaze);
+
+    const partner = player.attachedTo ? gameState.getPlayer(player.attachedTo) : null;
+    const recipients = partner ? [player, partner] : [player, ...gameState.getNearbyPlayers(playerId, CONFIG.PING_RANGE)];
+    const ping = {
+      id: `${playerId}_${now}`,
+      type,
+      fromPlayerId: playerId,
+      username: player.username,
+      position,
+      partner: !!partner,
+      duration: CONFIG.PING_DURATION,
+    };
+    for (const recipient of recipients) {
+      io.to(recipient.socketId || recipient.id).emit('ping', ping);
+    }
+    recordReplayEvent(lobbyId, 'ping', { playerId, pingType: type, position });
+  }
+
+  socket.on('ping', (data = {}) => sendPing(data.type, data));
+  socket.on('signal_orb', (data) => sendPing('orb', data));
+  socket.on('signal_monster', (data) => sendPing('monster', data));
 
   /**
    * attach_response - Player accepts/declines attachment
@@ -639,6 +1150,7 @@ io.on('connection', (socket) => {
 
     if (data.accepted) {
       gameState.acceptAttachment(playerId, data.fromPlayerId);
+      recordReplayEvent(lobbyId, 'attach', { player1: playerId, player2: data.fromPlayerId });
       io.to(lobbyId).emit('attach_accepted', {
         player1: playerId,
         player2: data.fromPlayerId,
@@ -662,6 +1174,7 @@ io.on('connection', (socket) => {
     if (!gameState) return;
 
     gameState.detachPlayers(playerId);
+    recordReplayEvent(lobbyId, 'detach', { playerId });
     io.to(lobbyId).emit('player_detached', { playerId });
   });
 
@@ -690,12 +1203,100 @@ io.on('connection', (socket) => {
     if (gameState.areAllPlayersReady() && gameState.players.size >= 2) {
       logger.info(`Lobby ${lobbyId}: All players ready! Starting match...`);
       // Use lobbyManager to properly initialize match (spawn orbs, reset state)
-      lobbyManager.startLobbyMatch(lobbyId);
-      if (!gameLoopRunning) startGameLoop();
-      io.to(lobbyId).emit('match_started', {
-        message: 'All players ready! Match starting now!',
-      });
+      startLobbyMatch(lobbyId, 'All players ready! Match starting now!');
+    }
+  });
+
+  /**
+   * Host-only lobby actions. Returns the lobby state if this player may act as host.
+   */
+  function getHostedLobby(action) {
+    const gameState = lobbyId && lobbyManager.getLobby(lobbyId);
+    if (!gameState) return null;
+    if (gameState.hostId !== playerId) {
+      socket.emit('game_message', { message: `Only the host can ${action}`, type: 'warning' });
+      return null;
+    }
+    return gameState;
+  }
+
+  /**
+   * kick_player - Host removes a player from their lobby
+   */
+  socket.on('kick_player', (data) => {
+    const gameState = getHostedLobby('kick players');
+    if (!gameState || !data) return;
+
+    const target = gameState.getPlayer(data.playerId);
+    if (!target || target.id === playerId) return;
+
+    lobbyManager.removePlayerFromLobby(target.id);
+    playerToLobby.delete(target.id);
+    disconnectedPlayers.delete(target.id);
+    if (playerReconnectTimers.has(target.id)) {
+      clearTimeout(playerReconnectTimers.get(target.id));
+      playerReconnectTimers.delete(target.id);
     }
+
+    const targetSocket = io.sockets.sockets.get(target.socketId);
+    if (targetSocket) {
+      targetSocket.emit('kicked', { lobbyCode: lobbyId, message: 'You were removed from the lobby by the host' });
+      targetSocket.leave(lobbyId);
+      snapshotsByLobby.get(lobbyId)?.removeClient(targetSocket.id);
+    }
+
+    io.to(lobbyId).emit('player_left', { playerId: target.id });
+    broadcastLobbyInfo(lobbyId);
+    logger.info(`Host ${playerId} kicked ${target.id} from lobby ${lobbyId}`);
+  });
+
+  /**
+   * set_lobby_locked - Host stops (or allows) new players joining
+   */
+  socket.on('set_lobby_locked', (data) => {
+    const gameState = getHostedLobby('lock the lobby');
+    if (!gameState) return;
+
+    gameState.locked = !!(data && data.locked);
+    broadcastLobbyInfo(lobbyId);
+    logger.info(`Lobby ${lobbyId} ${gameState.locked ? 'locked' : 'unlocked'} by host`);
+  });
+
+  /**
+   * update_lobby_settings - Host picks a rules preset and/or edits individual settings
+   */
+  socket.on('update_lobby_settings', (data) => {
+    const gameState = getHostedLobby('change the rules');
+    if (!gameState || !data) return;
+
+    const { error } = gameState.updateSettings({ preset: data.preset, changes: data.settings });
+    if (error) {
+      socket.emit('game_message', { message: error.message, type: 'warning' });
+      // Resync the host's form with the rules actually in force
+      socket.emit('lobby_info', gameState.getLobbyInfo());
+      return;
+    }
+
+    broadcastLobbyInfo(lobbyId);
+    // Bots already filled in follow a new BOT_COUNT straight away
+    if (!gameState._botFillTimeout) fillLobbyWithBots(lobbyId);
+    logger.info(`Lobby ${lobbyId} rules set to ${gameState.settingsPreset}`);
+  });
+
+  /**
+   * start_match_early - Host starts without waiting for everyone to ready up
+   */
+  socket.on('start_match_early', () => {
+    const gameState = getHostedLobby('start the match');
+    if (!gameState || gameState.active) return;
+
+    // A lone player would win on the first tick (last standing)
+    if (gameState.players.size < 2) {
+      socket.emit('game_message', { message: 'Need at least 2 players to start', type: 'warning' });
+      return;
+    }
+
+    startLobbyMatch(lobbyId, 'Host started the match!');
   });
 
   /**
@@ -708,8 +1309,7 @@ io.on('connection', (socket) => {
     if (!gameState) return;
 
     const nearby = gameState.getNearbyPlayers(playerId, CONFIG.PAIR_BROADCAST_RANGE);
-    const remainingMs = CONFIG.PLAYER_BLINK_MAX_TIME - (Date.now() - gameState.getPlayer(playerId).lastAutoBlinkTime);
-    let remaining = remainingMs / 1000;
+    const remaining = gameState.getBlinkTimeRemaining(playerId) / 1000;
 
     for (const nearbyPlayer of nearby) {
       io.to(nearbyPlayer.id).emit('timer_broadcast', {
@@ -719,14 +1319,64 @@ io.on('connection', (socket) => {
     }
   });
 
+  /**
+   * chat_message - Text chat on the lobby, proximity or partner channel
+   */
+  socket.on('chat_message', (data = {}) => {
+    const gameState = lobbyManager.getLobby(lobbyId);
+    if (!gameState) return;
+
+    const channel = data.channel || (gameState.active ? 'proximity' : 'lobby');
+    const recipients = chat.getRecipients(gameState, playerId, channel);
+    const message = recipients.error ? recipients : chat.prepareMessage(playerId, channel, data.text);
+    if (message.error) {
+      socket.emit('game_message', { message: message.error.message, type: 'warning' });
+      return;
+    }
+
+    const sender = gameState.getPlayer(playerId);
+    const payload = {
+      channel,
+      fromPlayerId: playerId,
+      username: sender.username,
+      text: message.result,
+      time: Date.now(),
+    };
+    for (const recipient of recipients.result) {
+      io.to(recipient.socketId || recipient.id).emit('chat_message', payload);
+    }
+  });
+
+  /**
+   * mute_player - Hide (or show again) another player's chat messages
+   */
+  socket.on('mute_player', (data = {}) => {
+    if (!lobbyId || !data.playerId || data.playerId === playerId) return;
+    const mutedIds = chat.setMuted(playerId, data.playerId, data.muted !== false);
+    socket.emit('mute_list', { mutedIds });
+  });
+
   /**
    * disconnect - Player left the game
    * Allows reconnection for a grace period
    */
   socket.on('disconnect', () => {
     logger.info(`Player disconnected: ${playerId} from lobby ${lobbyId}`);
+    matchmaking.dequeue(socket.id);
+
+    const profileId = socket.data.profileId;
+    if (profileId && socketsByProfile.get(profileId) === socket) {
+      socketsByProfile.delete(profileId);
+      const party = parties.getParty(profileId);
+      if (party) {
+        cancelPartyQueue(party);
+        broadcastParty(party);
+      }
+    }
 
     if (lobbyId) {
+      snapshotsByLobby.get(lobbyId)?.removeClient(socket.id);
+
       const gameState = lobbyManager.getLobby(lobbyId);
       if (gameState) {
         // Mark player as disconnected instead of removing
@@ -755,7 +1405,9 @@ io.on('connection', (socket) => {
                 // Player still disconnected after grace period - remove them
                 lobbyManager.removePlayerFromLobby(playerId);
                 disconnectedPlayers.delete(playerId);
+                chat.removePlayer(playerId);
                 io.to(lobbyId).emit('player_left', { playerId });
+                broadcastLobbyInfo(lobbyId);
                 logger.info(`Player permanently removed after reconnect timeout: ${playerId}`);
               }
             }
@@ -785,21 +1437,40 @@ io.on('connection', (socket) => {
    * leave_lobby - Player explicitly leaves the lobby to join another
    */
   socket.on('leave_lobby', () => {
-    const playerId = socket.id;
-    const lobbyId = playerToLobby.get(playerId);
+    const leftLobbyId = leaveCurrentLobby();
 
-    if (!lobbyId) {
+    if (!leftLobbyId) {
       logger.warn(`Leave lobby failed: Player ${playerId} not in any lobby`);
       socket.emit('leave_lobby_response', { success: false, reason: 'Not in a lobby' });
       return;
     }
 
-    logger.info(`Player ${playerId} leaving lobby ${lobbyId}`);
+    chat.removePlayer(playerId);
+    socket.emit('leave_lobby_response', { success: true });
+
+    // Stop game loop if no more players in any active lobbies
+    const hasActivePlayers = Array.from(playerToLobby.values()).some(lid => lid === leftLobbyId);
+    if (!hasActivePlayers && lobbyManager.getLobby(leftLobbyId)?.players.size === 0) {
+      stopGameLoop();
+    }
+  });
+
+  /**
+   * Remove this socket's player from its lobby. Returns the lobby left, or null.
+   */
+  function leaveCurrentLobby() {
+    const leftLobbyId = playerToLobby.get(playerId);
+    if (!leftLobbyId) return null;
+
+    logger.info(`Player ${playerId} leaving lobby ${leftLobbyId}`);
 
     // Remove player from lobby
     lobbyManager.removePlayerFromLobby(playerId);
     playerToLobby.delete(playerId);
-    
+    snapshotsByLobby.get(leftLobbyId)?.removeClient(socket.id);
+    socket.leave(leftLobbyId);
+    lobbyId = null;
+
     // Clear any reconnect timers
     if (playerReconnectTimers.has(playerId)) {
       clearTimeout(playerReconnectTimers.get(playerId));
@@ -810,18 +1481,99 @@ io.on('connection', (socket) => {
     disconnectedPlayers.delete(playerId);
 
     // Notify other players
-    io.to(lobbyId).emit('player_left', { playerId });
+    io.to(leftLobbyId).emit('player_left', { playerId });
+    broadcastLobbyInfo(leftLobbyId);
 
-    logger.info(`Player ${playerId} successfully left lobby ${lobbyId}`);
-    socket.emit('leave_lobby_response', { success: true });
+    logger.info(`Player ${playerId} successfully left lobby ${leftLobbyId}`);
+    return leftLobbyId;
+  }
 
-    // Stop game loop if no more players in any active lobbies
-    const hasActivePlayers = Array.from(playerToLobby.values()).some(lid => lid === lobbyId);
-    if (!hasActivePlayers && lobbyManager.getLobby(lobbyId)?.players.size === 0) {
-      stopGameLoop();
+  // Party matches move every member from wherever they are into the matched lobby
+  socket.data.moveToLobby = (targetLobbyId) => {
+    if (targetLobbyId && targetLobbyId === lobbyId) return;
+    matchmaking.dequeue(socket.id);
+    leaveCurrentLobby();
+    completeJoin(targetLobbyId, {}, socket.data.username, false);
+  };
+
+  /**
+   * create_party / join_party - Start a party or join a friend's by code.
+   * Both carry { username, profileToken } so players can party up before joining a lobby.
+   */
+  socket.on('create_party', (data = {}) => {
+    withProfile(data, (profileId) => {
+      const { result: party, error } = parties.createParty(profileId, socket.data.username);
+      if (error) return socket.emit('game_message', { message: error.message, type: 'warning' });
+      socket.join(partyRoom(party.code));
+      broadcastParty(party);
+    });
+  });
+
+  socket.on('join_party', (data = {}) => {
+    withProfile(data, (profileId) => {
+      const { result: party, error } = parties.joinParty(data.code, profileId, socket.data.username);
+      if (error) return socket.emit('game_message', { message: error.message, type: 'warning' });
+      cancelPartyQueue(party);
+      socket.join(partyRoom(party.code));
+      broadcastParty(party);
+    });
+  });
+
+  /**
+   * leave_party - Leave the current party (the next member becomes leader)
+   */
+  socket.on('leave_party', () => {
+    const party = parties.leaveParty(socket.data.profileId);
+    if (!party) return;
+    cancelPartyQueue(party);
+    socket.leave(partyRoom(party.code));
+    socket.emit('party_update', null);
+    broadcastParty(party);
+  });
+
+  /**
+   * party_queue - Leader queues the whole party for one lobby
+   */
+  socket.on('party_queue', () => {
+    const party = parties.getParty(socket.data.profileId);
+    if (!party) return;
+    if (party.leaderId !== socket.data.profileId) {
+      socket.emit('game_message', { message: 'Only the party leader can queue', type: 'warning' });
+      return;
     }
+    if (matchmaking.has(partyRoom(party.code))) return;
+
+    queueParty(party)
+      .then((refusal) => {
+        if (refusal) socket.emit('game_message', { message: refusal, type: 'warning' });
+      })
+      .catch((err) => {
+        logger.error(`Failed to queue party ${party.code}: ${err.message}`);
+        socket.emit('error', { message: 'Matchmaking is unavailable' });
+      });
+  });
+
+  socket.on('party_cancel_queue', () => {
+    const party = parties.getParty(socket.data.profileId);
+    if (!party || party.leaderId !== socket.data.profileId) return;
+    cancelPartyQueue(party);
+    broadcastParty(party);
   });
 
+  /**
+   * Run a party action once the socket has a profile (resolving it from the
+   * client's token when the player hasn't joined a lobby yet)
+   */
+  function withProfile(data, action) {
+    if (socket.data.profileId) return action(socket.data.profileId);
+    if (typeof data.username === 'string' && data.username.trim()) socket.data.username = data.username.trim();
+    linkProfile(socket, data.profileToken, socket.data.username || `Player${socket.id.slice(-4)}`)
+      .then(profile => action(profile.id))
+      .catch((err) => {
+        logger.error(`Failed to load profile for ${socket.id}: ${err.message}`);
+      });
+  }
+
   /**
    * reconnect - Player reconnecting after temporary disconnect
    * Re-associates the socket with the player's existing state
@@ -877,9 +1629,74 @@ io.on('connection', (socket) => {
       lobbyId: existingLobbyId,
       playerData: player
     });
+
+    if (gameState.active) {
+      socket.emit('match_started', { message: null, ...getMatchSetup(gameState) });
+    }
   });
 });
 
+// ==================== REPLAYS ====================
+app.get('/replays', async (req, res) => {
+  try {
+    res.json(await listReplays());
+  } catch (err) {
+    logger.error(`Failed to list replays: ${err.message}`);
+    res.status(500).json({ error: 'Could not list replays' });
+  }
+});
+
+app.get('/replays/:id', (req, res) => {
+  const file = getReplayPath(req.params.id);
+  if (!file) {
+    res.status(400).json({ error: 'Invalid replay id' });
+    return;
+  }
+  res.sendFile(file, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Replay not found' });
+  });
+});
+
+// ==================== PROFILES ====================
+app.get('/api/profile/:id', async (req, res) => {
+  try {
+    const profile = await profileStore.get(req.params.id);
+    if (!profile) {
+      res.status(404).json({ error: 'Profile not found' });
+      return;
+    }
+    res.json(profile);
+  } catch (err) {
+    logger.error(`Failed to load profile ${req.params.id}: ${err.message}`);
+    res.status(500).json({ error: 'Could not load profile' });
+  }
+});
+
+// ==================== LEADERBOARD ====================
+app.get('/api/leaderboard', async (req, res) => {
+  const options = { period: req.query.period || 'all' };
+  if (req.query.season !== undefined) options.seasonId = Number(req.query.season);
+  if (req.query.limit !== undefined) {
+    options.limit = Math.max(1, Math.min(CONFIG.LEADERBOARD_SIZE * 5, Number(req.query.limit) || CONFIG.LEADERBOARD_SIZE));
+  }
+
+  try {
+    const { result, error } = await leaderboard.getRankings(options);
+    if (error) {
+      res.status(400).json({ error: error.message, code: error.code });
+      return;
+    }
+    res.json(result);
+  } catch (err) {
+    logger.error(`Failed to load leaderboard: ${err.message}`);
+    res.status(500).json({ error: 'Could not load leaderboard' });
+  }
+});
+
+app.get('/api/leaderboard/seasons', (req, res) => {
+  res.json(leaderboard.getSeasons());
+});
+
 // ==================== ADMIN ENDPOINTS ====================
 app.get('/admin/stats', (req, res) => {
   const stats = {
@@ -912,55 +1729,86 @@ app.get('/admin/lobbies', (req, res) => {
 const PORT = process.env.PORT || CONFIG.PORT;
 const HOST = process.env.HOST || CONFIG.HOST;
 
-httpServer.listen(PORT, HOST, () => {
-  logger.info(`========================================`);
-  logger.info(`Multi-Lobby Blink Royale Server`);
-  logger.info(`========================================`);
-  logger.info(`Server running on ws://${HOST}:${PORT}`);
-  logger.info(`Web UI: http://${HOST}:${PORT}`);
-  logger.info(`Admin stats: http://${HOST}:${PORT}/admin/stats`);
-  logger.info(`Admin lobbies: http://${HOST}:${PORT}/admin/lobbies`);
-  logger.info(`Waiting for players...`);
-});
-
-// 已有的变量：io, httpServer, stopGameLoop, logger
-
-let isShuttingDown = false;
-
-process.on('SIGINT', async () => {
-  if (isShuttingDown) return;   // 防止重复进入
-  isShuttingDown = true;
-
-  logger.info('Shutting down......');
-  stopGameLoop();
-  logger.info('Game loop stopped.');
-
-  try {
-    // 2. 主动断开所有 Socket.IO 客户端
-    await new Promise((resolve) => {
-      io.close(() => {
-        logger.info('All Socket.IO clients disconnected');
-        resolve();
-      });
-    });
-
-    await new Promise((resolve) => {
-      httpServer.close(() => {
-        logger.info('HTTP server closed');
-        resolve();
-      });
+/**
+ * Load profiles and the leaderboard, then listen for players and start the background
+ * timers. Port 0 picks a free port (tests run the server in-process this way); resolves
+ * with the port in use. Rejects without listening if a data file can't be read.
+ */
+async function startServer(port = PORT, host = HOST) {
+  await Promise.all([profileStore.load(), leaderboard.load()]);
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      const boundPort = httpServer.address().port;
+      logger.info(`========================================`);
+      logger.info(`Multi-Lobby Blink Royale Server`);
+      logger.info(`========================================`);
+      logger.info(`Server running on ws://${host}:${boundPort}`);
+      logger.info(`Web UI: http://${host}:${boundPort}`);
+      logger.info(`Admin stats: http://${host}:${boundPort}/admin/stats`);
+      logger.info(`Admin lobbies: http://${host}:${boundPort}/admin/lobbies`);
+      logger.info(`Replays: http://${host}:${boundPort}/replays`);
+
+      if (CONFIG.MATCHMAKING_ENABLED) {
+        matchmakingInterval = setInterval(updateMatchmaking, CONFIG.MATCHMAKING_UPDATE_INTERVAL);
+      }
+      if (CONFIG.BOT_LOAD_TEST_LOBBIES > 0) {
+        startLoadTest();
+      }
+      logger.info(`Waiting for players...`);
+      resolve(boundPort);
     });
+  });
+}
 
-
-    logger.info('Server stopped cleanly');
-    process.exit(0);
-  } catch (err) {
-    logger.error('Error during shutdown', { err });
-    // 避免挂死，出错也强制退出
-    process.exit(1);
+/**
+ * Stop the game loop and pending timers, disconnect every client and close the HTTP server
+ */
+async function stopServer() {
+  stopGameLoop();
+  clearInterval(matchmakingInterval);
+  matchmakingInterval = null;
+
+  // Closing io disconnects every socket (and closes the HTTP server)
+  await new Promise((resolve) => io.close(() => resolve()));
+  logger.info('All Socket.IO clients disconnected');
+
+  // Disconnects above start reconnect grace timers; nothing may outlive the server
+  for (const timer of playerReconnectTimers.values()) clearTimeout(timer);
+  for (const timer of controlRequestTimers.values()) clearTimeout(timer);
+  playerReconnectTimers.clear();
+  controlRequestTimers.clear();
+  disconnectedPlayers.clear();
+  for (const [, gameState] of lobbyManager.getAllLobbies()) {
+    clearTimeout(gameState._startTimeout);
+    clearTimeout(gameState._botFillTimeout);
   }
-});
+  logger.info('Server stopped cleanly');
+}
 
+if (require.main === module) {
+  startServer().catch((err) => {
+    logger.error(`Server failed to start: ${err.message}`);
+    process.exit(1);
+  });
 
+  let isShuttingDown = false;
+  process.on('SIGINT', async () => {
+    if (isShuttingDown) return; // ignore repeated Ctrl+C
+    isShuttingDown = true;
+
+    logger.info('Shutting down......');
+    try {
+      await stopServer();
+      process.exit(0);
+    } catch (err) {
+      logger.error('Error during shutdown', { err });
+      // Exit anyway rather than hang
+      process.exit(1);
+    }
+  });
+}
 
-module.exports = { io, lobbyManager, monsterAIByLobby };
+module.exports = { io, lobbyManager, monsterAIByLobby, snapshotsByLobby, replaysByLobby, botsByLobby, profileStore, leaderboard, startServer, stopServer };
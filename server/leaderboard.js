@@ -0,0 +1,226 @@
+/**
+ * server/leaderboard.js
+ *
+ * Global leaderboard built from finished matches (LobbyManager.endLobbyMatch results).
+ * Per-player aggregates are kept for three periods:
+ *   - all time
+ *   - the current week (weeks start Monday 00:00 UTC; the last LEADERBOARD_WEEKS_KEPT are kept)
+ *   - each season (CONFIG.SEASON_START + n * SEASON_LENGTH_DAYS; rolls over automatically)
+ *
+ * Only ranked matches count (see GameState.isRankedMatch) and only players with a
+ * profile (see profileStore.js) are ranked. Storage is a single document behind an
+ * async load() / save(data) interface, like the profile backends.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, logger } = require('./config.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['all', 'week', 'season'];
+
+/**
+ * Season containing `time`: { id, name, startsAt, endsAt } (times in epoch ms).
+ * Times before SEASON_START belong to season 1.
+ */
+function getSeason(time = Date.now(), seasonId = null) {
+  const start = Date.parse(CONFIG.SEASON_START);
+  const length = CONFIG.SEASON_LENGTH_DAYS * DAY_MS;
+  const index = seasonId ? seasonId - 1 : Math.max(0, Math.floor((time - start) / length));
+  const startsAt = start + index * length;
+  return {
+    id: index + 1,
+    name: CONFIG.SEASON_NAMES[index] || `Season ${index + 1}`,
+    startsAt,
+    endsAt: startsAt + length,
+  };
+}
+
+/**
+ * Key of the week containing `time`: the ISO date of its Monday (UTC)
+ */
+function getWeekKey(time = Date.now()) {
+  const date = new Date(time);
+  const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+  const monday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - daysSinceMonday * DAY_MS;
+  return new Date(monday).toISOString().slice(0, 10);
+}
+
+/**
+ * MemoryDocumentStorage - leaderboard document kept in memory only
+ */
+class MemoryDocumentStorage {
+  constructor() {
+    this.data = null;
+  }
+
+  async load() {
+    return this.data;
+  }
+
+  async save(data) {
+    this.data = data;
+  }
+}
+
+/**
+ * JsonDocumentStorage - leaderboard document in one JSON file (temp file + rename).
+ * A file that exists but can't be read or parsed fails load(), so it is never
+ * overwritten with a fresh document.
+ */
+class JsonDocumentStorage {
+  constructor(file) {
+    this.file = file;
+  }
+
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Cannot read leaderboard from ${this.file} (${err.message}); fix or move the file away`);
+    }
+  }
+
+  async save(data) {
+    const temp = `${this.file}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(temp, JSON.stringify(data));
+    await fs.promises.rename(temp, this.file);
+  }
+}
+
+/**
+ * Backend selected by CONFIG.PROFILE_STORAGE ('json' or 'memory'), so profiles and
+ * the leaderboard always persist the same way
+ */
+function createLeaderboardStorage(type = CONFIG.PROFILE_STORAGE) {
+  if (type === 'memory') return new MemoryDocumentStorage();
+  return new JsonDocumentStorage(path.resolve(__dirname, '..', CONFIG.LEADERBOARD_FILE));
+}
+
+class Leaderboard {
+  constructor(storage = createLeaderboardStorage()) {
+    this.storage = storage;
+    this.data = null;
+    this.loaded = null; // Promise for the initial load
+    this.writeQueue = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = this.storage.load().then((data) => {
+        this.data = data || { currentSeason: getSeason().id, allTime: {}, seasons: {}, weeks: {} };
+      });
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Add a finished match to every period's aggregates (unranked matches are ignored)
+   */
+  async recordMatch(results, now = Date.now()) {
+    if (!results.ranked) return;
+    await this.load();
+    this.rollover(now);
+
+    const data = this.data;
+    const season = String(getSeason(now).id);
+    const week = getWeekKey(now);
+    data.seasons[season] = data.seasons[season] || {};
+    data.weeks[week] = data.weeks[week] || {};
+
+    const winnerIds = new Set((results.winners || []).map(w => w.id));
+    for (const entry of results.playerStats || []) {
+      if (!entry.profileId) continue;
+      for (const table of [data.allTime, data.seasons[season], data.weeks[week]]) {
+        const row = table[entry.profileId] || (table[entry.profileId] = {
+          profileId: entry.profileId,
+          username: entry.username,
+          gamesPlayed: 0,
+          wins: 0,
+          bestScore: 0,
+          longestSurvival: 0, // ms
+        });
+        row.username = entry.username;
+        row.gamesPlayed++;
+        if (winnerIds.has(entry.id)) row.wins++;
+        row.bestScore = Math.max(row.bestScore, entry.score || 0);
+        row.longestSurvival = Math.max(row.longestSurvival, entry.timeSurvived || 0);
+      }
+    }
+
+    this.writeQueue = this.writeQueue.then(() => this.storage.save(data)).catch((err) => {
+      logger.error(`Failed to save leaderboard: ${err.message}`);
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Start a new season when its start time has passed, and drop weeks that are too old
+   */
+  rollover(now = Date.now()) {
+    const season = getSeason(now);
+    if (season.id !== this.data.currentSeason) {
+      logger.info(`Leaderboard: ${season.name} started (previous season ${this.data.currentSeason} is now final)`);
+      this.data.currentSeason = season.id;
+    }
+
+    const weeks = Object.keys(this.data.weeks).sort();
+    for (const key of weeks.slice(0, Math.max(0, weeks.length - CONFIG.LEADERBOARD_WEEKS_KEPT))) {
+      delete this.data.weeks[key];
+    }
+  }
+
+  /**
+   * Rankings for a period ('all', 'week' or 'season'; seasonId defaults to the current one):
+   * { result: { period, season, week, topScores, mostWins, longestSurvival } } or { error }
+   */
+  async getRankings({ period = 'all', seasonId = null, limit = CONFIG.LEADERBOARD_SIZE } = {}, now = Date.now()) {
+    if (!PERIODS.includes(period)) {
+      return { error: { code: 'invalid_period', message: `Period must be one of ${PERIODS.join(', ')}` } };
+    }
+    const currentSeason = getSeason(now);
+    if (seasonId !== null && (!Number.isInteger(seasonId) || seasonId < 1 || seasonId > currentSeason.id)) {
+      return { error: { code: 'invalid_season', message: `Season must be between 1 and ${currentSeason.id}` } };
+    }
+
+    await this.load();
+    const season = period === 'season' ? getSeason(now, seasonId || currentSeason.id) : null;
+    const week = period === 'week' ? getWeekKey(now) : null;
+    const table = period === 'all' ? this.data.allTime
+      : period === 'season' ? this.data.seasons[String(season.id)]
+        : this.data.weeks[week];
+    const rows = Object.values(table || {});
+
+    const top = (key) => rows
+      .filter(row => row[key] > 0)
+      .sort((a, b) => b[key] - a[key] || b.gamesPlayed - a.gamesPlayed)
+      .slice(0, limit);
+
+    return {
+      result: {
+        period,
+        season,
+        week,
+        topScores: top('bestScore'),
+        mostWins: top('wins'),
+        longestSurvival: top('longestSurvival'),
+      },
+    };
+  }
+
+  /**
+   * Every season up to the current one, newest first
+   */
+  getSeasons(now = Date.now()) {
+    const current = getSeason(now);
+    const seasons = [];
+    for (let id = current.id; id >= 1; id--) {
+      seasons.push(getSeason(now, id));
+    }
+    return seasons;
+  }
+}
+
+module.exports = { Leaderboard, JsonDocumentStorage, MemoryDocumentStorage, getSeason, getWeekKey };
@@ -9,31 +9,36 @@ const { GameState, PLAYER_STATES } = require('./gameState.js');
 const { CONFIG, logger } = require('./config.js');
 
 /**
- * LobbyManager - manages all lobbies on the server
+ * LobbyManager - manages all lobbies on the server.
+ * options.random and options.clock are handed to every GameState (see GameState).
  */
 class LobbyManager {
-  constructor(maxLobbies = CONFIG.MAX_LOBBIES, maxPlayersPerLobby = CONFIG.PLAYERS_PER_LOBBY) {
+  constructor(maxLobbies = CONFIG.MAX_LOBBIES, maxPlayersPerLobby = CONFIG.PLAYERS_PER_LOBBY, options = {}) {
     this.lobbies = new Map(); // lobbyId -> GameState
     this.playerLobbies = new Map(); // playerId -> lobbyId (for quick lookup)
     this.maxLobbies = maxLobbies;
     this.maxPlayersPerLobby = maxPlayersPerLobby;
     this.lobbyIdCounter = 0;
+    this.random = options.random || Math.random;
+    this.clock = options.clock || Date.now;
   }
 
   /**
-   * Create a new lobby with a unique ID
+   * Create a new lobby with a unique ID.
+   * options.isPrivate keeps it out of matchmaking (join by code only)
    */
-  createLobby() {
+  createLobby(options = {}) {
     if (this.lobbies.size >= this.maxLobbies) {
       logger.warn('Cannot create lobby: max lobbies reached');
       return null;
     }
 
     const lobbyId = this.generateLobbyCode();
-    const gameState = new GameState(lobbyId);
+    const gameState = new GameState(lobbyId, { random: this.random, clock: this.clock });
+    gameState.isPrivate = !!options.isPrivate;
     this.lobbies.set(lobbyId, gameState);
 
-    logger.info(`Created lobby: ${lobbyId}`);
+    logger.info(`Created ${gameState.isPrivate ? 'private ' : ''}lobby: ${lobbyId}`);
     return lobbyId;
   }
 
@@ -44,7 +49,7 @@ class LobbyManager {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
     let code = '';
     for (let i = 0; i < 4; i++) {
-      code += chars.charAt(Math.floor(Math.random() * chars.length));
+      code += chars.charAt(Math.floor(this.random() * chars.length));
     }
 
     // Ensure uniqueness
@@ -62,12 +67,15 @@ class LobbyManager {
   }
 
   /**
-   * Find an available lobby with space for a new player (not yet started)
+   * Find an available lobby (not yet started) with space for a player, or for a
+   * whole party when partySize > 1. Bots give up their slots, so only people count.
    */
-  findAvailableLobby() {
+  findAvailableLobby(partySize = 1) {
     for (const [lobbyId, gameState] of this.lobbies) {
-      const playerCount = gameState.players.size;
-      if (playerCount < this.maxPlayersPerLobby && !gameState.active) {
+      // Private and locked lobbies are never matchmade into
+      if (gameState.isPrivate || gameState.locked) continue;
+      const playerCount = gameState.getHumanCount();
+      if (playerCount + partySize <= this.maxPlayersPerLobby && !gameState.active) {
         return lobbyId;
       }
     }
@@ -80,6 +88,23 @@ class LobbyManager {
     return null;
   }
 
+  /**
+   * Why a player can't join a lobby by code, as { code, message }, or null if they can
+   */
+  getJoinError(lobbyId) {
+    const gameState = this.lobbies.get(lobbyId);
+    if (!gameState) {
+      return { code: 'lobby_not_found', message: `No lobby with code ${lobbyId}` };
+    }
+    if (gameState.locked) {
+      return { code: 'lobby_locked', message: 'This lobby is locked' };
+    }
+    if (gameState.getHumanCount() >= this.maxPlayersPerLobby) {
+      return { code: 'lobby_full', message: 'This lobby is full' };
+    }
+    return null;
+  }
+
   /**
    * Get the lobby a player is in
    */
@@ -88,7 +113,7 @@ class LobbyManager {
   }
 
   /**
-   * Add player to a specific lobby
+   * Add player to a specific lobby. A person joining a full lobby takes a bot's slot.
    */
   addPlayerToLobby(lobbyId, playerId, playerData) {
     const gameState = this.lobbies.get(lobbyId);
@@ -97,11 +122,21 @@ class LobbyManager {
       return false;
     }
 
+    if (gameState.players.size >= this.maxPlayersPerLobby && !playerData.isBot) {
+      const bot = Array.from(gameState.players.values()).reverse().find(p => p.isBot);
+      if (bot) this.removePlayerFromLobby(bot.id);
+    }
+
     if (gameState.players.size >= this.maxPlayersPerLobby) {
       logger.warn(`Lobby full: ${lobbyId}`);
       return false;
     }
 
+    if (gameState.locked) {
+      logger.warn(`Lobby locked: ${lobbyId}`);
+      return false;
+    }
+
     gameState.addPlayer(playerId, playerData);
     this.playerLobbies.set(playerId, lobbyId);
 
@@ -126,11 +161,25 @@ class LobbyManager {
     logger.info(`Player ${playerId} left lobby ${lobbyId} (${gameState.players.size} remaining)`);
 
     // Clean up empty lobbies
-    if (gameState.players.size === 0 && !gameState.active) {
-      this.lobbies.delete(lobbyId);
-      logger.debug(`Deleted empty lobby: ${lobbyId}`);
-    }
+    this.closeLobbyWithoutHumans(lobbyId);
+
+    return true;
+  }
+
+  /**
+   * Delete a lobby between matches once no people are left in it (its bots go with it).
+   * Load-test lobbies are bots only and are kept. Returns true if the lobby was deleted.
+   */
+  closeLobbyWithoutHumans(lobbyId) {
+    const gameState = this.lobbies.get(lobbyId);
+    if (!gameState || gameState.active || gameState.isLoadTest) return false;
+    if (gameState.getHumanCount() > 0) return false;
 
+    for (const playerId of gameState.players.keys()) {
+      this.playerLobbies.delete(playerId);
+    }
+    this.lobbies.delete(lobbyId);
+    logger.debug(`Deleted empty lobby: ${lobbyId}`);
     return true;
   }
 
@@ -156,12 +205,13 @@ class LobbyManager {
     gameState.resetForNewMatch();
     gameState.startMatch();
 
-    // Spawn initial orbs
-    gameState.spawnRandomOrbs(CONFIG.ORB_COUNT_INITIAL);
     // Spawn random obstacles for cover
-    if (CONFIG.OBSTACLE_COUNT && CONFIG.OBSTACLE_COUNT > 0) {
-      gameState.spawnRandomObstacles(CONFIG.OBSTACLE_COUNT);
+    const { OBSTACLE_COUNT, ORB_COUNT_INITIAL } = gameState.settings;
+    if (OBSTACLE_COUNT && OBSTACLE_COUNT > 0) {
+      gameState.spawnRandomObstacles(OBSTACLE_COUNT);
     }
+    // Spawn initial orbs (after obstacles so they can avoid them)
+    gameState.spawnRandomOrbs(ORB_COUNT_INITIAL);
 
     // Ensure players do not spawn inside obstacles: re-roll spawn positions if needed
     const obstacles = Array.from(gameState.getActiveObstacles());
@@ -171,8 +221,8 @@ class LobbyManager {
         // try several times to find a non-colliding spawn
         let placed = false;
         for (let attempt = 0; attempt < maxAttempts; attempt++) {
-          const angle = Math.random() * Math.PI * 2;
-          const distance = Math.random() * 30;
+          const angle = gameState.random() * Math.PI * 2;
+          const distance = gameState.random() * 30;
           const x = gameState.centerX + Math.cos(angle) * distance;
           const z = gameState.centerZ + Math.sin(angle) * distance;
 
@@ -213,8 +263,8 @@ class LobbyManager {
             }
             if (!collides) break;
             // move outwards in a spiral-ish pattern
-            x += (Math.random() - 0.5) * step;
-            z += (Math.random() - 0.5) * step;
+            x += (gameState.random() - 0.5) * step;
+            z += (gameState.random() - 0.5) * step;
             attempts++;
             step += 0.5;
           }
@@ -240,7 +290,7 @@ class LobbyManager {
     }
 
     // Arena at final size
-    if (gameState.arenaSafeRadius <= CONFIG.ARENA_FINAL_RADIUS) {
+    if (gameState.arenaSafeRadius <= gameState.settings.ARENA_FINAL_RADIUS) {
       return true;
     }
 
@@ -265,7 +315,7 @@ class LobbyManager {
   /**
    * End a match and return results
    */
-  endLobbyMatch(lobbyId) {
+  endLobbyMatch(lobbyId, reason = null) {
     const gameState = this.lobbies.get(lobbyId);
     if (!gameState) return null;
 
@@ -274,6 +324,9 @@ class LobbyManager {
     const winners = this.getLobbyWinners(lobbyId);
     const stats = {
       lobbyId,
+      reason, // 'time', 'last_standing' or 'arena'
+      suddenDeath: gameState.suddenDeath,
+      ranked: gameState.isRankedMatch(), // counts towards profiles and the leaderboard
       duration: gameState.getMatchElapsedTime(),
       winners: winners.map(p => ({ id: p.id, username: p.username, score: p.score })),
       playerStats: Array.from(gameState.players.values()).map(p => ({
@@ -282,6 +335,9 @@ class LobbyManager {
         score: p.score,
         orbsCollected: p.orbsCollected,
         state: p.state,
+        profileId: p.profileId,
+        deathCause: p.deathCause,
+        timeSurvived: p.deathTime ? Math.max(0, p.deathTime - gameState.matchStartTime) : gameState.getMatchElapsedTime(),
       })),
     };
 
@@ -289,6 +345,8 @@ class LobbyManager {
     gameState.resetForNewMatch();
 
     logger.info(`Match ended in lobby ${lobbyId}`, stats);
+    // Everyone left during the match: only bots remain
+    this.closeLobbyWithoutHumans(lobbyId);
     return stats;
   }
 
@@ -301,8 +359,11 @@ class LobbyManager {
       stats.push({
         code: lobbyId,
         players: gameState.players.size,
+        bots: gameState.players.size - gameState.getHumanCount(),
         maxPlayers: this.maxPlayersPerLobby,
         active: gameState.active,
+        isPrivate: gameState.isPrivate,
+        locked: gameState.locked,
         elapsedTime: gameState.getMatchElapsedTime(),
         monsters: gameState.monsters.size,
         orbs: gameState.getActiveOrbs().length,
@@ -0,0 +1,70 @@
+/**
+ * server/lobbyTick.js
+ *
+ * One game-loop tick of a lobby's match, shared by the live server (index.js) and the
+ * headless Simulation (simulation.js). It only changes game state and reports what
+ * happened; the caller announces it (sockets, replays, events) and ends the match.
+ */
+
+const { CONFIG } = require('./config.js');
+
+/**
+ * Advance an active match by deltaTime seconds: monsters, bots, orb pickups and respawns,
+ * forced blinks, the match clock, regen, zone damage, spectators and the safe zone.
+ * Returns { pickups: [{ orbId, result }], forcedBlinks: [player], suddenDeath, endReason }
+ * where endReason is 'time', 'last_standing', 'arena' or null.
+ */
+function tickLobby(gameState, { monsterAI = null, bots = null, deltaTime }) {
+  const tick = { pickups: [], forcedBlinks: [], suddenDeath: false, endReason: null };
+
+  monsterAI?.updateAllMonsters(deltaTime);
+  bots?.update(deltaTime);
+
+  // Server-detected orb pickups
+  tick.pickups = gameState.collectOrbsInRange();
+
+  // Top the orb field back up (prunes collected orb records)
+  gameState.updateOrbRespawns();
+
+  // Forced blinks: the server owns every player's blink clock
+  tick.forcedBlinks = gameState.updateBlinkClocks();
+
+  const livingPlayers = gameState.getLivingPlayers();
+  const now = gameState.clock();
+
+  // Match clock: a tie at the buzzer goes to sudden death instead of ending
+  const clock = gameState.updateMatchClock(now);
+  if (clock === 'expired') {
+    tick.endReason = 'time';
+    return tick;
+  }
+  tick.suddenDeath = clock === 'sudden_death';
+
+  for (const player of livingPlayers) {
+    // Regenerate health every configured interval (1% every 5s); none in sudden death
+    if (!gameState.suddenDeath &&
+        (!player.lastRegenTime || (now - player.lastRegenTime) >= CONFIG.PLAYER_REGEN_INTERVAL)) {
+      gameState.regenPlayer(player.id, CONFIG.PLAYER_REGEN_AMOUNT);
+    }
+
+    // Apply damage when outside the safe zone (scaled up in later zone phases)
+    if (gameState.isOutsideSafeZone(player.position)) {
+      const damagePerSecond = (CONFIG.ARENA_OUTSIDE_DAMAGE_PER_SECOND || 5) * gameState.zoneDamageMultiplier;
+      const damage = damagePerSecond * deltaTime;
+      gameState.damagePlayer(player.id, damage, 'zone');
+    }
+  }
+
+  // Dead players follow a living player; retarget when that player dies or leaves
+  gameState.updateSpectators();
+  gameState.updateSafeZone();
+
+  if (livingPlayers.length <= 1) {
+    tick.endReason = 'last_standing';
+  } else if (gameState.arenaSafeRadius <= gameState.settings.ARENA_FINAL_RADIUS) {
+    tick.endReason = 'arena';
+  }
+  return tick;
+}
+
+module.exports = { tickLobby };
@@ -0,0 +1,116 @@
+/**
+ * server/matchSettings.js
+ *
+ * Per-lobby match rules. Each GameState carries its own settings object (seeded from
+ * CONFIG) that the host of a private lobby can switch to a preset or edit before the
+ * match starts. Everything the host sends is validated against SETTINGS_SCHEMA.
+ */
+
+const { CONFIG } = require('./config.js');
+
+/**
+ * Editable settings with their allowed ranges (times in ms)
+ */
+const SETTINGS_SCHEMA = {
+  GAME_DURATION: { min: 60000, max: 900000, integer: true },
+  ARENA_SHRINK_START_TIME: { min: 0, max: 900000, integer: true },
+  ARENA_SHRINK_DURATION: { min: 10000, max: 600000, integer: true },
+  ARENA_FINAL_RADIUS: { min: 5, max: 100 },
+  MONSTER_SPAWN_DELAY: { min: 0, max: 300000, integer: true },
+  MONSTER_SPAWN_RATE: { min: 0, max: 5 },
+  MONSTER_SPEED: { min: 1, max: 400 },
+  ORB_COUNT_INITIAL: { min: 0, max: 300, integer: true },
+  OBSTACLE_COUNT: { min: 0, max: 80, integer: true },
+  PLAYER_BLINK_MAX_TIME: { min: 3000, max: 60000, integer: true },
+  BOT_COUNT: { min: 0, max: CONFIG.PLAYERS_PER_LOBBY - 1, integer: true },
+};
+
+/**
+ * Default rules straight from the global config
+ */
+function getDefaultSettings() {
+  const settings = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    settings[key] = CONFIG[key];
+  }
+  return settings;
+}
+
+/**
+ * Named rule sets offered in the lobby; each overrides the defaults
+ */
+const PRESETS = {
+  quick: {
+    GAME_DURATION: 120000,
+    ARENA_SHRINK_START_TIME: 60000,
+    ARENA_SHRINK_DURATION: 45000,
+    MONSTER_SPAWN_DELAY: 10000,
+    ORB_COUNT_INITIAL: 50,
+    OBSTACLE_COUNT: 20,
+  },
+  classic: {},
+  nightmare: {
+    GAME_DURATION: 240000,
+    MONSTER_SPAWN_DELAY: 5000,
+    MONSTER_SPAWN_RATE: 2,
+    ORB_COUNT_INITIAL: 40,
+    OBSTACLE_COUNT: 45,
+    PLAYER_BLINK_MAX_TIME: 8000,
+  },
+};
+
+const DEFAULT_PRESET = 'classic';
+
+/**
+ * Settings object for a preset (unknown names return null)
+ */
+function createMatchSettings(preset = DEFAULT_PRESET) {
+  if (!Object.prototype.hasOwnProperty.call(PRESETS, preset)) return null;
+  return { ...getDefaultSettings(), ...PRESETS[preset] };
+}
+
+/**
+ * Apply host edits on top of `base`. Returns { settings } or { error: { code, message } };
+ * nothing is applied unless every field is valid.
+ */
+function validateMatchSettings(changes, base) {
+  if (!changes || typeof changes !== 'object') {
+    return { error: { code: 'invalid_settings', message: 'Settings must be an object' } };
+  }
+
+  const settings = { ...base };
+  for (const [key, value] of Object.entries(changes)) {
+    const rule = SETTINGS_SCHEMA[key];
+    if (!rule) {
+      return { error: { code: 'unknown_setting', message: `Unknown setting ${key}` } };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: { code: 'invalid_value', message: `${key} must be a number` } };
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      return { error: { code: 'invalid_value', message: `${key} must be a whole number` } };
+    }
+    if (value < rule.min || value > rule.max) {
+      return { error: { code: 'out_of_range', message: `${key} must be between ${rule.min} and ${rule.max}` } };
+    }
+    settings[key] = value;
+  }
+
+  // Cross-field rules
+  if (settings.ARENA_FINAL_RADIUS > CONFIG.ARENA_RADIUS) {
+    return { error: { code: 'out_of_range', message: 'ARENA_FINAL_RADIUS cannot exceed the arena radius' } };
+  }
+  if (settings.ARENA_SHRINK_START_TIME >= settings.GAME_DURATION) {
+    return { error: { code: 'out_of_range', message: 'The arena must start shrinking before the match ends' } };
+  }
+
+  return { settings };
+}
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  PRESETS,
+  DEFAULT_PRESET,
+  createMatchSettings,
+  validateMatchSettings,
+};
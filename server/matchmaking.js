@@ -0,0 +1,145 @@
+/**
+ * server/matchmaking.js
+ *
+ * Skill-based matchmaking queue. Players (or parties, as one entry with a size and
+ * the members' average rating) wait with their profile rating; each update
+ * the longest-waiting player anchors a search for others within their rating window,
+ * which starts at MATCHMAKING_INITIAL_WINDOW and widens the longer they wait. A group
+ * is formed with MATCHMAKING_TARGET_PLAYERS similar players, or with at least
+ * MATCHMAKING_MIN_PLAYERS once the anchor has waited MATCHMAKING_PARTIAL_AFTER.
+ * Nobody waits longer than MATCHMAKING_MAX_WAIT: after that a player is released alone
+ * (and joins any open lobby).
+ *
+ * The queue only groups players; the caller creates a lobby for each group update()
+ * returns and calls each entry's onMatch with it.
+ */
+
+const { CONFIG } = require('./config.js');
+
+class MatchmakingQueue {
+  constructor(options = {}) {
+    this.minPlayers = options.minPlayers ?? CONFIG.MATCHMAKING_MIN_PLAYERS;
+    this.targetPlayers = options.targetPlayers ?? CONFIG.MATCHMAKING_TARGET_PLAYERS;
+    this.entries = new Map(); // id -> { id, rating, size, enqueuedAt, onMatch }
+    this.averageWait = CONFIG.MATCHMAKING_PARTIAL_AFTER; // ms, smoothed over recent matches
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add (or re-add) a player, or a party of `size` players; onMatch is kept on the
+   * entry for the caller to run
+   */
+  enqueue(id, rating, onMatch, size = 1, now = Date.now()) {
+    const existing = this.entries.get(id);
+    this.entries.set(id, { id, rating, size, enqueuedAt: existing ? existing.enqueuedAt : now, onMatch });
+  }
+
+  dequeue(id) {
+    return this.entries.delete(id);
+  }
+
+  /**
+   * Put a group that update() returned back in the queue (e.g. no lobby was free for
+   * it), keeping each entry's place in line
+   */
+  requeue(group) {
+    for (const entry of group) this.entries.set(entry.id, entry);
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Rating window half-width for an entry that has waited until `now`
+   */
+  getWindow(entry, now = Date.now()) {
+    const waitedSeconds = (now - entry.enqueuedAt) / 1000;
+    return Math.min(CONFIG.MATCHMAKING_MAX_WINDOW, CONFIG.MATCHMAKING_INITIAL_WINDOW + CONFIG.MATCHMAKING_WINDOW_GROWTH * waitedSeconds);
+  }
+
+  /**
+   * Other waiting entries inside the entry's window, closest rating first
+   */
+  findCandidates(entry, now = Date.now(), exclude = null) {
+    const window = this.getWindow(entry, now);
+    const candidates = [];
+    for (const other of this.entries.values()) {
+      if (other === entry || exclude?.has(other.id)) continue;
+      if (Math.abs(other.rating - entry.rating) <= window) candidates.push(other);
+    }
+    return candidates.sort((a, b) => Math.abs(a.rating - entry.rating) - Math.abs(b.rating - entry.rating));
+  }
+
+  /**
+   * Form every group that is ready and remove its players from the queue. Returns the
+   * groups (arrays of entries; a group of one is a player who hit MATCHMAKING_MAX_WAIT).
+   */
+  update(now = Date.now()) {
+    const grouped = new Set();
+    const groups = [];
+    const byWait = [...this.entries.values()].sort((a, b) => a.enqueuedAt - b.enqueuedAt);
+
+    for (const anchor of byWait) {
+      if (grouped.has(anchor.id)) continue;
+      const waited = now - anchor.enqueuedAt;
+      const group = [anchor];
+      let players = anchor.size;
+      for (const candidate of this.findCandidates(anchor, now, grouped)) {
+        if (players >= this.targetPlayers) break;
+        // Parties are never split, so skip any that would overflow the lobby
+        if (players + candidate.size > CONFIG.PLAYERS_PER_LOBBY) continue;
+        group.push(candidate);
+        players += candidate.size;
+      }
+
+      const ready = players >= this.targetPlayers ||
+        (players >= this.minPlayers && waited >= CONFIG.MATCHMAKING_PARTIAL_AFTER) ||
+        waited >= CONFIG.MATCHMAKING_MAX_WAIT;
+      if (!ready) continue;
+
+      for (const entry of group) grouped.add(entry.id);
+      groups.push(group);
+    }
+
+    for (const group of groups) {
+      for (const entry of group) {
+        this.entries.delete(entry.id);
+        this.averageWait += (now - entry.enqueuedAt - this.averageWait) * 0.2;
+      }
+    }
+    return groups;
+  }
+
+  /**
+   * Queue status for a waiting player (sent to the client as matchmaking_status)
+   */
+  getStatus(id, now = Date.now()) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+
+    const waited = now - entry.enqueuedAt;
+    const window = this.getWindow(entry, now);
+    const playersInRange = this.findCandidates(entry, now).reduce((sum, other) => sum + other.size, entry.size);
+
+    // Waits are capped by the partial-group and timeout rules; otherwise use recent history
+    let estimatedWait = Math.max(0, this.averageWait - waited);
+    if (playersInRange >= this.targetPlayers) estimatedWait = 0;
+    else if (playersInRange >= this.minPlayers) estimatedWait = Math.min(estimatedWait, CONFIG.MATCHMAKING_PARTIAL_AFTER - waited);
+    estimatedWait = Math.max(0, Math.min(estimatedWait, CONFIG.MATCHMAKING_MAX_WAIT - waited));
+
+    return {
+      rating: entry.rating,
+      searchRange: { min: Math.round(entry.rating - window), max: Math.round(entry.rating + window) },
+      playersInRange,
+      playersQueued: this.entries.size,
+      waited,
+      estimatedWait: Math.round(estimatedWait),
+    };
+  }
+}
+
+module.exports = { MatchmakingQueue };
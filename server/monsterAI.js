@@ -5,55 +5,303 @@
  * Production-ready implementation with proper state transitions and game mechanics.
  */
 
+const { EventEmitter } = require('events');
 const { CONFIG, logger } = require('./config.js');
 const { MONSTER_STATES, PLAYER_STATES } = require('./gameState.js');
 
 /**
- * A* Pathfinding for monsters (simplified grid-based)
+ * Minimal binary min-heap keyed by node score (used as the A* open set)
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node, score) {
+    this.items.push({ node, score });
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.items[parent].score <= this.items[i].score) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.items[left].score < this.items[smallest].score) smallest = left;
+        if (right < this.items.length && this.items[right].score < this.items[smallest].score) smallest = right;
+        if (smallest === i) break;
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.node;
+  }
+}
+
+/**
+ * A* Pathfinding for monsters over a navigation grid of the arena.
+ *
+ * The grid covers the arena circle on the XZ plane. A cell is blocked when its
+ * center lies outside the arena or inside an obstacle AABB grown by the monster
+ * clearance radius, so paths between free cell centers never clip cover.
  */
 class AStarPathfinder {
-  constructor(gridSize = 10) {
-    this.gridSize = gridSize;
+  constructor(gridSize = CONFIG.MONSTER_PATHFIND_CELL_SIZE) {
+    this.gridSize = gridSize; // cell size in world units
+    this.blocked = null; // Uint8Array, 1 = blocked
+    this.cols = 0;
+    this.rows = 0;
+    this.originX = 0;
+    this.originZ = 0;
+  }
+
+  /**
+   * Build the navigation grid from the lobby's obstacles and arena bounds
+   */
+  buildGrid(obstacles = [], arena = {}, clearance = CONFIG.MONSTER_COLLISION_RADIUS) {
+    const centerX = arena.centerX || 0;
+    const centerZ = arena.centerZ || 0;
+    const radius = arena.radius || CONFIG.ARENA_RADIUS;
+
+    this.cols = Math.ceil((radius * 2) / this.gridSize) + 1;
+    this.rows = this.cols;
+    this.originX = centerX - radius;
+    this.originZ = centerZ - radius;
+    this.blocked = new Uint8Array(this.cols * this.rows);
+
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const { x, z } = this.cellToWorld(col, row);
+        const dx = x - centerX;
+        const dz = z - centerZ;
+        if (dx * dx + dz * dz > radius * radius) {
+          this.blocked[row * this.cols + col] = 1;
+        }
+      }
+    }
+
+    for (const obs of obstacles) {
+      const halfW = (obs.width || 6) / 2 + clearance;
+      const halfD = (obs.depth || 6) / 2 + clearance;
+      const min = this.worldToCell(obs.position.x - halfW, obs.position.z - halfD);
+      const max = this.worldToCell(obs.position.x + halfW, obs.position.z + halfD);
+      for (let row = Math.max(0, min.row); row <= Math.min(this.rows - 1, max.row); row++) {
+        for (let col = Math.max(0, min.col); col <= Math.min(this.cols - 1, max.col); col++) {
+          const { x, z } = this.cellToWorld(col, row);
+          if (Math.abs(x - obs.position.x) <= halfW && Math.abs(z - obs.position.z) <= halfD) {
+            this.blocked[row * this.cols + col] = 1;
+          }
+        }
+      }
+    }
+
+    logger.debug(`Navigation grid built: ${this.cols}x${this.rows} cells, ${obstacles.length} obstacles`);
+  }
+
+  worldToCell(x, z) {
+    return {
+      col: Math.round((x - this.originX) / this.gridSize),
+      row: Math.round((z - this.originZ) / this.gridSize),
+    };
+  }
+
+  cellToWorld(col, row) {
+    return {
+      x: this.originX + col * this.gridSize,
+      z: this.originZ + row * this.gridSize,
+    };
+  }
+
+  isCellFree(col, row) {
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return false;
+    return this.blocked[row * this.cols + col] === 0;
+  }
+
+  /**
+   * Nearest free cell to (col, row), searching outward ring by ring
+   */
+  findNearestFreeCell(col, row, maxRing = 10) {
+    if (this.isCellFree(col, row)) return { col, row };
+    for (let ring = 1; ring <= maxRing; ring++) {
+      let best = null;
+      let bestDist = Infinity;
+      for (let dr = -ring; dr <= ring; dr++) {
+        for (let dc = -ring; dc <= ring; dc++) {
+          if (Math.abs(dr) !== ring && Math.abs(dc) !== ring) continue;
+          if (!this.isCellFree(col + dc, row + dr)) continue;
+          const d = dc * dc + dr * dr;
+          if (d < bestDist) {
+            bestDist = d;
+            best = { col: col + dc, row: row + dr };
+          }
+        }
+      }
+      if (best) return best;
+    }
+    return null;
   }
 
   /**
-   * Find path from start to goal using simplified A* (Manhattan distance heuristic)
+   * Check that the straight segment a -> b only crosses free cells
    */
-  findPath(start, goal, obstacles = []) {
-    // Simplified: return direct line-of-sight path if no obstacles
-    // In a full implementation, this would do proper A* with grid
-    const path = [start];
-
-    // For now, just one waypoint to goal
-    const dx = goal.x - start.x;
-    const dz = goal.z - start.z;
+  hasLineOfSight(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
     const distance = Math.sqrt(dx * dx + dz * dz);
+    const steps = Math.max(1, Math.ceil(distance / (this.gridSize * 0.25)));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      const cell = this.worldToCell(a.x + dx * t, a.z + dz * t);
+      if (!this.isCellFree(cell.col, cell.row)) return false;
+    }
+    return true;
+  }
 
-    if (distance > 0.1) {
-      // Add intermediate waypoint
-      const steps = Math.ceil(distance / 5);
-      for (let i = 1; i < steps; i++) {
-        path.push({
-          x: start.x + (dx / steps) * i,
-          z: start.z + (dz / steps) * i,
-        });
+  /**
+   * Find path from start to goal using A* (8-connected, octile heuristic, no corner cutting).
+   * Returns the smoothed list of waypoints to walk through (start excluded, goal last),
+   * or null if the goal is unreachable.
+   */
+  findPath(start, goal) {
+    // Without a grid there is nothing to avoid - walk straight
+    if (!this.blocked) {
+      return [{ x: goal.x, z: goal.z }];
+    }
+
+    const startRaw = this.worldToCell(start.x, start.z);
+    const goalRaw = this.worldToCell(goal.x, goal.z);
+    const startCell = this.findNearestFreeCell(startRaw.col, startRaw.row);
+    const goalCell = this.findNearestFreeCell(goalRaw.col, goalRaw.row);
+    if (!startCell || !goalCell) return null;
+
+    const cols = this.cols;
+    const startIdx = startCell.row * cols + startCell.col;
+    const goalIdx = goalCell.row * cols + goalCell.col;
+
+    const gScore = new Float64Array(cols * this.rows).fill(Infinity);
+    const cameFrom = new Int32Array(cols * this.rows).fill(-1);
+    const closed = new Uint8Array(cols * this.rows);
+    const open = new MinHeap();
+
+    const heuristic = (idx) => {
+      const dc = Math.abs((idx % cols) - goalCell.col);
+      const dr = Math.abs(Math.floor(idx / cols) - goalCell.row);
+      return (dc + dr) + (Math.SQRT2 - 2) * Math.min(dc, dr);
+    };
+
+    gScore[startIdx] = 0;
+    open.push(startIdx, heuristic(startIdx));
+
+    let found = false;
+    while (open.size > 0) {
+      const current = open.pop();
+      if (closed[current]) continue;
+      if (current === goalIdx) {
+        found = true;
+        break;
+      }
+      closed[current] = 1;
+
+      const col = current % cols;
+      const row = Math.floor(current / cols);
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          if (dr === 0 && dc === 0) continue;
+          const nc = col + dc;
+          const nr = row + dr;
+          if (!this.isCellFree(nc, nr)) continue;
+          // Diagonal moves may not squeeze between two blocked cells
+          if (dr !== 0 && dc !== 0 && (!this.isCellFree(col + dc, row) || !this.isCellFree(col, row + dr))) continue;
+
+          const neighbor = nr * cols + nc;
+          if (closed[neighbor]) continue;
+          const tentative = gScore[current] + (dr !== 0 && dc !== 0 ? Math.SQRT2 : 1);
+          if (tentative < gScore[neighbor]) {
+            gScore[neighbor] = tentative;
+            cameFrom[neighbor] = current;
+            open.push(neighbor, tentative + heuristic(neighbor));
+          }
+        }
       }
     }
 
-    path.push(goal);
-    return path;
+    if (!found) return null;
+
+    // Rebuild cell path goal -> start
+    const cells = [];
+    for (let idx = goalIdx; idx !== -1; idx = cameFrom[idx]) {
+      cells.push(this.cellToWorld(idx % cols, Math.floor(idx / cols)));
+    }
+    cells.reverse();
+
+    // The exact goal replaces the goal cell center: the final hop only crosses clearance margin
+    cells[cells.length - 1] = { x: goal.x, z: goal.z };
+    return this.smoothPath({ x: start.x, z: start.z }, cells);
+  }
+
+  /**
+   * String-pull a cell path: skip every waypoint that is directly visible from the previous anchor
+   */
+  smoothPath(start, cells) {
+    const smoothed = [];
+    let anchor = start;
+    let i = 0;
+    while (i < cells.length) {
+      let furthest = i;
+      for (let j = cells.length - 1; j > i; j--) {
+        if (this.hasLineOfSight(anchor, cells[j])) {
+          furthest = j;
+          break;
+        }
+      }
+      smoothed.push(cells[furthest]);
+      anchor = cells[furthest];
+      i = furthest + 1;
+    }
+    return smoothed;
   }
 }
 
 /**
- * MonsterAI - manages all monster AI for a single lobby
+ * MonsterAI - manages all monster AI for a single lobby.
+ * Emits 'attack' ({ monsterId, playerId, damage, health }) when a monster hits a player.
  */
-class MonsterAI {
+class MonsterAI extends EventEmitter {
   constructor(gameState) {
+    super();
     this.gameState = gameState;
     this.monsterIdCounter = 0;
     this.pathfinder = new AStarPathfinder();
-    this.lastSpawnCheck = Date.now();
+    this.lastSpawnCheck = this.gameState.clock();
+    this.playerSightings = new Map(); // playerId -> { x, z, time } last seen by any monster
+  }
+
+  /**
+   * Prepare per-match AI state (called right after the lobby's match has been set up)
+   */
+  onMatchStart() {
+    this.pathfinder.buildGrid(this.gameState.getActiveObstacles(), {
+      centerX: this.gameState.centerX,
+      centerZ: this.gameState.centerZ,
+      radius: CONFIG.ARENA_RADIUS,
+    });
+    this.lastSpawnCheck = this.gameState.clock();
+    this.playerSightings.clear();
   }
 
   /**
@@ -67,9 +315,9 @@ class MonsterAI {
     }
 
     // Periodically check if new monsters should spawn
-    if (Date.now() - this.lastSpawnCheck > 1000) {
+    if (this.gameState.clock() - this.lastSpawnCheck > 1000) {
       this.checkMonsterSpawning();
-      this.lastSpawnCheck = Date.now();
+      this.lastSpawnCheck = this.gameState.clock();
     }
   }
 
@@ -77,7 +325,7 @@ class MonsterAI {
    * Update a single monster's state and behavior
    */
   updateSingleMonster(monster, deltaTime) {
-    const now = Date.now();
+    const now = this.gameState.clock();
 
     // Update state based on transitions
     this.updateMonsterState(monster, now);
@@ -124,6 +372,8 @@ class MonsterAI {
             monster.targetPlayerId = player.id;
             monster.pathfindTarget = { ...player.position };
             monster.lastSightTime = now;
+            monster.patrolTarget = null;
+            this.recordSighting(player, now);
             logger.debug(`Monster ${monster.id} spotted player ${player.id}, hunting`);
             break;
           }
@@ -145,6 +395,7 @@ class MonsterAI {
         if (this.canMonsterSeePlayer(monster, target)) {
           monster.lastSeenPlayerPosition = { ...target.position };
           monster.lastSightTime = now;
+          this.recordSighting(target, now);
         } else {
           // Lost line of sight - check if lost entirely
           const timeSinceSight = (now - monster.lastSightTime) / 1000;
@@ -152,6 +403,11 @@ class MonsterAI {
             monster.state = MONSTER_STATES.IDLE;
             monster.targetPlayerId = null;
             monster.path = [];
+            // Go and look where the player was last seen
+            if (monster.lastSeenPlayerPosition) {
+              monster.patrolTarget = { ...monster.lastSeenPlayerPosition, kind: 'investigate' };
+              monster.scanUntil = 0;
+            }
             logger.debug(`Monster ${monster.id} lost sight, returning to IDLE`);
           }
         }
@@ -182,17 +438,212 @@ class MonsterAI {
         monster.nextAttackTime = now + 2000; // Attack cooldown
       }
     } else {
-      // Move toward target
-      this.moveMonsterToward(monster, target.position, deltaTime);
+      // Walk the navigation path toward the target, repathing periodically
+      this.updateMonsterPath(monster, target.position, now);
+      this.followPath(monster, deltaTime);
+    }
+  }
+
+  /**
+   * Recompute the monster's path when it has run out or is older than the repath interval.
+   * A failed search also waits out the interval: an unreachable goal would otherwise
+   * trigger a full-grid search every tick.
+   */
+  updateMonsterPath(monster, goal, now) {
+    const pathFinished = !monster.path || monster.pathIndex >= monster.path.length;
+    if ((!pathFinished || monster.pathUnreachable) &&
+        now - monster.lastPathfindTime < CONFIG.MONSTER_PATHFIND_UPDATE_INTERVAL) {
+      return;
+    }
+
+    monster.lastPathfindTime = now;
+    monster.pathfindTarget = { ...goal };
+    monster.path = this.pathfinder.findPath(monster.position, goal) || [];
+    monster.pathIndex = 0;
+    monster.pathUnreachable = monster.path.length === 0;
+
+    if (monster.pathUnreachable) {
+      logger.debug(`Monster ${monster.id} found no path to (${goal.x.toFixed(1)}, ${goal.z.toFixed(1)})`);
     }
   }
 
   /**
-   * Update idle monster - scan for players or wander
+   * Advance the monster along monster.path, carrying leftover movement across waypoints
+   */
+  followPath(monster, deltaTime, speed = this.gameState.settings.MONSTER_SPEED) {
+    let remaining = speed * deltaTime;
+
+    while (remaining > 0 && monster.pathIndex < monster.path.length) {
+      const waypoint = monster.path[monster.pathIndex];
+      const dx = waypoint.x - monster.position.x;
+      const dz = waypoint.z - monster.position.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+
+      if (distance > 0.001) {
+        monster.gaze = { x: dx / distance, y: 0, z: dz / distance };
+      }
+
+      if (distance <= remaining) {
+        monster.position.x = waypoint.x;
+        monster.position.z = waypoint.z;
+        remaining -= distance;
+        monster.pathIndex++;
+      } else {
+        monster.position.x += (dx / distance) * remaining;
+        monster.position.z += (dz / distance) * remaining;
+        remaining = 0;
+      }
+    }
+  }
+
+  /**
+   * Update idle monster - patrol between points of interest, scanning at each one.
+   * Spotting a player (updateMonsterState) switches it back to HUNTING.
    */
   updateIdleMonster(monster, now, deltaTime) {
-    // Random idle movement (optional)
-    // For now, just idle in place
+    if (now < monster.scanUntil) {
+      // Turn in place so the detection cone sweeps around
+      this.rotateGaze(monster, CONFIG.MONSTER_SCAN_TURN_RATE * deltaTime);
+      return;
+    }
+
+    if (!monster.patrolTarget) {
+      monster.patrolTarget = this.choosePatrolTarget(monster, now);
+      monster.path = [];
+      monster.pathIndex = 0;
+    }
+
+    const target = monster.patrolTarget;
+    const dx = target.x - monster.position.x;
+    const dz = target.z - monster.position.z;
+    if (Math.sqrt(dx * dx + dz * dz) <= CONFIG.MONSTER_PATROL_ARRIVE_DISTANCE) {
+      this.finishPatrolLeg(monster, now);
+      return;
+    }
+
+    this.updateMonsterPath(monster, target, now);
+    if (monster.path.length === 0) {
+      // Unreachable - look around here and pick somewhere else
+      this.finishPatrolLeg(monster, now);
+      return;
+    }
+    this.followPath(monster, deltaTime, this.gameState.settings.MONSTER_SPEED * CONFIG.MONSTER_PATROL_SPEED_MULTIPLIER);
+    if (monster.pathIndex >= monster.path.length) {
+      // End of the path (as close as the navigation grid gets)
+      this.finishPatrolLeg(monster, now);
+      return;
+    }
+
+    // Swing the gaze either side of the walking direction
+    monster.sweepPhase += CONFIG.MONSTER_PATROL_SWEEP_RATE * deltaTime;
+    this.rotateGaze(monster, Math.sin(monster.sweepPhase) * CONFIG.MONSTER_PATROL_SWEEP_ANGLE);
+  }
+
+  /**
+   * Arrived at (or gave up on) a patrol point: scan, then choose a new one
+   */
+  finishPatrolLeg(monster, now) {
+    if (monster.patrolTarget && monster.patrolTarget.kind === 'investigate') {
+      monster.lastSeenPlayerPosition = null;
+    }
+    monster.patrolTarget = null;
+    monster.path = [];
+    monster.pathIndex = 0;
+    monster.scanUntil = now + CONFIG.MONSTER_SCAN_DURATION;
+  }
+
+  /**
+   * Pick the next point of interest for a patrolling monster: a fresh player sighting,
+   * an orb cluster (players come for orbs) or the safe-zone edge (players get pushed
+   * there), chosen at random among those available.
+   */
+  choosePatrolTarget(monster, now) {
+    const candidates = [];
+
+    const sighting = this.getFreshestSighting(now);
+    if (sighting) candidates.push({ x: sighting.x, z: sighting.z, kind: 'sighting' });
+
+    const cluster = this.findOrbCluster();
+    if (cluster) candidates.push({ ...cluster, kind: 'orbs' });
+
+    candidates.push({ ...this.pickZoneEdgePoint(), kind: 'zone_edge' });
+
+    return candidates[Math.floor(this.gameState.random() * candidates.length)];
+  }
+
+  /**
+   * Remember where a player was seen so other idle monsters can patrol there
+   */
+  recordSighting(player, now) {
+    this.playerSightings.set(player.id, { x: player.position.x, z: player.position.z, time: now });
+  }
+
+  /**
+   * Most recent sighting of a living player within MONSTER_PATROL_MEMORY_TIME, or null
+   */
+  getFreshestSighting(now) {
+    let best = null;
+    for (const [playerId, sighting] of this.playerSightings) {
+      const player = this.gameState.getPlayer(playerId);
+      if (!player || player.state !== PLAYER_STATES.ALIVE || now - sighting.time > CONFIG.MONSTER_PATROL_MEMORY_TIME) {
+        this.playerSightings.delete(playerId);
+        continue;
+      }
+      if (!best || sighting.time > best.time) best = sighting;
+    }
+    return best;
+  }
+
+  /**
+   * Position of the active orb with the most other orbs nearby (sampled), or null
+   */
+  findOrbCluster(samples = 8) {
+    const orbs = this.gameState.getActiveOrbs();
+    if (orbs.length === 0) return null;
+
+    const radiusSq = CONFIG.MONSTER_PATROL_CLUSTER_RADIUS * CONFIG.MONSTER_PATROL_CLUSTER_RADIUS;
+    let best = null;
+    let bestCount = -1;
+    for (let i = 0; i < Math.min(samples, orbs.length); i++) {
+      const orb = orbs[Math.floor(this.gameState.random() * orbs.length)];
+      let count = 0;
+      for (const other of orbs) {
+        const dx = other.position.x - orb.position.x;
+        const dz = other.position.z - orb.position.z;
+        if (dx * dx + dz * dz <= radiusSq) count++;
+      }
+      if (count > bestCount) {
+        best = orb;
+        bestCount = count;
+      }
+    }
+    return { x: best.position.x, z: best.position.z };
+  }
+
+  /**
+   * Random point just inside the current safe-zone edge
+   */
+  pickZoneEdgePoint() {
+    const angle = this.gameState.random() * Math.PI * 2;
+    const distance = Math.max(0, this.gameState.arenaSafeRadius - CONFIG.MONSTER_PATROL_ZONE_MARGIN);
+    return {
+      x: this.gameState.safeCenterX + Math.cos(angle) * distance,
+      z: this.gameState.safeCenterZ + Math.sin(angle) * distance,
+    };
+  }
+
+  /**
+   * Rotate the monster's gaze around the vertical axis by `angle` radians
+   */
+  rotateGaze(monster, angle) {
+    const gaze = monster.gaze || { x: 0, y: 0, z: 1 };
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    monster.gaze = {
+      x: gaze.x * cos - gaze.z * sin,
+      y: 0,
+      z: gaze.x * sin + gaze.z * cos,
+    };
   }
 
   /**
@@ -227,7 +678,8 @@ class MonsterAI {
       }
     }
 
-    return true;
+    // Obstacles block vision
+    return this.gameState.hasLineOfSight(monster.position, player.position);
   }
 
   /**
@@ -286,6 +738,9 @@ class MonsterAI {
       const dot = (gaze.x * dx + gaze.z * dz) / distance;
       if (dot < coneThreshold) continue; // Not looking at monster
 
+      // Can't freeze a monster through a wall
+      if (!this.gameState.hasLineOfSight(p.position, monster.position)) continue;
+
       const isBlinking = p.lastBlinkTime && (now - p.lastBlinkTime) <= CONFIG.PLAYER_BLINK_BLACKOUT_DURATION;
       if (isBlinking) {
         blinkingWatchers.push(p.id);
@@ -337,7 +792,7 @@ class MonsterAI {
     }
 
     // Move at monster speed
-    const moveDistance = CONFIG.MONSTER_SPEED * deltaTime;
+    const moveDistance = this.gameState.settings.MONSTER_SPEED * deltaTime;
     if (moveDistance >= distance) {
       monster.position = { ...target };
     } else {
@@ -359,7 +814,7 @@ class MonsterAI {
    * Monster attacks a player
    */
   attackPlayer(monster, player) {
-    const now = Date.now();
+    const now = this.gameState.clock();
     // Double-check: do not attack if any non-blinking player is looking at the monster
     const { openWatchers } = this.getWatchingPlayers(monster, now);
     if (openWatchers && openWatchers.length > 0) {
@@ -368,9 +823,10 @@ class MonsterAI {
     }
 
     const damage = CONFIG.MONSTER_ATTACK_DAMAGE || 60;
-    const newHealth = this.gameState.damagePlayer(player.id, damage);
+    const newHealth = this.gameState.damagePlayer(player.id, damage, 'monster');
     if (typeof newHealth === 'number') {
       logger.info(`Monster ${monster.id} attacked player ${player.id} (damage: ${damage.toFixed(1)}, health: ${newHealth.toFixed(1)})`);
+      this.emit('attack', { monsterId: monster.id, playerId: player.id, damage, health: newHealth });
     }
   }
 
@@ -380,19 +836,23 @@ class MonsterAI {
   checkMonsterSpawning() {
     const matchTime = this.gameState.getMatchElapsedTime();
 
-    if (matchTime < CONFIG.MONSTER_SPAWN_DELAY) {
+    const { MONSTER_SPAWN_DELAY, MONSTER_SPAWN_RATE } = this.gameState.settings;
+    if (matchTime < MONSTER_SPAWN_DELAY) {
       return;
     }
     const livingPlayers = this.gameState.getLivingPlayers();
     const minutesElapsed = matchTime / 60000;
-    const targetMonsterCount = Math.floor(livingPlayers.length * (1 + minutesElapsed));
+    // Sudden death multiplies both the target and the cap
+    const multiplier = this.gameState.suddenDeath ? CONFIG.SUDDEN_DEATH_MONSTER_MULTIPLIER : 1;
+    const targetMonsterCount = Math.floor(livingPlayers.length * (1 + MONSTER_SPAWN_RATE * minutesElapsed) * multiplier);
+    const maxMonsterCount = livingPlayers.length * 3 * multiplier;
     const currentMonsterCount = this.gameState.getAllMonsters().length;
 
     // Spawn additional monsters
-    for (let i = currentMonsterCount; i < Math.min(targetMonsterCount, livingPlayers.length * 3); i++) {
+    for (let i = currentMonsterCount; i < Math.min(targetMonsterCount, maxMonsterCount); i++) {
       if (livingPlayers.length === 0) break;
 
-      const player = livingPlayers[Math.floor(Math.random() * livingPlayers.length)];
+      const player = livingPlayers[Math.floor(this.gameState.random() * livingPlayers.length)];
       this.spawnMonster(player);
     }
   }
@@ -417,4 +877,4 @@ class MonsterAI {
   }
 }
 
-module.exports = { MonsterAI };
+module.exports = { MonsterAI, AStarPathfinder };
@@ -0,0 +1,212 @@
+/**
+ * server/occlusion.js
+ *
+ * Line-of-sight occlusion against a lobby's obstacles, shared by monster vision and
+ * player gaze checks. Obstacles are axis-aligned boxes on the XZ plane (position is
+ * the center, width along X, depth along Z), which is how they are spawned and how
+ * every other server check treats them. Obstacles are taller than eye level, so the
+ * test is purely 2D.
+ *
+ * Obstacles are bucketed into a uniform grid; a query walks only the cells the
+ * segment crosses (grid DDA), so its cost depends on the segment length and the local
+ * obstacle density, not on the total obstacle count. raycast() uses the same walk but
+ * tests the boxes in 3D (ground to obstacle height) to find where a gaze ray lands.
+ */
+
+const { CONFIG } = require('./config.js');
+
+/**
+ * Does the segment a -> b pass through the box? Slab test on the XZ plane; a segment
+ * that merely touches an edge counts as blocked.
+ */
+function segmentIntersectsBox(a, b, box) {
+  return segmentBoxEntry(a, b, box) !== null;
+}
+
+/**
+ * Fraction (0..1) of the way from a to b where the segment enters the box on the XZ
+ * plane (0 when a is inside), or null when it misses
+ */
+function segmentBoxEntry(a, b, box) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  let tMin = 0;
+  let tMax = 1;
+
+  const axes = [
+    [a.x, dx, box.minX, box.maxX],
+    [a.z, dz, box.minZ, box.maxZ],
+  ];
+  for (const [origin, dir, min, max] of axes) {
+    if (Math.abs(dir) < 1e-9) {
+      if (origin < min || origin > max) return null;
+      continue;
+    }
+    let t1 = (min - origin) / dir;
+    let t2 = (max - origin) / dir;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
+
+/**
+ * Distance along a ray (origin + t * dir, dir normalized) to where it enters the 3D
+ * box, or null when it misses within maxDistance. A ray starting inside hits at 0.
+ */
+function rayBoxDistance(origin, dir, box, maxDistance) {
+  let tMin = 0;
+  let tMax = maxDistance;
+
+  const axes = [
+    [origin.x, dir.x, box.minX, box.maxX],
+    [origin.y, dir.y, box.minY, box.maxY],
+    [origin.z, dir.z, box.minZ, box.maxZ],
+  ];
+  for (const [start, step, min, max] of axes) {
+    if (Math.abs(step) < 1e-9) {
+      if (start < min || start > max) return null;
+      continue;
+    }
+    let t1 = (min - start) / step;
+    let t2 = (max - start) / step;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
+
+/**
+ * OcclusionIndex - uniform grid of obstacle boxes answering line-of-sight queries
+ */
+class OcclusionIndex {
+  constructor(cellSize = CONFIG.OCCLUSION_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // "col,row" -> [box]
+    this.size = 0;
+    this.queryStamp = 0; // marks boxes already tested during the current query
+  }
+
+  /**
+   * Add an obstacle ({ id, position, width, depth })
+   */
+  insert(obstacle) {
+    const halfW = (obstacle.width || 6) / 2;
+    const halfD = (obstacle.depth || 6) / 2;
+    const baseY = obstacle.position.y || 0;
+    const box = {
+      id: obstacle.id,
+      minX: obstacle.position.x - halfW,
+      maxX: obstacle.position.x + halfW,
+      minY: baseY,
+      maxY: baseY + (obstacle.height || Infinity),
+      minZ: obstacle.position.z - halfD,
+      maxZ: obstacle.position.z + halfD,
+      stamp: 0,
+    };
+
+    const minCol = Math.floor(box.minX / this.cellSize);
+    const maxCol = Math.floor(box.maxX / this.cellSize);
+    const minRow = Math.floor(box.minZ / this.cellSize);
+    const maxRow = Math.floor(box.maxZ / this.cellSize);
+    for (let col = minCol; col <= maxCol; col++) {
+      for (let row = minRow; row <= maxRow; row++) {
+        const key = `${col},${row}`;
+        let bucket = this.cells.get(key);
+        if (!bucket) {
+          bucket = [];
+          this.cells.set(key, bucket);
+        }
+        bucket.push(box);
+      }
+    }
+    this.size++;
+  }
+
+  /**
+   * Remove every obstacle
+   */
+  clear() {
+    this.cells.clear();
+    this.size = 0;
+  }
+
+  /**
+   * True when no obstacle blocks the straight line between two positions ({ x, z })
+   */
+  hasLineOfSight(a, b) {
+    if (this.size === 0) return true;
+    return !this.walkBoxes(a, b, box => segmentIntersectsBox(a, b, box));
+  }
+
+  /**
+   * Distance along a ray ({ x, y, z } origin, normalized direction) to the first
+   * obstacle it enters within maxDistance, or null
+   */
+  raycast(origin, dir, maxDistance) {
+    if (this.size === 0) return null;
+
+    const end = { x: origin.x + dir.x * maxDistance, z: origin.z + dir.z * maxDistance };
+    let nearest = null;
+    this.walkBoxes(origin, end, (box) => {
+      const distance = rayBoxDistance(origin, dir, box, maxDistance);
+      if (distance !== null && (nearest === null || distance < nearest)) nearest = distance;
+      return false; // boxes span cells, so keep walking to be sure of the nearest
+    });
+    return nearest;
+  }
+
+  /**
+   * Call visit(box) once for each obstacle in the cells the XZ segment a -> b crosses,
+   * stopping early (and returning true) as soon as visit returns true
+   */
+  walkBoxes(a, b, visit) {
+    this.queryStamp++;
+    const stamp = this.queryStamp;
+    const cellSize = this.cellSize;
+
+    let col = Math.floor(a.x / cellSize);
+    let row = Math.floor(a.z / cellSize);
+    const endCol = Math.floor(b.x / cellSize);
+    const endRow = Math.floor(b.z / cellSize);
+
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const stepCol = dx > 0 ? 1 : -1;
+    const stepRow = dz > 0 ? 1 : -1;
+    // Segment parameter t (0..1) at the next column/row boundary, and per cell
+    const tDeltaX = dx !== 0 ? Math.abs(cellSize / dx) : Infinity;
+    const tDeltaZ = dz !== 0 ? Math.abs(cellSize / dz) : Infinity;
+    let tMaxX = dx !== 0 ? ((dx > 0 ? (col + 1) * cellSize : col * cellSize) - a.x) / dx : Infinity;
+    let tMaxZ = dz !== 0 ? ((dz > 0 ? (row + 1) * cellSize : row * cellSize) - a.z) / dz : Infinity;
+
+    // Cells crossed is bounded by the column and row distance
+    const maxSteps = Math.abs(endCol - col) + Math.abs(endRow - row) + 1;
+    for (let step = 0; step < maxSteps; step++) {
+      const bucket = this.cells.get(`${col},${row}`);
+      if (bucket) {
+        for (const box of bucket) {
+          if (box.stamp === stamp) continue;
+          box.stamp = stamp;
+          if (visit(box)) return true;
+        }
+      }
+
+      if (col === endCol && row === endRow) break;
+      if (tMaxX < tMaxZ) {
+        col += stepCol;
+        tMaxX += tDeltaX;
+      } else {
+        row += stepRow;
+        tMaxZ += tDeltaZ;
+      }
+    }
+    return false;
+  }
+}
+
+module.exports = { OcclusionIndex, segmentIntersectsBox, segmentBoxEntry, rayBoxDistance };
@@ -0,0 +1,106 @@
+/**
+ * server/partyManager.js
+ *
+ * Parties let friends stay together across matches. A party is joined with a short
+ * code, has a leader who queues for everyone, and is keyed by profile id (see
+ * profileStore.js), so membership survives reconnects, page reloads and match ends.
+ * Sockets and lobbies are handled by index.js; this module only tracks membership.
+ */
+
+const { CONFIG, logger } = require('./config.js');
+
+const PARTY_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I
+
+class PartyManager {
+  constructor() {
+    this.parties = new Map(); // code -> { code, leaderId, members: Map profileId -> { profileId, username } }
+    this.partyByProfile = new Map(); // profileId -> code
+  }
+
+  generateCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < CONFIG.PARTY_CODE_LENGTH; i++) {
+        code += PARTY_CODE_CHARS.charAt(Math.floor(Math.random() * PARTY_CODE_CHARS.length));
+      }
+    } while (this.parties.has(code));
+    return code;
+  }
+
+  /**
+   * Party the profile belongs to, or null
+   */
+  getParty(profileId) {
+    const code = this.partyByProfile.get(profileId);
+    return code ? this.parties.get(code) : null;
+  }
+
+  /**
+   * Create a party led by the profile: { result: party } or { error }
+   */
+  createParty(profileId, username) {
+    if (this.partyByProfile.has(profileId)) {
+      return { error: { code: 'already_in_party', message: 'Leave your current party first' } };
+    }
+
+    const code = this.generateCode();
+    const party = { code, leaderId: profileId, members: new Map() };
+    party.members.set(profileId, { profileId, username });
+    this.parties.set(code, party);
+    this.partyByProfile.set(profileId, code);
+    logger.info(`Party ${code} created by ${username}`);
+    return { result: party };
+  }
+
+  /**
+   * Join a party by code: { result: party } or { error }
+   */
+  joinParty(code, profileId, username) {
+    const party = this.parties.get(String(code || '').trim().toUpperCase());
+    if (!party) {
+      return { error: { code: 'party_not_found', message: `No party with code ${code}` } };
+    }
+    if (party.members.has(profileId)) return { result: party };
+    if (this.partyByProfile.has(profileId)) {
+      return { error: { code: 'already_in_party', message: 'Leave your current party first' } };
+    }
+    if (party.members.size >= CONFIG.PARTY_MAX_SIZE) {
+      return { error: { code: 'party_full', message: 'This party is full' } };
+    }
+
+    party.members.set(profileId, { profileId, username });
+    this.partyByProfile.set(profileId, party.code);
+    logger.info(`${username} joined party ${party.code} (${party.members.size}/${CONFIG.PARTY_MAX_SIZE})`);
+    return { result: party };
+  }
+
+  /**
+   * Remove the profile from its party; leadership passes to the longest-standing
+   * member and empty parties are disbanded. Returns the party left, or null.
+   */
+  leaveParty(profileId) {
+    const party = this.getParty(profileId);
+    if (!party) return null;
+
+    party.members.delete(profileId);
+    this.partyByProfile.delete(profileId);
+    if (party.members.size === 0) {
+      this.parties.delete(party.code);
+      logger.info(`Party ${party.code} disbanded`);
+    } else if (party.leaderId === profileId) {
+      party.leaderId = party.members.keys().next().value;
+    }
+    return party;
+  }
+
+  /**
+   * Keep member names current (profiles can be renamed on join)
+   */
+  updateUsername(profileId, username) {
+    const member = this.getParty(profileId)?.members.get(profileId);
+    if (member && username) member.username = username;
+  }
+}
+
+module.exports = { PartyManager };
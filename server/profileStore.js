@@ -0,0 +1,240 @@
+/**
+ * server/profileStore.js
+ *
+ * Persistent player profiles and career stats. A profile is identified publicly by
+ * its id (GET /api/profile/:id) and privately by a server-issued token the client
+ * keeps in localStorage and sends with join_lobby. Only a hash of the token is stored.
+ *
+ * Storage is pluggable: ProfileStore talks to a backend with an async
+ * load() / get(id) / findByTokenHash(hash) / save(...profiles) interface. Two backends
+ * ship here: JsonFileStorage (one JSON file, the default) and MemoryStorage (nothing
+ * persisted). Another backend (e.g. SQLite) only needs to implement the same four methods.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, logger } = require('./config.js');
+const { rankPlayers, computeRatingChanges } = require('./rating.js');
+
+const DEATH_CAUSES = ['monster', 'zone', 'other'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * MemoryStorage - profiles kept in a Map (lost on restart)
+ */
+class MemoryStorage {
+  constructor() {
+    this.profiles = new Map(); // id -> profile
+    this.idsByTokenHash = new Map(); // tokenHash -> id
+  }
+
+  async load() {}
+
+  async get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  async findByTokenHash(tokenHash) {
+    const id = this.idsByTokenHash.get(tokenHash);
+    return id ? this.profiles.get(id) || null : null;
+  }
+
+  async save(...profiles) {
+    for (const profile of profiles) this.remember(profile);
+  }
+
+  remember(profile) {
+    this.profiles.set(profile.id, profile);
+    if (profile.tokenHash) this.idsByTokenHash.set(profile.tokenHash, profile.id);
+  }
+}
+
+/**
+ * JsonFileStorage - every profile in one JSON file, loaded once and rewritten on save.
+ * Writes go to a temp file then rename, and are serialized so they never interleave;
+ * saves made while a write is still waiting its turn share that write.
+ * A file that exists but can't be read or parsed fails load() (and so every save):
+ * it is never overwritten with an empty profile list.
+ */
+class JsonFileStorage extends MemoryStorage {
+  constructor(file) {
+    super();
+    this.file = file;
+    this.loaded = null; // Promise for the initial read
+    this.writeQueue = Promise.resolve();
+    this.pendingWrite = null; // queued write that hasn't started yet
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises.readFile(this.file, 'utf8')
+        .then((text) => {
+          for (const profile of JSON.parse(text).profiles || []) {
+            this.remember(profile);
+          }
+          logger.info(`Loaded ${this.profiles.size} player profiles from ${this.file}`);
+        })
+        .catch((err) => {
+          if (err.code === 'ENOENT') return;
+          throw new Error(`Cannot read profiles from ${this.file} (${err.message}); fix or move the file away`);
+        });
+    }
+    return this.loaded;
+  }
+
+  async get(id) {
+    await this.load();
+    return super.get(id);
+  }
+
+  async findByTokenHash(tokenHash) {
+    await this.load();
+    return super.findByTokenHash(tokenHash);
+  }
+
+  async save(...profiles) {
+    await this.load();
+    await super.save(...profiles);
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.writeQueue.then(() => {
+        this.pendingWrite = null;
+        return this.write();
+      }).catch((err) => {
+        logger.error(`Failed to write profiles to ${this.file}: ${err.message}`);
+      });
+      this.writeQueue = this.pendingWrite;
+    }
+    return this.pendingWrite;
+  }
+
+  async write() {
+    const data = JSON.stringify({ profiles: Array.from(this.profiles.values()) });
+    const temp = `${this.file}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, this.file);
+  }
+}
+
+/**
+ * Backend selected by CONFIG.PROFILE_STORAGE ('json' or 'memory')
+ */
+function createStorage(type = CONFIG.PROFILE_STORAGE) {
+  if (type === 'memory') return new MemoryStorage();
+  if (type !== 'json') logger.warn(`Unknown PROFILE_STORAGE "${type}", using json`);
+  return new JsonFileStorage(path.resolve(__dirname, '..', CONFIG.PROFILE_FILE));
+}
+
+class ProfileStore {
+  constructor(storage = createStorage()) {
+    this.storage = storage;
+  }
+
+  /**
+   * Read the stored profiles (rejects if the storage is unreadable)
+   */
+  load() {
+    return this.storage.load();
+  }
+
+  /**
+   * Profile for a client token, or a new profile (and token) when the token is
+   * missing or unknown. Resolves with { profile, token }. Only new profiles are
+   * written here; name and last-seen changes are saved with the next stats update.
+   */
+  async resolve(token, username) {
+    const now = Date.now();
+    let profile = typeof token === 'string' && token
+      ? await this.storage.findByTokenHash(hashToken(token))
+      : null;
+
+    const isNew = !profile;
+    if (isNew) {
+      token = crypto.randomBytes(24).toString('hex');
+      profile = {
+        id: crypto.randomUUID(),
+        tokenHash: hashToken(token),
+        username,
+        createdAt: now,
+        rating: CONFIG.RATING_INITIAL,
+        stats: {
+          gamesPlayed: 0,
+          wins: 0,
+          orbsCollected: 0,
+          deaths: { monster: 0, zone: 0, other: 0 },
+          timeSurvived: 0, // ms, summed over matches
+        },
+      };
+    }
+
+    profile.username = username || profile.username;
+    profile.lastSeenAt = now;
+    if (isNew) await this.storage.save(profile);
+    return { profile, token };
+  }
+
+  /**
+   * Public view of a profile by id, or null
+   */
+  async get(id) {
+    const profile = await this.storage.get(id);
+    return profile ? ProfileStore.toPublic(profile) : null;
+  }
+
+  /**
+   * Add a finished match (LobbyManager.endLobbyMatch results) to the players' profiles
+   * and update their ratings. Unranked matches are ignored.
+   * Resolves with Map profileId -> rating change.
+   */
+  async recordMatch(results) {
+    if (!results.ranked) return new Map();
+    const winnerIds = new Set((results.winners || []).map(w => w.id));
+
+    const rated = [];
+    for (const entry of results.playerStats || []) {
+      if (!entry.profileId) continue;
+      const profile = await this.storage.get(entry.profileId);
+      if (profile) rated.push({ entry, profile });
+    }
+
+    const placements = rankPlayers(rated.map(r => r.entry), winnerIds);
+    const ratingChanges = computeRatingChanges(rated.map(({ entry, profile }) => ({
+      id: profile.id,
+      rating: ProfileStore.getRating(profile),
+      placement: placements.get(entry.id),
+    })));
+
+    for (const { entry, profile } of rated) {
+      profile.rating = ProfileStore.getRating(profile) + (ratingChanges.get(profile.id) || 0);
+      const stats = profile.stats;
+      stats.gamesPlayed++;
+      if (winnerIds.has(entry.id)) stats.wins++;
+      stats.orbsCollected += entry.orbsCollected || 0;
+      stats.timeSurvived += entry.timeSurvived || 0;
+      if (entry.state !== 'alive') {
+        const cause = DEATH_CAUSES.includes(entry.deathCause) ? entry.deathCause : 'other';
+        stats.deaths[cause]++;
+      }
+    }
+    if (rated.length) await this.storage.save(...rated.map(r => r.profile));
+    return ratingChanges;
+  }
+
+  /**
+   * Profile rating (profiles created before ratings existed start at RATING_INITIAL)
+   */
+  static getRating(profile) {
+    return typeof profile.rating === 'number' ? profile.rating : CONFIG.RATING_INITIAL;
+  }
+
+  static toPublic(profile) {
+    const { tokenHash, ...rest } = profile;
+    return rest;
+  }
+}
+
+module.exports = { ProfileStore, JsonFileStorage, MemoryStorage, createStorage };
@@ -0,0 +1,38 @@
+/**
+ * server/random.js
+ *
+ * Seeded random numbers. createRandom(seed) returns a drop-in replacement for
+ * Math.random (mulberry32), so a GameState, LobbyManager or Simulation built with it
+ * replays the same spawns, obstacle layouts and monster choices for the same seed.
+ */
+
+/**
+ * Fold a number or string seed into a 32-bit integer
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+
+  // FNV-1a over the string form
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Random number generator for a seed: () => float in [0, 1)
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { createRandom, hashSeed };
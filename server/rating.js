@@ -0,0 +1,62 @@
+/**
+ * server/rating.js
+ *
+ * Multiplayer Elo. A match is scored as a round robin: every pair of rated players
+ * is one game, won by the better placed player (a draw when placed equally), and
+ * each player's change is averaged over their opponents so lobby size doesn't
+ * inflate it.
+ */
+
+const { CONFIG } = require('./config.js');
+
+/**
+ * Placement of each playerStats entry (0 = best): winners first, then survivors,
+ * then by score and time survived. Equal results share a placement.
+ */
+function rankPlayers(playerStats, winnerIds = new Set()) {
+  const key = (p) => [winnerIds.has(p.id) ? 1 : 0, p.state === 'alive' ? 1 : 0, p.score || 0, p.timeSurvived || 0];
+  const compare = (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    for (let i = 0; i < ka.length; i++) {
+      if (ka[i] !== kb[i]) return kb[i] - ka[i];
+    }
+    return 0;
+  };
+
+  const sorted = [...playerStats].sort(compare);
+  const placements = new Map();
+  sorted.forEach((p, i) => {
+    const previous = sorted[i - 1];
+    placements.set(p.id, previous && compare(previous, p) === 0 ? placements.get(previous.id) : i);
+  });
+  return placements;
+}
+
+/**
+ * Expected score of a player rated `rating` against `opponentRating`
+ */
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Rating changes for [{ id, rating, placement }]: Map id -> delta (rounded)
+ */
+function computeRatingChanges(entries, kFactor = CONFIG.RATING_K_FACTOR) {
+  const changes = new Map();
+  if (entries.length < 2) return changes;
+
+  for (const player of entries) {
+    let total = 0;
+    for (const opponent of entries) {
+      if (opponent === player) continue;
+      const actual = player.placement < opponent.placement ? 1 : player.placement === opponent.placement ? 0.5 : 0;
+      total += actual - expectedScore(player.rating, opponent.rating);
+    }
+    changes.set(player.id, Math.round(kFactor * total / (entries.length - 1)));
+  }
+  return changes;
+}
+
+module.exports = { rankPlayers, expectedScore, computeRatingChanges };
@@ -0,0 +1,236 @@
+/**
+ * server/replayRecorder.js
+ *
+ * Records a match to a replay file under CONFIG.REPLAY_DIR so it survives the lobby
+ * reset in LobbyManager.endLobbyMatch. A replay is one JSON document:
+ *
+ *   {
+ *     version, id, lobbyId, startedAt,       // startedAt: epoch ms
+ *     arenaRadius, frameInterval, settings,  // lobby match settings
+ *     obstacles: [{ id, x, z, w, d, h }],
+ *     players: { [playerId]: username },
+ *     frames: [{
+ *       t,                                   // ms since match start
+ *       p: [[id, x, y, z, yaw, pitch, health, score, state, attachedTo]],
+ *       m: [[id, x, y, z, state]],
+ *       oa: [[id, x, z, value]], or: [id],   // orbs added / removed since the last frame
+ *       z: [centerX, centerZ, radius],       // safe zone
+ *     }],
+ *     events: [{ t, type, ...data }],        // blink, attack, orb_collected, attach, detach
+ *     end: { duration, reason, winners },
+ *   }
+ *
+ * Numbers are rounded to centimetres to keep files small.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, logger } = require('./config.js');
+
+const REPLAY_VERSION = 1;
+const REPLAY_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Absolute replay directory (relative CONFIG.REPLAY_DIR is resolved from the project root)
+ */
+function getReplayDir() {
+  return path.resolve(__dirname, '..', CONFIG.REPLAY_DIR);
+}
+
+function round(value) {
+  return Math.round((value || 0) * 100) / 100;
+}
+
+/**
+ * Filesystem-safe replay id: UTC start time plus lobby code, e.g. 20260119-153012_AB12
+ */
+function createReplayId(lobbyId, startedAt) {
+  const stamp = new Date(startedAt).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}_${lobbyId}`;
+}
+
+class ReplayRecorder {
+  constructor(gameState, startedAt = gameState.matchStartTime || Date.now()) {
+    this.gameState = gameState;
+    this.frameInterval = 1000 / CONFIG.REPLAY_FRAME_RATE;
+    this.lastFrameTime = 0;
+    this.knownOrbs = new Set();
+
+    this.replay = {
+      version: REPLAY_VERSION,
+      id: createReplayId(gameState.lobbyId, startedAt),
+      lobbyId: gameState.lobbyId,
+      startedAt,
+      arenaRadius: CONFIG.ARENA_RADIUS,
+      frameInterval: this.frameInterval,
+      settings: { ...gameState.settings },
+      obstacles: gameState.getActiveObstacles().map(o => ({
+        id: o.id,
+        x: round(o.position.x),
+        z: round(o.position.z),
+        w: o.width,
+        d: o.depth,
+        h: o.height,
+      })),
+      players: {},
+      frames: [],
+      events: [],
+      end: null,
+    };
+  }
+
+  get id() {
+    return this.replay.id;
+  }
+
+  /**
+   * Match time of `now` relative to the recording start (ms)
+   */
+  timeOf(now) {
+    return Math.max(0, now - this.replay.startedAt);
+  }
+
+  /**
+   * Record a frame if at least one frame interval has passed since the last one
+   * (force skips that check, e.g. for the final frame)
+   */
+  captureFrame(now = Date.now(), force = false) {
+    if (!force && this.lastFrameTime && now - this.lastFrameTime < this.frameInterval) return false;
+    this.lastFrameTime = now;
+
+    const gameState = this.gameState;
+    const frame = { t: this.timeOf(now), p: [], m: [], oa: [], or: [] };
+
+    for (const p of gameState.players.values()) {
+      this.replay.players[p.id] = p.username;
+      frame.p.push([
+        p.id,
+        round(p.position.x), round(p.position.y), round(p.position.z),
+        round(p.rotation?.y), round(p.rotation?.x),
+        round(p.health), p.score, p.state, p.attachedTo || null,
+      ]);
+    }
+
+    for (const m of gameState.monsters.values()) {
+      frame.m.push([m.id, round(m.position.x), round(m.position.y), round(m.position.z), m.state]);
+    }
+
+    const activeOrbs = new Set();
+    for (const orb of gameState.getActiveOrbs()) {
+      activeOrbs.add(orb.id);
+      if (!this.knownOrbs.has(orb.id)) {
+        frame.oa.push([orb.id, round(orb.position.x), round(orb.position.z), orb.value]);
+      }
+    }
+    for (const id of this.knownOrbs) {
+      if (!activeOrbs.has(id)) frame.or.push(id);
+    }
+    this.knownOrbs = activeOrbs;
+
+    frame.z = [round(gameState.safeCenterX), round(gameState.safeCenterZ), round(gameState.arenaSafeRadius)];
+
+    this.replay.frames.push(frame);
+    return true;
+  }
+
+  /**
+   * Record a gameplay event (blink, attack, orb_collected, attach, detach)
+   */
+  recordEvent(type, data = {}, now = Date.now()) {
+    this.replay.events.push({ t: this.timeOf(now), type, ...data });
+  }
+
+  /**
+   * Close the recording with the match results and write it to disk.
+   * Resolves with the file path, or null if writing failed.
+   */
+  async finish(results = {}, now = Date.now()) {
+    this.replay.end = {
+      duration: this.timeOf(now),
+      reason: results.reason || null,
+      winners: (results.winners || []).map(w => w.id),
+    };
+
+    const dir = getReplayDir();
+    const file = path.join(dir, `${this.replay.id}.json`);
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(this.replay));
+      logger.info(`Replay saved: ${this.replay.id} (${this.replay.frames.length} frames, ${this.replay.events.length} events)`);
+      await pruneReplays();
+      return file;
+    } catch (err) {
+      logger.error(`Failed to save replay ${this.replay.id}: ${err.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Delete the oldest replays beyond `max` files (ids start with their UTC start time,
+ * so name order is recording order)
+ */
+async function pruneReplays(max = CONFIG.REPLAY_MAX_FILES) {
+  const dir = getReplayDir();
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn(`Failed to list replays for pruning: ${err.message}`);
+    return;
+  }
+
+  const ids = names
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .filter(id => REPLAY_ID_PATTERN.test(id))
+    .sort();
+
+  for (const id of ids.slice(0, Math.max(0, ids.length - max))) {
+    try {
+      await fs.promises.unlink(path.join(dir, `${id}.json`));
+      logger.debug(`Replay deleted (over ${max} kept): ${id}`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.warn(`Failed to delete replay ${id}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Newest replays first: [{ id, lobbyId, recordedAt, size }]
+ */
+async function listReplays(limit = CONFIG.REPLAY_LIST_LIMIT) {
+  let names;
+  try {
+    names = await fs.promises.readdir(getReplayDir());
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const replays = [];
+  for (const name of names) {
+    if (!name.endsWith('.json')) continue;
+    const id = name.slice(0, -'.json'.length);
+    if (!REPLAY_ID_PATTERN.test(id)) continue;
+    const stats = await fs.promises.stat(path.join(getReplayDir(), name));
+    replays.push({
+      id,
+      lobbyId: id.split('_').pop(),
+      recordedAt: stats.mtime.toISOString(),
+      size: stats.size,
+    });
+  }
+  replays.sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+  return replays.slice(0, limit);
+}
+
+/**
+ * Path of a replay file, or null for ids that are malformed
+ */
+function getReplayPath(id) {
+  if (typeof id !== 'string' || !REPLAY_ID_PATTERN.test(id)) return null;
+  return path.join(getReplayDir(), `${id}.json`);
+}
+
+module.exports = { ReplayRecorder, listReplays, getReplayPath, pruneReplays };
@@ -0,0 +1,104 @@
+/**
+ * server/safeZone.js
+ *
+ * Multi-stage safe zone. Once ARENA_SHRINK_START_TIME is reached the zone walks through
+ * CONFIG.ARENA_ZONE_PHASES: each phase holds the current circle (wait), then shrinks and
+ * slides it (shrink) onto a new circle whose center is picked at random inside the
+ * previous one. Outside damage is scaled by the phase's damageMultiplier.
+ *
+ * Phase timings are shares of the lobby's ARENA_SHRINK_DURATION and radii are shares of
+ * the way from ARENA_RADIUS down to ARENA_FINAL_RADIUS, so the lobby settings still
+ * decide when the zone starts closing, how long it takes and how small it ends up.
+ */
+
+const { CONFIG } = require('./config.js');
+
+/**
+ * Random point such that a circle of `radius` around it fits inside `outer`
+ */
+function pickInnerCenter(outer, radius, random = Math.random) {
+  const maxOffset = Math.max(0, outer.radius - radius);
+  const angle = random() * Math.PI * 2;
+  // sqrt keeps the distribution uniform over the disc's area
+  const distance = Math.sqrt(random()) * maxOffset;
+  return {
+    x: outer.x + Math.cos(angle) * distance,
+    z: outer.z + Math.sin(angle) * distance,
+  };
+}
+
+/**
+ * Build the zone schedule for a match. `origin` is the starting circle's center.
+ * Returns [{ waitStart, shrinkStart, shrinkEnd, from, to, damageMultiplier }] with
+ * times in ms of match time and circles as { x, z, radius }.
+ */
+function buildZoneSchedule(settings, origin, phases = CONFIG.ARENA_ZONE_PHASES, random = Math.random) {
+  const schedule = [];
+  const span = CONFIG.ARENA_RADIUS - settings.ARENA_FINAL_RADIUS;
+  let time = settings.ARENA_SHRINK_START_TIME;
+  let previous = { x: origin.x, z: origin.z, radius: CONFIG.ARENA_RADIUS };
+
+  for (const phase of phases) {
+    const radius = CONFIG.ARENA_RADIUS - span * phase.radius;
+    const to = { ...pickInnerCenter(previous, radius, random), radius };
+    const waitStart = time;
+    const shrinkStart = waitStart + phase.wait * settings.ARENA_SHRINK_DURATION;
+    const shrinkEnd = shrinkStart + phase.shrink * settings.ARENA_SHRINK_DURATION;
+
+    schedule.push({
+      waitStart,
+      shrinkStart,
+      shrinkEnd,
+      from: previous,
+      to,
+      damageMultiplier: phase.damageMultiplier,
+    });
+    previous = to;
+    time = shrinkEnd;
+  }
+  return schedule;
+}
+
+/**
+ * Zone at `matchTime`: { x, z, radius, next, damageMultiplier, phase }. `next` is the
+ * circle the zone is heading to (null once the last phase has finished); phase is -1
+ * before the first phase starts.
+ */
+function sampleZone(schedule, matchTime, origin) {
+  if (schedule.length === 0 || matchTime < schedule[0].waitStart) {
+    return {
+      x: origin.x,
+      z: origin.z,
+      radius: CONFIG.ARENA_RADIUS,
+      next: schedule.length > 0 ? { ...schedule[0].to } : null,
+      damageMultiplier: 1,
+      phase: -1,
+    };
+  }
+
+  for (let i = 0; i < schedule.length; i++) {
+    const stage = schedule[i];
+    if (matchTime >= stage.shrinkEnd) continue;
+
+    const duration = stage.shrinkEnd - stage.shrinkStart;
+    const t = duration > 0 ? Math.max(0, Math.min(1, (matchTime - stage.shrinkStart) / duration)) : 1;
+    return {
+      x: stage.from.x + (stage.to.x - stage.from.x) * t,
+      z: stage.from.z + (stage.to.z - stage.from.z) * t,
+      radius: stage.from.radius + (stage.to.radius - stage.from.radius) * t,
+      next: { ...stage.to },
+      damageMultiplier: stage.damageMultiplier,
+      phase: i,
+    };
+  }
+
+  const last = schedule[schedule.length - 1];
+  return {
+    ...last.to,
+    next: null,
+    damageMultiplier: last.damageMultiplier,
+    phase: schedule.length - 1,
+  };
+}
+
+module.exports = { buildZoneSchedule, sampleZone, pickInnerCenter };
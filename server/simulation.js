@@ -0,0 +1,212 @@
+/**
+ * server/simulation.js
+ *
+ * Headless, deterministic match runner. Lobbies, monsters and bots are stepped tick by
+ * tick (lobbyTick.js, the same tick the live server runs) on a simulated clock with a
+ * seeded RNG (random.js) and no Socket.IO. The same seed and the same inputs always
+ * play out the same match, for unit tests, balance sweeps and bug repros.
+ *
+ *   const sim = new Simulation({ seed: 42 });
+ *   const lobbyId = sim.createLobby({ settings: { OBSTACLE_COUNT: 10 } });
+ *   sim.addBots(lobbyId, 4);
+ *   sim.startMatch(lobbyId);
+ *   const results = sim.runUntilMatchEnd(lobbyId);
+ *
+ * Events carry the lobbyId plus the payload of the socket event of the same name:
+ * 'match_started', 'orb_collected', 'blink', 'blink_forced', 'attach_accepted',
+ * 'attack', 'sudden_death' and 'match_end'.
+ *
+ * Run directly to play one bot match from a seed and print the results:
+ *   node server/simulation.js [seed] [bots]
+ */
+
+const { EventEmitter } = require('events');
+const { CONFIG } = require('./config.js');
+const { LobbyManager } = require('./lobbyManager.js');
+const { MonsterAI } = require('./monsterAI.js');
+const { BotManager } = require('./bots.js');
+const { createRandom } = require('./random.js');
+const { tickLobby } = require('./lobbyTick.js');
+
+// Simulated time starts at a fixed date: game state treats 0 ms as "never"
+const DEFAULT_START_TIME = Date.UTC(2026, 0, 1);
+
+class Simulation extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.seed = options.seed ?? 1;
+    this.tickRate = options.tickRate || CONFIG.GAME_LOOP_RATE; // ticks per simulated second
+    this.time = options.startTime ?? DEFAULT_START_TIME; // simulated ms
+    this.tickCount = 0;
+
+    this.random = createRandom(this.seed);
+    this.clock = () => this.time;
+    this.lobbyManager = new LobbyManager(options.maxLobbies ?? CONFIG.MAX_LOBBIES, CONFIG.PLAYERS_PER_LOBBY, {
+      random: this.random,
+      clock: this.clock,
+    });
+    this.monsterAIs = new Map(); // lobbyId -> MonsterAI
+    this.bots = new Map(); // lobbyId -> BotManager
+  }
+
+  get tickDuration() {
+    return 1000 / this.tickRate;
+  }
+
+  /**
+   * Create a lobby, optionally with a rules preset and setting edits (see matchSettings.js).
+   * Returns the lobby id; invalid settings throw.
+   */
+  createLobby({ isPrivate = false, preset, settings } = {}) {
+    const lobbyId = this.lobbyManager.createLobby({ isPrivate });
+    if (!lobbyId) throw new Error('No lobby slots left');
+
+    if (preset !== undefined || settings) {
+      const { error } = this.getLobby(lobbyId).updateSettings({ preset, changes: settings });
+      if (error) throw new Error(error.message);
+    }
+
+    const monsterAI = new MonsterAI(this.getLobby(lobbyId));
+    monsterAI.on('attack', (attack) => this.emit('attack', { lobbyId, ...attack }));
+    this.monsterAIs.set(lobbyId, monsterAI);
+
+    const bots = new BotManager(this.lobbyManager, lobbyId);
+    bots.on('blink', ({ playerId }) => this.emit('blink', { lobbyId, playerId }));
+    bots.on('attach', (pair) => this.emit('attach_accepted', { lobbyId, ...pair }));
+    this.bots.set(lobbyId, bots);
+    return lobbyId;
+  }
+
+  getLobby(lobbyId) {
+    return this.lobbyManager.getLobby(lobbyId);
+  }
+
+  /**
+   * Add a scripted player, driven by the caller through the lobby's GameState
+   * (updatePlayerTransform, executeBlink, ...). Returns the player, or null.
+   */
+  addPlayer(lobbyId, playerId, playerData = {}) {
+    if (!this.lobbyManager.addPlayerToLobby(lobbyId, playerId, { username: playerId, ...playerData })) return null;
+    return this.getLobby(lobbyId).getPlayer(playerId);
+  }
+
+  /**
+   * Add bots to a lobby (see bots.js). Returns the added players.
+   */
+  addBots(lobbyId, count) {
+    return this.bots.get(lobbyId).addBots(count);
+  }
+
+  /**
+   * Start a lobby's match. Returns false if it can't start (unknown, active or empty).
+   */
+  startMatch(lobbyId) {
+    if (!this.lobbyManager.startLobbyMatch(lobbyId)) return false;
+    this.monsterAIs.get(lobbyId).onMatchStart();
+    this.emit('match_started', { lobbyId });
+    return true;
+  }
+
+  /**
+   * End a lobby's match early (a match that runs its course ends itself). Returns the results.
+   */
+  endMatch(lobbyId, reason = null) {
+    const results = this.lobbyManager.endLobbyMatch(lobbyId, reason);
+    if (!results) return null;
+
+    // Lobbies without scripted players close with their match, like on the server
+    if (this.getLobby(lobbyId)) {
+      this.bots.get(lobbyId).readyAll();
+    } else {
+      this.monsterAIs.delete(lobbyId);
+      this.bots.delete(lobbyId);
+    }
+    this.emit('match_end', results);
+    return results;
+  }
+
+  /**
+   * Advance every active lobby by one tick
+   */
+  step() {
+    this.time += this.tickDuration;
+    this.tickCount++;
+    const deltaTime = this.tickDuration / 1000;
+
+    for (const [lobbyId, gameState] of this.lobbyManager.getAllLobbies()) {
+      if (!gameState.active) continue;
+
+      const tick = tickLobby(gameState, {
+        monsterAI: this.monsterAIs.get(lobbyId),
+        bots: this.bots.get(lobbyId),
+        deltaTime,
+      });
+
+      for (const { orbId, result } of tick.pickups) {
+        for (const r of result.results) {
+          this.emit('orb_collected', { lobbyId, orbId, playerId: r.playerId, points: r.points });
+        }
+      }
+      for (const player of tick.forcedBlinks) {
+        this.emit('blink_forced', { lobbyId, playerId: player.id });
+      }
+      if (tick.suddenDeath) {
+        this.emit('sudden_death', { lobbyId });
+      }
+      if (tick.endReason) {
+        this.endMatch(lobbyId, tick.endReason);
+      }
+    }
+  }
+
+  /**
+   * Step for `ms` of simulated time
+   */
+  run(ms) {
+    const ticks = Math.round(ms / this.tickDuration);
+    for (let i = 0; i < ticks; i++) this.step();
+  }
+
+  /**
+   * Step until predicate(sim) is true or maxMs of simulated time has passed.
+   * Returns whether the predicate was met.
+   */
+  runUntil(predicate, maxMs = CONFIG.GAME_DURATION + CONFIG.SUDDEN_DEATH_MAX_DURATION) {
+    const endTime = this.time + maxMs;
+    while (!predicate(this)) {
+      if (this.time >= endTime) return false;
+      this.step();
+    }
+    return true;
+  }
+
+  /**
+   * Step until a lobby's match ends (by default waiting at most its full length plus
+   * sudden death). Returns the match results, or null on timeout.
+   */
+  runUntilMatchEnd(lobbyId, maxMs = this.getLobby(lobbyId).settings.GAME_DURATION + CONFIG.SUDDEN_DEATH_MAX_DURATION) {
+    let results = null;
+    const onEnd = (ended) => {
+      if (ended.lobbyId === lobbyId) results = ended;
+    };
+    this.on('match_end', onEnd);
+    this.runUntil(() => results !== null, maxMs);
+    this.off('match_end', onEnd);
+    return results;
+  }
+}
+
+if (require.main === module) {
+  const seedArg = process.argv[2] ?? '1';
+  const seed = Number.isNaN(Number(seedArg)) ? seedArg : Number(seedArg);
+  const botCount = Number(process.argv[3]) || 4;
+
+  const sim = new Simulation({ seed });
+  const lobbyId = sim.createLobby();
+  sim.addBots(lobbyId, botCount);
+  sim.startMatch(lobbyId);
+  const results = sim.runUntilMatchEnd(lobbyId);
+  console.log(JSON.stringify({ seed, ticks: sim.tickCount, results }, null, 2));
+}
+
+module.exports = { Simulation };
@@ -0,0 +1,169 @@
+/**
+ * server/snapshotEncoder.js
+ *
+ * Sequence-numbered, delta-compressed lobby snapshots for state_update.
+ *
+ * Every network tick the lobby state is captured as snapshot `seq`. Each client
+ * acknowledges the snapshots it has decoded (state_ack); the next update for that
+ * client is encoded as a delta against its last acked snapshot. A client with no
+ * usable baseline (new, or acked snapshot already evicted) gets a delta against the
+ * empty state, i.e. a full snapshot.
+ *
+ * Wire format (one shape for full and delta updates):
+ *   {
+ *     seq, baseSeq,                 // baseSeq null = apply to empty state
+ *     players:  { upsert: [{ id, ...changedFields }], remove: [id] },
+ *     monsters: { upsert, remove },
+ *     orbs:     { upsert, remove },
+ *     meta: { ...changedFields }    // arenaSafeRadius, safeCenter, nextSafeZone,
+ *                                   // matchTime, timeRemaining,
+ *                                   // suddenDeath, active, serverTime
+ *   }
+ * A changed field that was cleared (undefined or removed) is sent as null.
+ */
+
+const { CONFIG } = require('./config.js');
+
+const ENTITY_KINDS = ['players', 'monsters', 'orbs'];
+
+/**
+ * Structural equality for plain snapshot values (primitives, arrays, flat objects)
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  for (const key of keys) {
+    if (!isEqual(a[key], b[key])) return false;
+  }
+  return true;
+}
+
+/**
+ * Deep-copy a plain snapshot value so later mutation of live game objects can't leak in
+ */
+function clone(value) {
+  if (typeof value !== 'object' || value === null) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  const out = {};
+  for (const key of Object.keys(value)) out[key] = clone(value[key]);
+  return out;
+}
+
+/**
+ * Fields of `next` that differ from `prev` (all fields when there is no prev).
+ * Cleared fields become null: JSON would drop undefined and the client keep the old value.
+ */
+function diffFields(prev, next) {
+  const changed = {};
+  let any = false;
+  const keys = new Set(Object.keys(next));
+  if (prev) {
+    for (const key of Object.keys(prev)) keys.add(key);
+  }
+  for (const key of keys) {
+    if (!prev || !isEqual(prev[key], next[key])) {
+      changed[key] = next[key] === undefined ? null : next[key];
+      any = true;
+    }
+  }
+  return any ? changed : null;
+}
+
+class SnapshotEncoder {
+  constructor(historySize = CONFIG.SNAPSHOT_HISTORY_SIZE) {
+    this.historySize = historySize;
+    this.seq = 0;
+    this.history = new Map(); // seq -> { players: Map, monsters: Map, orbs: Map, meta }
+    this.acks = new Map(); // socketId -> last acked seq
+    this.encodedCache = new Map(); // baseSeq -> message for the current seq
+  }
+
+  /**
+   * Record the current lobby state as the next snapshot. `state` holds arrays of
+   * entities with an `id` plus a flat `meta` object. Returns the new seq.
+   */
+  capture(state) {
+    const snapshot = { meta: clone(state.meta) };
+    for (const kind of ENTITY_KINDS) {
+      snapshot[kind] = new Map((state[kind] || []).map(e => [e.id, clone(e)]));
+    }
+
+    this.seq += 1;
+    this.history.set(this.seq, snapshot);
+    this.encodedCache.clear();
+
+    // Evict snapshots that fell out of the window (Map keeps insertion order)
+    while (this.history.size > this.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+    return this.seq;
+  }
+
+  /**
+   * Client confirmed it decoded snapshot `seq`; future deltas for it use that baseline
+   */
+  acknowledge(socketId, seq) {
+    if (!Number.isInteger(seq) || seq > this.seq) return;
+    const previous = this.acks.get(socketId) || 0;
+    if (seq > previous) this.acks.set(socketId, seq);
+  }
+
+  /**
+   * Forget a client (disconnect)
+   */
+  removeClient(socketId) {
+    this.acks.delete(socketId);
+  }
+
+  /**
+   * Encode the latest snapshot for one client. Clients sharing a baseline share the
+   * encoded message.
+   */
+  encodeFor(socketId) {
+    const ackedSeq = this.acks.get(socketId);
+    const baseSeq = ackedSeq && this.history.has(ackedSeq) ? ackedSeq : null;
+    const cacheKey = baseSeq === null ? 0 : baseSeq;
+
+    let message = this.encodedCache.get(cacheKey);
+    if (!message) {
+      message = this.encodeDelta(baseSeq);
+      this.encodedCache.set(cacheKey, message);
+    }
+    return message;
+  }
+
+  /**
+   * Build the delta from snapshot `baseSeq` (or the empty state) to the latest snapshot
+   */
+  encodeDelta(baseSeq) {
+    const base = baseSeq === null ? null : this.history.get(baseSeq);
+    const current = this.history.get(this.seq);
+    const message = { seq: this.seq, baseSeq };
+
+    for (const kind of ENTITY_KINDS) {
+      const prevEntities = base ? base[kind] : new Map();
+      const upsert = [];
+      const remove = [];
+
+      for (const [id, entity] of current[kind]) {
+        const changed = diffFields(prevEntities.get(id), entity);
+        if (changed) {
+          changed.id = id;
+          upsert.push(changed);
+        }
+      }
+      for (const id of prevEntities.keys()) {
+        if (!current[kind].has(id)) remove.push(id);
+      }
+      message[kind] = { upsert, remove };
+    }
+
+    message.meta = diffFields(base ? base.meta : null, current.meta) || {};
+    return message;
+  }
+}
+
+module.exports = { SnapshotEncoder };
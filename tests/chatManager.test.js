@@ -0,0 +1,95 @@
+const { createClock } = require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+const { ChatManager, maskBlockedWords } = require('../server/chatManager.js');
+const { GameState } = require('../server/gameState.js');
+const { createRandom } = require('../server/random.js');
+
+function ids(recipients) {
+  return recipients.result.map(p => p.id).sort();
+}
+
+describe('ChatManager.prepareMessage', () => {
+  let chat;
+  beforeEach(() => {
+    chat = new ChatManager();
+  });
+
+  test('trims messages and refuses empty, overlong or unknown-channel ones', () => {
+    assert.deepEqual(chat.prepareMessage('alice', 'lobby', '  hi  '), { result: 'hi' });
+    assert.equal(chat.prepareMessage('alice', 'lobby', '   ').error.code, 'empty_message');
+    assert.equal(chat.prepareMessage('alice', 'lobby', 42).error.code, 'empty_message');
+    assert.equal(chat.prepareMessage('alice', 'lobby', 'x'.repeat(CONFIG.CHAT_MAX_LENGTH + 1)).error.code, 'message_too_long');
+    assert.equal(chat.prepareMessage('alice', 'shout', 'hi').error.code, 'invalid_channel');
+  });
+
+  test('rate-limits each sender within a sliding window', () => {
+    for (let i = 0; i < CONFIG.CHAT_RATE_LIMIT; i++) {
+      assert.ok(chat.prepareMessage('alice', 'lobby', `message ${i}`, i * 10).result);
+    }
+    assert.equal(chat.prepareMessage('alice', 'lobby', 'one too many', 100).error.code, 'rate_limited');
+    assert.ok(chat.prepareMessage('bob', 'lobby', 'hi', 100).result, 'other senders are unaffected');
+
+    // The first message leaves the window, freeing one slot
+    assert.ok(chat.prepareMessage('alice', 'lobby', 'again', CONFIG.CHAT_RATE_WINDOW).result);
+    assert.equal(chat.prepareMessage('alice', 'lobby', 'and again', CONFIG.CHAT_RATE_WINDOW).error.code, 'rate_limited');
+  });
+
+  test('runs the filter hook, which may rewrite or drop messages', () => {
+    chat.setFilter((text, { channel }) => (channel === 'partner' ? null : text.toUpperCase()));
+    assert.deepEqual(chat.prepareMessage('alice', 'lobby', 'hi'), { result: 'HI' });
+    assert.equal(chat.prepareMessage('alice', 'partner', 'hi').error.code, 'message_blocked');
+  });
+
+  test('masks blocked words by default', (t) => {
+    const blocked = CONFIG.CHAT_BLOCKED_WORDS;
+    CONFIG.CHAT_BLOCKED_WORDS = ['darn'];
+    t.after(() => { CONFIG.CHAT_BLOCKED_WORDS = blocked; });
+
+    assert.equal(maskBlockedWords('Darn it, darnation'), '**** it, darnation');
+  });
+});
+
+describe('ChatManager.getRecipients', () => {
+  let chat, gameState;
+  beforeEach(() => {
+    chat = new ChatManager();
+    gameState = new GameState('TEST', { random: createRandom(1), clock: createClock() });
+    for (const [id, x] of [['alice', 0], ['bob', 10], ['carol', CONFIG.CHAT_PROXIMITY_RANGE + 10]]) {
+      gameState.addPlayer(id, { username: id });
+      gameState.getPlayer(id).position = { x, y: CONFIG.PLAYER_HEIGHT, z: 0 };
+    }
+  });
+
+  test('skips listeners who muted the sender until they unmute', () => {
+    assert.deepEqual(chat.setMuted('bob', 'alice', true), ['alice']);
+    assert.deepEqual(ids(chat.getRecipients(gameState, 'alice', 'lobby')), ['alice', 'carol']);
+    assert.deepEqual(ids(chat.getRecipients(gameState, 'bob', 'lobby')), ['alice', 'bob', 'carol']);
+
+    assert.deepEqual(chat.setMuted('bob', 'alice', false), []);
+    assert.deepEqual(ids(chat.getRecipients(gameState, 'alice', 'lobby')), ['alice', 'bob', 'carol']);
+  });
+
+  test('forgets the mutes of a player who left', () => {
+    chat.setMuted('bob', 'alice', true);
+    chat.removePlayer('bob');
+    assert.equal(chat.isMuted('bob', 'alice'), false);
+  });
+
+  test('opens lobby chat between matches and proximity chat during them', () => {
+    assert.equal(chat.getRecipients(gameState, 'alice', 'proximity').error.code, 'channel_unavailable');
+
+    gameState.active = true;
+    assert.equal(chat.getRecipients(gameState, 'alice', 'lobby').error.code, 'channel_unavailable');
+    assert.deepEqual(ids(chat.getRecipients(gameState, 'alice', 'proximity')), ['alice', 'bob']);
+  });
+
+  test('sends partner chat only to the attached partner', () => {
+    assert.equal(chat.getRecipients(gameState, 'alice', 'partner').error.code, 'channel_unavailable');
+    gameState.getPlayer('alice').attachedTo = 'carol';
+    assert.deepEqual(ids(chat.getRecipients(gameState, 'alice', 'partner')), ['alice', 'carol']);
+    assert.equal(chat.getRecipients(gameState, 'nobody', 'lobby').error.code, 'not_in_lobby');
+  });
+});
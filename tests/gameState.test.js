@@ -0,0 +1,342 @@
+const { createClock } = require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+const { GameState, PLAYER_STATES } = require('../server/gameState.js');
+const { createRandom } = require('../server/random.js');
+
+function createLobby() {
+  const clock = createClock();
+  const gameState = new GameState('TEST', { random: createRandom(1), clock });
+  gameState.addPlayer('alice', { username: 'Alice' });
+  gameState.addPlayer('bob', { username: 'Bob' });
+  return { gameState, clock };
+}
+
+function attach(gameState, a, b) {
+  gameState.requestAttachment(a, b);
+  gameState.acceptAttachment(b, a);
+}
+
+describe('GameState.collectOrb', () => {
+  let gameState, clock;
+  beforeEach(() => {
+    ({ gameState, clock } = createLobby());
+    gameState.spawnOrb('orb_1', { x: 0, y: 1, z: 0 });
+  });
+
+  test('gives an unattached collector the full value', () => {
+    clock.advance(250);
+    const result = gameState.collectOrb('orb_1', 'alice');
+
+    assert.deepEqual(result, { split: false, results: [{ playerId: 'alice', points: 10 }] });
+    const alice = gameState.getPlayer('alice');
+    assert.equal(alice.score, 10);
+    assert.equal(alice.orbsCollected, 1);
+
+    const orb = gameState.orbs.get('orb_1');
+    assert.equal(orb.collected, true);
+    assert.equal(orb.collectedBy, 'alice');
+    assert.equal(orb.collectedTime, clock());
+  });
+
+  test('splits the value between mutually attached partners', () => {
+    attach(gameState, 'alice', 'bob');
+    const result = gameState.collectOrb('orb_1', 'alice');
+
+    assert.deepEqual(result, {
+      split: true,
+      results: [{ playerId: 'alice', points: 5 }, { playerId: 'bob', points: 5 }],
+    });
+    assert.equal(gameState.getPlayer('alice').orbsCollected, 1);
+    assert.equal(gameState.getPlayer('bob').orbsCollected, 1);
+  });
+
+  test('gives the odd point of a split to the partner', () => {
+    attach(gameState, 'alice', 'bob');
+    gameState.orbs.get('orb_1').value = 7;
+    gameState.collectOrb('orb_1', 'bob');
+
+    assert.equal(gameState.getPlayer('bob').score, 3);
+    assert.equal(gameState.getPlayer('alice').score, 4);
+  });
+
+  test('does not split with a one-sided attachment', () => {
+    gameState.getPlayer('alice').attachedTo = 'bob';
+    const result = gameState.collectOrb('orb_1', 'alice');
+
+    assert.equal(result.split, false);
+    assert.equal(gameState.getPlayer('alice').score, 10);
+    assert.equal(gameState.getPlayer('bob').score, 0);
+  });
+
+  test('returns null for a collected or unknown orb', () => {
+    gameState.collectOrb('orb_1', 'alice');
+
+    assert.equal(gameState.collectOrb('orb_1', 'bob'), null);
+    assert.equal(gameState.collectOrb('orb_missing', 'bob'), null);
+    assert.equal(gameState.getPlayer('bob').score, 0);
+    assert.equal(gameState.getPlayer('alice').score, 10);
+  });
+});
+
+describe('GameState.damagePlayer', () => {
+  let gameState, clock;
+  beforeEach(() => {
+    ({ gameState, clock } = createLobby());
+  });
+
+  test('takes health and remembers when the hit landed', () => {
+    clock.advance(1000);
+    const health = gameState.damagePlayer('alice', 30);
+
+    const alice = gameState.getPlayer('alice');
+    assert.equal(health, CONFIG.PLAYER_MAX_HEALTH - 30);
+    assert.equal(alice.health, health);
+    assert.equal(alice.lastAttackTime, clock());
+    assert.equal(alice.state, PLAYER_STATES.ALIVE);
+    assert.equal(alice.deathCause, null);
+  });
+
+  test('kills at zero health, clamped, with the cause and time of death', () => {
+    clock.advance(5000);
+    const health = gameState.damagePlayer('alice', CONFIG.PLAYER_MAX_HEALTH * 2, 'zone');
+
+    const alice = gameState.getPlayer('alice');
+    assert.equal(health, 0);
+    assert.equal(alice.health, 0);
+    assert.equal(alice.state, PLAYER_STATES.DEAD);
+    assert.equal(alice.deathCause, 'zone');
+    assert.equal(alice.deathTime, clock());
+  });
+
+  test('keeps the first cause of death on later hits', () => {
+    gameState.damagePlayer('alice', CONFIG.PLAYER_MAX_HEALTH, 'monster');
+    const deathTime = gameState.getPlayer('alice').deathTime;
+    clock.advance(1000);
+    gameState.damagePlayer('alice', 10, 'zone');
+
+    const alice = gameState.getPlayer('alice');
+    assert.equal(alice.deathCause, 'monster');
+    assert.equal(alice.deathTime, deathTime);
+    assert.equal(alice.health, 0);
+  });
+
+  test('returns 0 for an unknown player', () => {
+    assert.equal(gameState.damagePlayer('nobody', 10), 0);
+  });
+});
+
+describe('GameState.isScoreTied', () => {
+  let gameState;
+  beforeEach(() => {
+    ({ gameState } = createLobby());
+    gameState.addPlayer('carol', { username: 'Carol' });
+    gameState.addScore('alice', 20);
+    gameState.addScore('bob', 20);
+  });
+
+  test('is tied when living players share the top score', () => {
+    assert.equal(gameState.isScoreTied(), true);
+    gameState.addScore('bob', 5);
+    assert.equal(gameState.isScoreTied(), false);
+  });
+
+  test('ignores dead players', () => {
+    gameState.damagePlayer('bob', CONFIG.PLAYER_MAX_HEALTH, 'monster');
+    assert.equal(gameState.isScoreTied(), false);
+  });
+
+  test('ignores disconnected players', () => {
+    gameState.getPlayer('bob').isConnected = false;
+    assert.equal(gameState.isScoreTied(), false);
+  });
+});
+
+describe('GameState.isRankedMatch', () => {
+  let gameState;
+  beforeEach(() => {
+    ({ gameState } = createLobby());
+  });
+
+  test('ranks a public default-rules match that started with two people', () => {
+    gameState.startMatch();
+    assert.equal(gameState.isRankedMatch(), true);
+  });
+
+  test('does not rank a match started by one person and bots', () => {
+    gameState.removePlayer('bob');
+    gameState.addPlayer('bot_1', { username: 'Ash (bot)', isBot: true });
+    gameState.startMatch();
+    assert.equal(gameState.isRankedMatch(), false);
+  });
+
+  test('does not rank private lobbies or custom rules', () => {
+    gameState.isPrivate = true;
+    gameState.startMatch();
+    assert.equal(gameState.isRankedMatch(), false);
+
+    gameState.isPrivate = false;
+    gameState.settingsPreset = 'custom';
+    assert.equal(gameState.isRankedMatch(), false);
+  });
+});
+
+describe('GameState.raycastGaze', () => {
+  let gameState;
+  const eye = { x: 0, y: CONFIG.PLAYER_HEIGHT, z: 0 };
+  beforeEach(() => {
+    ({ gameState } = createLobby());
+  });
+
+  test('casts along the view direction (gaze points out of the back of the view)', () => {
+    gameState.spawnObstacle('wall', { x: -20, y: 0, z: 0 }, { w: 4, d: 4, h: 10 });
+    const point = gameState.raycastGaze(eye, { x: 1, y: 0, z: 0 });
+    assert.deepEqual(point, { x: -18, y: CONFIG.PLAYER_HEIGHT, z: 0 });
+  });
+
+  test('lands on the ground when looking down and nothing is in the way', () => {
+    const point = gameState.raycastGaze(eye, { x: 0, y: -CONFIG.PLAYER_HEIGHT, z: -4 });
+    assert.ok(Math.abs(point.z - 4) < 1e-9);
+    assert.equal(point.y, 0);
+  });
+
+  test('ends on the ground below the far end of a ray that hits nothing', () => {
+    const point = gameState.raycastGaze(eye, { x: 0, y: 0, z: -1 }, 50);
+    assert.deepEqual(point, { x: 0, y: 0, z: 50 });
+  });
+});
+
+
+describe('GameState.validateMovement', () => {
+  let gameState, clock, player;
+  const maxBudget = CONFIG.PLAYER_SPEED * CONFIG.MOVEMENT_SPEED_TOLERANCE * (CONFIG.MOVEMENT_MAX_BURST_TIME / 1000);
+  beforeEach(() => {
+    ({ gameState, clock } = createLobby());
+    player = gameState.getPlayer('alice');
+    player.position = { x: 0, y: CONFIG.PLAYER_HEIGHT, z: 0 };
+    player.gaze = { x: 0, y: 0, z: 1 }; // walking toward -z is forward
+  });
+
+  test('accepts a move within the budget', () => {
+    const result = gameState.validateMovement(player, { x: 0, z: -5 }, clock());
+    assert.deepEqual(result, { position: { x: 0, y: CONFIG.PLAYER_HEIGHT, z: -5 }, reason: null });
+  });
+
+  test('rejects a move longer than a full burst as a teleport', () => {
+    const result = gameState.validateMovement(player, { x: 0, z: -(maxBudget + 1) }, clock());
+    assert.deepEqual(result.position, { x: 0, y: CONFIG.PLAYER_HEIGHT, z: 0 });
+    assert.equal(result.reason, 'teleport');
+  });
+
+  test('clamps a move to the budget left over from earlier input', () => {
+    gameState.validateMovement(player, { x: 0, z: -15 }, clock());
+    player.position = { x: 0, y: CONFIG.PLAYER_HEIGHT, z: -15 };
+
+    const result = gameState.validateMovement(player, { x: 0, z: -20 }, clock());
+    assert.ok(Math.abs(result.position.z - -maxBudget) < 1e-9);
+    assert.equal(result.reason, 'speed');
+    assert.equal(player.moveBudget, 0);
+  });
+
+  test('stops short of an obstacle the path would pass straight through', () => {
+    gameState.spawnObstacle('box', { x: 0, y: 0, z: -8 }, { w: 4, d: 4, h: 6 });
+    const result = gameState.validateMovement(player, { x: 0, z: -14 }, clock());
+
+    const edge = -8 + 2 + CONFIG.PLAYER_RADIUS;
+    assert.equal(result.position.x, 0);
+    assert.ok(result.position.z > edge && result.position.z < edge + 0.1);
+    assert.equal(result.reason, 'obstacle');
+  });
+
+  test('slides along an obstacle the path runs into at an angle', () => {
+    gameState.spawnObstacle('box', { x: 0, y: 0, z: -8 }, { w: 4, d: 4, h: 6 });
+    player.position = { x: -3, y: CONFIG.PLAYER_HEIGHT, z: -3 };
+
+    const result = gameState.validateMovement(player, { x: 1, z: -7 }, clock());
+    assert.deepEqual(result.position, { x: 1, y: CONFIG.PLAYER_HEIGHT, z: -3 });
+    assert.equal(result.reason, 'obstacle');
+  });
+
+  test('lets a player already overlapping an obstacle walk out of it', () => {
+    gameState.spawnObstacle('box', { x: 0, y: 0, z: -2 }, { w: 4, d: 4, h: 6 });
+    const result = gameState.validateMovement(player, { x: 0, z: 5 }, clock());
+    assert.equal(result.position.z, 5);
+    assert.equal(result.reason, null);
+  });
+
+  test('keeps the player inside the arena wall', () => {
+    player.position = { x: 0, y: CONFIG.PLAYER_HEIGHT, z: -(CONFIG.ARENA_RADIUS - 5) };
+    const result = gameState.validateMovement(player, { x: 0, z: -(CONFIG.ARENA_RADIUS + 5) }, clock());
+    assert.deepEqual(result.position, { x: 0, y: CONFIG.PLAYER_HEIGHT, z: -CONFIG.ARENA_RADIUS });
+    assert.equal(result.reason, 'arena');
+  });
+});
+
+describe('GameState spectating', () => {
+  let gameState;
+  const kill = (playerId) => gameState.damagePlayer(playerId, CONFIG.PLAYER_MAX_HEALTH, 'monster');
+  beforeEach(() => {
+    ({ gameState } = createLobby());
+    gameState.addPlayer('carol', { username: 'Carol' });
+    gameState.addPlayer('dave', { username: 'Dave' });
+    kill('dave');
+  });
+
+  test('only lets eliminated players spectate', () => {
+    assert.equal(gameState.spectatePlayer('alice').error.code, 'not_dead');
+    assert.equal(gameState.spectatePlayer('dave', 'dave').error.code, 'invalid_target');
+  });
+
+  test('watches a chosen living player', () => {
+    assert.deepEqual(gameState.spectatePlayer('dave', 'bob'), { result: { targetId: 'bob' } });
+    const dave = gameState.getPlayer('dave');
+    assert.equal(dave.state, PLAYER_STATES.SPECTATING);
+    assert.equal(dave.spectatingPlayerId, 'bob');
+  });
+
+  test('cycles forward and back through the living players, wrapping around', () => {
+    const cycle = (direction) => gameState.spectatePlayer('dave', null, direction).result.targetId;
+    assert.equal(cycle(1), 'alice');
+    assert.equal(cycle(1), 'bob');
+    assert.equal(cycle(1), 'carol');
+    assert.equal(cycle(1), 'alice');
+    assert.equal(cycle(-1), 'carol');
+    assert.equal(cycle(-1), 'bob');
+  });
+
+  test('puts newly dead players into spectating', () => {
+    gameState.updateSpectators();
+    const dave = gameState.getPlayer('dave');
+    assert.equal(dave.state, PLAYER_STATES.SPECTATING);
+    assert.equal(dave.spectatingPlayerId, 'alice');
+  });
+
+  test('moves spectators off a target who dies', () => {
+    gameState.spectatePlayer('dave', 'bob');
+    kill('bob');
+    gameState.updateSpectators();
+
+    assert.equal(gameState.getPlayer('dave').spectatingPlayerId, 'alice');
+    assert.equal(gameState.getPlayer('bob').spectatingPlayerId, 'alice');
+  });
+
+  test('moves spectators off a target who leaves', () => {
+    gameState.spectatePlayer('dave', 'alice');
+    gameState.removePlayer('alice');
+    gameState.updateSpectators();
+
+    assert.equal(gameState.getPlayer('dave').spectatingPlayerId, 'bob');
+  });
+
+  test('clears the target once nobody is left alive', () => {
+    gameState.spectatePlayer('dave', 'carol');
+    kill('alice');
+    kill('bob');
+    kill('carol');
+    gameState.updateSpectators();
+
+    assert.equal(gameState.getPlayer('dave').spectatingPlayerId, null);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * tests/helpers.js
+ *
+ * Shared setup for the automated suite (`npm test`, node:test). Require it first in
+ * every *.test.js file: it quiets the logger and keeps the server off the disk
+ * (profiles and leaderboard in memory, no replays) before any server module loads.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+process.env.PROFILE_STORAGE = 'memory';
+process.env.REPLAY_ENABLED = 'false';
+process.env.BOT_FILL_ENABLED = 'false';
+process.env.MATCHMAKING_ENABLED = 'false';
+
+const ioClient = require('socket.io-client');
+
+/**
+ * Simulated Date.now for GameState / LobbyManager options.clock.
+ * clock.advance(ms) moves it forward.
+ */
+function createClock(start = Date.UTC(2026, 0, 1)) {
+  let time = start;
+  const clock = () => time;
+  clock.advance = (ms) => {
+    time += ms;
+    return time;
+  };
+  return clock;
+}
+
+/**
+ * Boot server/index.js in this process on a free port. The module is a singleton,
+ * so call this once per test file. Returns the server's exports plus its url.
+ */
+async function startTestServer() {
+  const server = require('../server/index.js');
+  const port = await server.startServer(0, '127.0.0.1');
+  return { ...server, url: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * Resolve with the next `event` on a socket whose payload passes `predicate`;
+ * reject after `timeout` ms. Call it before the emit that triggers the event.
+ */
+function waitFor(socket, event, predicate = () => true, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.off(event, onEvent);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+    function onEvent(data) {
+      if (!predicate(data)) return;
+      clearTimeout(timer);
+      socket.off(event, onEvent);
+      resolve(data);
+    }
+    socket.on(event, onEvent);
+  });
+}
+
+/**
+ * Connect a client socket (websocket only, no automatic reconnects)
+ */
+async function connect(url) {
+  const socket = ioClient(url, { transports: ['websocket'], reconnection: false });
+  await waitFor(socket, 'connect');
+  return socket;
+}
+
+/**
+ * Connect and send join_lobby. Returns { socket, response } with the join_lobby_response.
+ */
+async function joinLobby(url, data) {
+  const socket = await connect(url);
+  const response = waitFor(socket, 'join_lobby_response');
+  socket.emit('join_lobby', data);
+  return { socket, response: await response };
+}
+
+module.exports = { createClock, startTestServer, waitFor, connect, joinLobby };
@@ -0,0 +1,88 @@
+require('./helpers.js');
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { Leaderboard, JsonDocumentStorage, MemoryDocumentStorage, getSeason, getWeekKey } = require('../server/leaderboard.js');
+
+function matchResults(score, { ranked = true } = {}) {
+  return {
+    ranked,
+    winners: [{ id: 'a' }],
+    playerStats: [{ id: 'a', profileId: 'alice', username: 'Alice', score, timeSurvived: score * 1000 }],
+  };
+}
+
+describe('getSeason / getWeekKey', () => {
+  test('numbers seasons from SEASON_START', () => {
+    assert.equal(getSeason(Date.parse('2025-12-01T00:00:00Z')).id, 1); // before the first season
+    assert.equal(getSeason(Date.parse('2026-04-05T23:59:59Z')).id, 1);
+    const second = getSeason(Date.parse('2026-04-06T00:00:00Z'));
+    assert.equal(second.id, 2);
+    assert.equal(second.name, 'Season 2');
+    assert.equal(second.startsAt, Date.parse('2026-04-06T00:00:00Z'));
+  });
+
+  test('keys weeks by their Monday', () => {
+    assert.equal(getWeekKey(Date.parse('2026-04-12T23:00:00Z')), '2026-04-06'); // Sunday
+    assert.equal(getWeekKey(Date.parse('2026-04-13T00:00:00Z')), '2026-04-13');
+  });
+});
+
+describe('Leaderboard', () => {
+  let leaderboard;
+  beforeEach(() => {
+    leaderboard = new Leaderboard(new MemoryDocumentStorage());
+  });
+
+  test('starts a new season table when the season rolls over', async () => {
+    const lastDay = Date.parse('2026-04-05T12:00:00Z');
+    const firstDay = Date.parse('2026-04-06T12:00:00Z');
+    await leaderboard.recordMatch(matchResults(40), lastDay);
+    await leaderboard.recordMatch(matchResults(25), firstDay);
+
+    assert.equal(leaderboard.data.currentSeason, 2);
+    const first = (await leaderboard.getRankings({ period: 'season', seasonId: 1 }, firstDay)).result;
+    const second = (await leaderboard.getRankings({ period: 'season' }, firstDay)).result;
+    const allTime = (await leaderboard.getRankings({ period: 'all' }, firstDay)).result;
+
+    assert.equal(second.season.id, 2);
+    assert.deepEqual(first.topScores.map(row => [row.bestScore, row.gamesPlayed]), [[40, 1]]);
+    assert.deepEqual(second.topScores.map(row => [row.bestScore, row.gamesPlayed]), [[25, 1]]);
+    assert.deepEqual(allTime.topScores.map(row => [row.bestScore, row.gamesPlayed, row.wins]), [[40, 2, 2]]);
+  });
+
+  test('refuses seasons that have not started', async () => {
+    const { error } = await leaderboard.getRankings({ period: 'season', seasonId: 3 }, Date.parse('2026-04-06T12:00:00Z'));
+    assert.equal(error.code, 'invalid_season');
+  });
+
+  test('ignores unranked matches', async () => {
+    await leaderboard.recordMatch(matchResults(99, { ranked: false }));
+    const { result } = await leaderboard.getRankings({ period: 'all' });
+    assert.deepEqual(result.topScores, []);
+  });
+});
+
+describe('JsonDocumentStorage', () => {
+  let dir, file;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    file = path.join(dir, 'leaderboard.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('refuses to load or overwrite a corrupt file', async () => {
+    fs.writeFileSync(file, 'not json');
+    const leaderboard = new Leaderboard(new JsonDocumentStorage(file));
+
+    await assert.rejects(leaderboard.load(), /Cannot read leaderboard/);
+    await assert.rejects(leaderboard.recordMatch({ ranked: true, winners: [], playerStats: [] }));
+    assert.equal(fs.readFileSync(file, 'utf8'), 'not json');
+  });
+});
@@ -0,0 +1,134 @@
+const { createClock } = require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PLAYER_STATES } = require('../server/gameState.js');
+const { LobbyManager } = require('../server/lobbyManager.js');
+const { createRandom } = require('../server/random.js');
+
+describe('LobbyManager', () => {
+  let lobbyManager, clock;
+  beforeEach(() => {
+    clock = createClock();
+    // At most 3 lobbies of 2 players
+    lobbyManager = new LobbyManager(3, 2, { random: createRandom(7), clock });
+  });
+
+  test('creates lobbies with unique 4-character codes up to the limit', () => {
+    const codes = [lobbyManager.createLobby(), lobbyManager.createLobby(), lobbyManager.createLobby({ isPrivate: true })];
+
+    for (const code of codes) assert.match(code, /^[A-Z0-9]{4}$/);
+    assert.equal(new Set(codes).size, 3);
+    assert.equal(lobbyManager.getLobby(codes[2]).isPrivate, true);
+    assert.equal(lobbyManager.createLobby(), null);
+  });
+
+  test('matchmakes into open public lobbies only', () => {
+    const privateLobby = lobbyManager.createLobby({ isPrivate: true });
+    const lockedLobby = lobbyManager.createLobby();
+    lobbyManager.getLobby(lockedLobby).locked = true;
+
+    const lobbyId = lobbyManager.findAvailableLobby();
+    assert.notEqual(lobbyId, privateLobby);
+    assert.notEqual(lobbyId, lockedLobby);
+
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    assert.equal(lobbyManager.findAvailableLobby(), lobbyId);
+    lobbyManager.addPlayerToLobby(lobbyId, 'bob', { username: 'Bob' });
+    assert.equal(lobbyManager.findAvailableLobby(), null); // full, and no slot for another lobby
+  });
+
+  test('explains why a lobby cannot be joined by code', () => {
+    const lobbyId = lobbyManager.createLobby({ isPrivate: true });
+    assert.equal(lobbyManager.getJoinError(lobbyId), null);
+    assert.equal(lobbyManager.getJoinError('NOPE').code, 'lobby_not_found');
+
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    lobbyManager.addPlayerToLobby(lobbyId, 'bob', { username: 'Bob' });
+    assert.equal(lobbyManager.getJoinError(lobbyId).code, 'lobby_full');
+    assert.equal(lobbyManager.addPlayerToLobby(lobbyId, 'carol', { username: 'Carol' }), false);
+
+    lobbyManager.removePlayerFromLobby('bob');
+    lobbyManager.getLobby(lobbyId).locked = true;
+    assert.equal(lobbyManager.getJoinError(lobbyId).code, 'lobby_locked');
+    assert.equal(lobbyManager.addPlayerToLobby(lobbyId, 'carol', { username: 'Carol' }), false);
+  });
+
+  test('gives a bot slot to a person joining a full lobby', () => {
+    const lobbyId = lobbyManager.createLobby();
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    lobbyManager.addPlayerToLobby(lobbyId, 'bot_1', { username: 'Ash (bot)', isBot: true });
+
+    assert.equal(lobbyManager.getJoinError(lobbyId), null);
+    assert.equal(lobbyManager.addPlayerToLobby(lobbyId, 'bob', { username: 'Bob' }), true);
+    assert.deepEqual([...lobbyManager.getLobby(lobbyId).players.keys()], ['alice', 'bob']);
+    assert.equal(lobbyManager.getPlayerLobby('bot_1'), undefined);
+  });
+
+  test('closes a lobby when its last person leaves between matches', () => {
+    const lobbyId = lobbyManager.createLobby();
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    lobbyManager.addPlayerToLobby(lobbyId, 'bot_1', { username: 'Ash (bot)', isBot: true });
+
+    assert.equal(lobbyManager.removePlayerFromLobby('alice'), true);
+    assert.equal(lobbyManager.getLobby(lobbyId), undefined);
+    assert.equal(lobbyManager.getPlayerLobby('bot_1'), undefined);
+    assert.equal(lobbyManager.removePlayerFromLobby('alice'), false);
+  });
+
+  test('starts a match only in an idle lobby with players', () => {
+    const lobbyId = lobbyManager.createLobby();
+    assert.equal(lobbyManager.startLobbyMatch('NOPE'), false);
+    assert.equal(lobbyManager.startLobbyMatch(lobbyId), false);
+
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    assert.equal(lobbyManager.startLobbyMatch(lobbyId), true);
+
+    const gameState = lobbyManager.getLobby(lobbyId);
+    assert.equal(gameState.active, true);
+    assert.equal(gameState.matchStartTime, clock());
+    assert.equal(gameState.getActiveOrbs().length, gameState.settings.ORB_COUNT_INITIAL);
+    assert.equal(lobbyManager.startLobbyMatch(lobbyId), false);
+  });
+
+  test('ends a match with its results and resets the lobby', () => {
+    const lobbyId = lobbyManager.createLobby();
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    lobbyManager.addPlayerToLobby(lobbyId, 'bob', { username: 'Bob' });
+    lobbyManager.startLobbyMatch(lobbyId);
+
+    const gameState = lobbyManager.getLobby(lobbyId);
+    gameState.addScore('bob', 20);
+    clock.advance(30000);
+    gameState.damagePlayer('alice', 1000, 'zone');
+    const results = lobbyManager.endLobbyMatch(lobbyId, 'last_standing');
+
+    assert.equal(results.reason, 'last_standing');
+    assert.equal(results.ranked, true);
+    assert.equal(results.duration, 30000);
+    assert.deepEqual(results.winners, [{ id: 'bob', username: 'Bob', score: 20 }]);
+    const alice = results.playerStats.find(p => p.id === 'alice');
+    assert.equal(alice.state, PLAYER_STATES.DEAD);
+    assert.equal(alice.deathCause, 'zone');
+    assert.equal(alice.timeSurvived, 30000);
+
+    assert.equal(gameState.active, false);
+    assert.equal(gameState.getPlayer('bob').score, 0);
+    assert.equal(gameState.getActiveOrbs().length, 0);
+    assert.equal(lobbyManager.getLobby(lobbyId), gameState);
+  });
+
+  test('closes a lobby left with only bots when its match ends', () => {
+    const lobbyId = lobbyManager.createLobby();
+    lobbyManager.addPlayerToLobby(lobbyId, 'alice', { username: 'Alice' });
+    lobbyManager.addPlayerToLobby(lobbyId, 'bot_1', { username: 'Ash (bot)', isBot: true });
+    lobbyManager.startLobbyMatch(lobbyId);
+
+    lobbyManager.removePlayerFromLobby('alice');
+    assert.ok(lobbyManager.getLobby(lobbyId), 'kept while its match runs');
+
+    const results = lobbyManager.endLobbyMatch(lobbyId, 'last_standing');
+    assert.deepEqual(results.winners.map(p => p.id), ['bot_1']);
+    assert.equal(lobbyManager.getLobby(lobbyId), undefined);
+  });
+});
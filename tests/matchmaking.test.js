@@ -0,0 +1,94 @@
+require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+const { MatchmakingQueue } = require('../server/matchmaking.js');
+
+const noop = () => {};
+
+function groupIds(groups) {
+  return groups.map(group => group.map(entry => entry.id).sort());
+}
+
+describe('MatchmakingQueue', () => {
+  let queue;
+  beforeEach(() => {
+    queue = new MatchmakingQueue({ minPlayers: 2, targetPlayers: 4 });
+  });
+
+  test('widens the rating window the longer a player waits, up to the maximum', () => {
+    queue.enqueue('a', 1000, noop, 1, 0);
+    const entry = queue.entries.get('a');
+
+    assert.equal(queue.getWindow(entry, 0), CONFIG.MATCHMAKING_INITIAL_WINDOW);
+    assert.equal(queue.getWindow(entry, 10000), CONFIG.MATCHMAKING_INITIAL_WINDOW + CONFIG.MATCHMAKING_WINDOW_GROWTH * 10);
+    assert.equal(queue.getWindow(entry, 3600 * 1000), CONFIG.MATCHMAKING_MAX_WINDOW);
+  });
+
+  test('groups players as soon as enough are within range', () => {
+    for (const [id, rating] of [['a', 1000], ['b', 1050], ['c', 950], ['d', 1020], ['far', 2000]]) {
+      queue.enqueue(id, rating, noop, 1, 0);
+    }
+
+    assert.deepEqual(groupIds(queue.update(0)), [['a', 'b', 'c', 'd']]);
+    assert.deepEqual([...queue.entries.keys()], ['far']);
+  });
+
+  test('reaches further ratings once the window has widened', () => {
+    queue = new MatchmakingQueue({ minPlayers: 2, targetPlayers: 2 });
+    queue.enqueue('a', 1000, noop, 1, 0);
+    queue.enqueue('b', 1250, noop, 1, 0);
+    const widened = (250 - CONFIG.MATCHMAKING_INITIAL_WINDOW) / CONFIG.MATCHMAKING_WINDOW_GROWTH * 1000;
+
+    assert.deepEqual(queue.update(0), []);
+    assert.deepEqual(queue.update(widened - 1), []);
+    assert.deepEqual(groupIds(queue.update(widened)), [['a', 'b']]);
+  });
+
+  test('accepts a smaller group after the partial wait and releases a lone player at the max wait', () => {
+    queue.enqueue('a', 1000, noop, 1, 0);
+    queue.enqueue('b', 1010, noop, 1, 0);
+    queue.enqueue('alone', 3000, noop, 1, 0);
+
+    assert.deepEqual(queue.update(CONFIG.MATCHMAKING_PARTIAL_AFTER - 1), []);
+    assert.deepEqual(groupIds(queue.update(CONFIG.MATCHMAKING_PARTIAL_AFTER)), [['a', 'b']]);
+    assert.deepEqual(groupIds(queue.update(CONFIG.MATCHMAKING_MAX_WAIT)), [['alone']]);
+    assert.equal(queue.size, 0);
+  });
+
+  test('counts parties by their size and never overflows a lobby', () => {
+    queue = new MatchmakingQueue({ minPlayers: 2, targetPlayers: CONFIG.PLAYERS_PER_LOBBY });
+    queue.enqueue('party_big', 1000, noop, CONFIG.PLAYERS_PER_LOBBY - 1, 0);
+    queue.enqueue('party_pair', 1000, noop, 2, 0);
+    queue.enqueue('solo', 1000, noop, 1, 0);
+
+    const [group] = queue.update(0);
+    assert.deepEqual(group.map(entry => entry.id), ['party_big', 'solo']);
+    assert.equal(group.reduce((players, entry) => players + entry.size, 0), CONFIG.PLAYERS_PER_LOBBY);
+    assert.deepEqual([...queue.entries.keys()], ['party_pair']);
+  });
+
+  test('puts a group back in line with its original wait', () => {
+    queue.enqueue('a', 1000, noop, 1, 0);
+    queue.enqueue('b', 1000, noop, 1, 5000);
+    const [group] = queue.update(CONFIG.MATCHMAKING_PARTIAL_AFTER + 5000);
+
+    queue.requeue(group);
+    assert.equal(queue.size, 2);
+    assert.equal(queue.entries.get('a').enqueuedAt, 0);
+    assert.equal(queue.entries.get('b').enqueuedAt, 5000);
+  });
+
+  test('reports where a waiting player stands', () => {
+    queue.enqueue('a', 1000, noop, 1, 0);
+    queue.enqueue('party', 1040, noop, 2, 0);
+    queue.enqueue('far', 1500, noop, 1, 0);
+
+    const status = queue.getStatus('a', 0);
+    assert.deepEqual(status.searchRange, { min: 1000 - CONFIG.MATCHMAKING_INITIAL_WINDOW, max: 1000 + CONFIG.MATCHMAKING_INITIAL_WINDOW });
+    assert.equal(status.playersInRange, 3);
+    assert.equal(status.playersQueued, 3);
+    assert.equal(queue.getStatus('nobody'), null);
+  });
+});
@@ -0,0 +1,247 @@
+const { createClock } = require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+const { GameState, MONSTER_STATES } = require('../server/gameState.js');
+const { MonsterAI, AStarPathfinder } = require('../server/monsterAI.js');
+const { createRandom } = require('../server/random.js');
+
+const TICK = 1 / 60;
+
+/**
+ * One player at the origin and one monster 10 units down +z, looking at the player
+ */
+function createArena() {
+  const clock = createClock();
+  const gameState = new GameState('TEST', { random: createRandom(1), clock });
+  gameState.addPlayer('alice', { username: 'Alice' });
+  const player = gameState.getPlayer('alice');
+  player.position = { x: 0, y: CONFIG.PLAYER_HEIGHT, z: 0 };
+  player.gaze = { x: 0, y: 0, z: 1 }; // gaze points out of the back of the view: looking down -z, away
+
+  gameState.spawnMonster('monster_1', { x: 0, y: 1, z: 10 }, 'hunter');
+  const monster = gameState.getMonster('monster_1');
+  monster.gaze = { x: 0, y: 0, z: -1 };
+
+  const monsterAI = new MonsterAI(gameState);
+  return { gameState, clock, player, monster, monsterAI };
+}
+
+describe('MonsterAI state machine', () => {
+  let gameState, clock, player, monster, monsterAI;
+  beforeEach(() => {
+    ({ gameState, clock, player, monster, monsterAI } = createArena());
+  });
+
+  test('roars after spawning, then goes idle', () => {
+    monsterAI.updateMonsterState(monster, clock());
+    assert.equal(monster.state, MONSTER_STATES.ROARING);
+
+    monsterAI.updateMonsterState(monster, clock.advance(CONFIG.MONSTER_ROAR_DURATION));
+    assert.equal(monster.state, MONSTER_STATES.IDLE);
+  });
+
+  test('hunts a player it can see', () => {
+    monster.state = MONSTER_STATES.IDLE;
+    monsterAI.updateMonsterState(monster, clock());
+
+    assert.equal(monster.state, MONSTER_STATES.HUNTING);
+    assert.equal(monster.targetPlayerId, 'alice');
+    assert.equal(monster.lastSightTime, clock());
+  });
+
+  test('stays idle while the player is behind it', () => {
+    monster.state = MONSTER_STATES.IDLE;
+    monster.gaze = { x: 0, y: 0, z: 1 };
+    monsterAI.updateMonsterState(monster, clock());
+
+    assert.equal(monster.state, MONSTER_STATES.IDLE);
+    assert.equal(monster.targetPlayerId, null);
+  });
+
+  test('gives up the hunt when its target dies', () => {
+    monster.state = MONSTER_STATES.IDLE;
+    monsterAI.updateMonsterState(monster, clock());
+    gameState.damagePlayer('alice', CONFIG.PLAYER_MAX_HEALTH);
+    monsterAI.updateMonsterState(monster, clock.advance(100));
+
+    assert.equal(monster.state, MONSTER_STATES.IDLE);
+    assert.equal(monster.targetPlayerId, null);
+  });
+
+  test('keeps hunting for 5s out of sight, then investigates where it last saw the player', () => {
+    monster.state = MONSTER_STATES.IDLE;
+    monsterAI.updateMonsterState(monster, clock()); // spots alice
+    monsterAI.updateMonsterState(monster, clock()); // remembers where
+    monster.gaze = { x: 0, y: 0, z: 1 };
+
+    monsterAI.updateMonsterState(monster, clock.advance(5000));
+    assert.equal(monster.state, MONSTER_STATES.HUNTING);
+
+    monsterAI.updateMonsterState(monster, clock.advance(1));
+    assert.equal(monster.state, MONSTER_STATES.IDLE);
+    assert.equal(monster.targetPlayerId, null);
+    assert.deepEqual(monster.patrolTarget, { ...player.position, kind: 'investigate' });
+  });
+});
+
+describe('MonsterAI attacks', () => {
+  let gameState, clock, player, monster, monsterAI, attacks;
+  beforeEach(() => {
+    ({ gameState, clock, player, monster, monsterAI } = createArena());
+    // Hunting alice from within reach, its attack cooldown over
+    monster.position = { x: 0, y: 1, z: 1.5 };
+    monster.state = MONSTER_STATES.HUNTING;
+    monster.targetPlayerId = 'alice';
+    monster.lastSightTime = clock.advance(CONFIG.MONSTER_ATTACK_COOLDOWN);
+    attacks = [];
+    monsterAI.on('attack', (attack) => attacks.push(attack));
+  });
+
+  test('hits a player who is not looking, then waits out its cooldown', () => {
+    monsterAI.updateSingleMonster(monster, TICK);
+
+    const health = CONFIG.PLAYER_MAX_HEALTH - CONFIG.MONSTER_ATTACK_DAMAGE;
+    assert.deepEqual(attacks, [{ monsterId: 'monster_1', playerId: 'alice', damage: CONFIG.MONSTER_ATTACK_DAMAGE, health }]);
+    assert.equal(player.health, health);
+
+    monsterAI.updateSingleMonster(monster, TICK);
+    assert.equal(attacks.length, 1);
+  });
+
+  test('cannot attack while a player watches it', () => {
+    player.gaze = { x: 0, y: 0, z: -1 }; // looking down +z, at the monster
+    monsterAI.updateSingleMonster(monster, TICK);
+
+    assert.equal(attacks.length, 0);
+    assert.equal(player.health, CONFIG.PLAYER_MAX_HEALTH);
+  });
+
+  test('attacks a watching player mid-blink', () => {
+    player.gaze = { x: 0, y: 0, z: -1 };
+    player.lastBlinkTime = clock();
+    monsterAI.updateSingleMonster(monster, TICK);
+
+    assert.equal(attacks.length, 1);
+  });
+});
+
+describe('MonsterAI spawning', () => {
+  test('spawns roaring monsters only after MONSTER_SPAWN_DELAY', () => {
+    const { gameState, clock, monsterAI } = createArena();
+    gameState.monsters.clear();
+    gameState.startMatch();
+
+    clock.advance(gameState.settings.MONSTER_SPAWN_DELAY - 1);
+    monsterAI.checkMonsterSpawning();
+    assert.equal(gameState.monsters.size, 0);
+
+    clock.advance(1);
+    monsterAI.checkMonsterSpawning();
+    const monsters = gameState.getAllMonsters();
+    assert.equal(monsters.length, 1);
+    assert.equal(monsters[0].state, MONSTER_STATES.ROARING);
+    assert.equal(monsters[0].roarEndTime, clock() + CONFIG.MONSTER_ROAR_DURATION);
+  });
+});
+
+describe('MonsterAI.updateMonsterPath', () => {
+  let clock, monster, monsterAI, searches;
+  beforeEach(() => {
+    ({ clock, monster, monsterAI } = createArena());
+    searches = 0;
+  });
+
+  test('waits out the repath interval after a failed search', () => {
+    monsterAI.pathfinder.findPath = () => { searches++; return null; };
+    monsterAI.updateMonsterPath(monster, { x: 0, z: 0 }, clock());
+    assert.deepEqual(monster.path, []);
+
+    monsterAI.updateMonsterPath(monster, { x: 0, z: 0 }, clock.advance(CONFIG.MONSTER_PATHFIND_UPDATE_INTERVAL - 1));
+    assert.equal(searches, 1);
+    monsterAI.updateMonsterPath(monster, { x: 0, z: 0 }, clock.advance(1));
+    assert.equal(searches, 2);
+  });
+
+  test('searches again at once when a found path has been walked', () => {
+    monsterAI.pathfinder.findPath = (start, goal) => { searches++; return [{ x: goal.x, z: goal.z }]; };
+    monsterAI.updateMonsterPath(monster, { x: 0, z: 0 }, clock());
+    monsterAI.updateMonsterPath(monster, { x: 0, z: 0 }, clock.advance(10));
+    assert.equal(searches, 1);
+
+    monster.pathIndex = monster.path.length;
+    monsterAI.updateMonsterPath(monster, { x: 0, z: 0 }, clock.advance(10));
+    assert.equal(searches, 2);
+  });
+});
+
+describe('AStarPathfinder', () => {
+  let pathfinder;
+  const arena = { centerX: 0, centerZ: 0, radius: 30 };
+
+  function box(x, z, width, depth) {
+    return { position: { x, z }, width, depth };
+  }
+
+  /**
+   * Every leg of the path (from start) only crosses free cells
+   */
+  function assertWalkable(start, path) {
+    let from = start;
+    for (const waypoint of path) {
+      assert.ok(pathfinder.hasLineOfSight(from, waypoint), `blocked leg to (${waypoint.x}, ${waypoint.z})`);
+      from = waypoint;
+    }
+  }
+
+  beforeEach(() => {
+    pathfinder = new AStarPathfinder(2);
+  });
+
+  test('walks straight without a grid', () => {
+    assert.deepEqual(pathfinder.findPath({ x: 0, z: 0 }, { x: 5, z: 7 }), [{ x: 5, z: 7 }]);
+  });
+
+  test('blocks obstacle cells grown by the clearance and everything outside the arena', () => {
+    pathfinder.buildGrid([box(0, 0, 6, 6)], arena, 1);
+    const cell = (x, z) => pathfinder.worldToCell(x, z);
+    const isFree = (x, z) => pathfinder.isCellFree(cell(x, z).col, cell(x, z).row);
+
+    assert.equal(isFree(0, 0), false);
+    assert.equal(isFree(4, 0), false); // inside the clearance margin
+    assert.equal(isFree(6, 0), true);
+    assert.equal(isFree(28, 28), false); // outside the circle
+  });
+
+  test('finds a smoothed path around a box, ending exactly on the goal', () => {
+    pathfinder.buildGrid([box(0, 0, 6, 6)], arena, 1);
+    const start = { x: -10, z: 0 };
+    const goal = { x: 10.5, z: 0.5 };
+    const path = pathfinder.findPath(start, goal);
+
+    assert.ok(path && path.length >= 2 && path.length <= 4, `path of ${path?.length} waypoints`);
+    assert.deepEqual(path[path.length - 1], goal);
+    assert.equal(pathfinder.hasLineOfSight(start, goal), false);
+    assertWalkable(start, path);
+  });
+
+  test('smoothing keeps only the waypoints needed for line of sight', () => {
+    pathfinder.buildGrid([box(0, 0, 6, 6)], arena, 1);
+    const cells = [{ x: -8, z: 0 }, { x: -8, z: 6 }, { x: -4, z: 6 }, { x: 0, z: 6 }, { x: 4, z: 6 }, { x: 8, z: 6 }, { x: 8, z: 0 }];
+    const smoothed = pathfinder.smoothPath({ x: -10, z: 0 }, cells);
+
+    assert.ok(smoothed.length < cells.length);
+    assert.deepEqual(smoothed[smoothed.length - 1], { x: 8, z: 0 });
+    assertWalkable({ x: -10, z: 0 }, smoothed);
+  });
+
+  test('returns null for a goal walled in on every side', () => {
+    pathfinder.buildGrid([
+      box(10, 0, 2, 14), box(20, 0, 2, 14), // left and right
+      box(15, 6, 12, 2), box(15, -6, 12, 2), // top and bottom
+    ], arena, 1);
+    assert.equal(pathfinder.findPath({ x: -10, z: 0 }, { x: 15, z: 0 }), null);
+  });
+});
+
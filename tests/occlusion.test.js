@@ -0,0 +1,74 @@
+require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OcclusionIndex, segmentIntersectsBox, rayBoxDistance } = require('../server/occlusion.js');
+
+const EYE_HEIGHT = 1.6;
+
+function wall(id, x, z, { width = 4, depth = 4, height = 10 } = {}) {
+  return { id, position: { x, y: 0, z }, width, depth, height };
+}
+
+describe('segmentIntersectsBox / rayBoxDistance', () => {
+  const box = { minX: -1, maxX: 1, minY: 0, maxY: 2, minZ: -1, maxZ: 1 };
+
+  test('treats a segment touching an edge as blocked', () => {
+    assert.equal(segmentIntersectsBox({ x: -5, z: 1 }, { x: 5, z: 1 }, box), true);
+    assert.equal(segmentIntersectsBox({ x: -5, z: 1.01 }, { x: 5, z: 1.01 }, box), false);
+    assert.equal(segmentIntersectsBox({ x: -5, z: 0 }, { x: -2, z: 0 }, box), false); // stops short
+  });
+
+  test('measures where a ray enters the box, 0 from inside', () => {
+    assert.equal(rayBoxDistance({ x: -5, y: 1, z: 0 }, { x: 1, y: 0, z: 0 }, box, 10), 4);
+    assert.equal(rayBoxDistance({ x: 0, y: 1, z: 0 }, { x: 1, y: 0, z: 0 }, box, 10), 0);
+    assert.equal(rayBoxDistance({ x: -5, y: 1, z: 0 }, { x: 1, y: 0, z: 0 }, box, 3), null);
+    assert.equal(rayBoxDistance({ x: -5, y: 3, z: 0 }, { x: 1, y: 0, z: 0 }, box, 10), null); // over the top
+  });
+});
+
+describe('OcclusionIndex', () => {
+  let index;
+  beforeEach(() => {
+    index = new OcclusionIndex(10);
+  });
+
+  test('sees everything without obstacles', () => {
+    assert.equal(index.hasLineOfSight({ x: 0, z: 0 }, { x: 100, z: 100 }), true);
+    assert.equal(index.raycast({ x: 0, y: EYE_HEIGHT, z: 0 }, { x: 1, y: 0, z: 0 }, 100), null);
+  });
+
+  test('blocks line of sight only through an obstacle', () => {
+    index.insert(wall('w1', 25, 0));
+    assert.equal(index.size, 1);
+    assert.equal(index.hasLineOfSight({ x: 0, z: 0 }, { x: 50, z: 0 }), false);
+    assert.equal(index.hasLineOfSight({ x: 0, z: 0 }, { x: 20, z: 0 }), true);
+    assert.equal(index.hasLineOfSight({ x: 0, z: 10 }, { x: 50, z: 10 }), true);
+
+    index.clear();
+    assert.equal(index.hasLineOfSight({ x: 0, z: 0 }, { x: 50, z: 0 }), true);
+  });
+
+  test('raycast returns the nearest obstacle along the ray across cells', () => {
+    index.insert(wall('far', 45, 0));
+    index.insert(wall('near', 25, 0, { width: 12 })); // spans several cells
+    const origin = { x: 0, y: EYE_HEIGHT, z: 0 };
+
+    assert.equal(index.raycast(origin, { x: 1, y: 0, z: 0 }, 100), 19);
+    assert.equal(index.raycast(origin, { x: -1, y: 0, z: 0 }, 100), null); // behind
+    assert.equal(index.raycast(origin, { x: 1, y: 0, z: 0 }, 15), null); // out of reach
+  });
+
+  test('raycast passes over low obstacles and along negative axes', () => {
+    index.insert(wall('low', -20, 0, { height: 1 }));
+    index.insert(wall('tall', 0, -30));
+
+    assert.equal(index.raycast({ x: 0, y: EYE_HEIGHT, z: 0 }, { x: -1, y: 0, z: 0 }, 100), null);
+    assert.equal(index.raycast({ x: 0, y: EYE_HEIGHT, z: 0 }, { x: 0, y: 0, z: -1 }, 100), 28);
+  });
+
+  test('raycast from inside an obstacle hits at once', () => {
+    index.insert(wall('w1', 0, 0));
+    assert.equal(index.raycast({ x: 0, y: EYE_HEIGHT, z: 0 }, { x: 1, y: 0, z: 0 }, 100), 0);
+  });
+});
@@ -0,0 +1,65 @@
+require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+const { PartyManager } = require('../server/partyManager.js');
+
+describe('PartyManager', () => {
+  let parties;
+  beforeEach(() => {
+    parties = new PartyManager();
+  });
+
+  test('creates a party led by its creator with a readable code', () => {
+    const { result: party } = parties.createParty('alice', 'Alice');
+    assert.match(party.code, new RegExp(`^[A-HJ-NP-Z2-9]{${CONFIG.PARTY_CODE_LENGTH}}$`));
+    assert.equal(party.leaderId, 'alice');
+    assert.equal(parties.getParty('alice'), party);
+    assert.equal(parties.createParty('alice', 'Alice').error.code, 'already_in_party');
+  });
+
+  test('joins by code, case-insensitively, up to PARTY_MAX_SIZE members', () => {
+    const { result: party } = parties.createParty('p0', 'P0');
+    for (let i = 1; i < CONFIG.PARTY_MAX_SIZE; i++) {
+      assert.equal(parties.joinParty(` ${party.code.toLowerCase()} `, `p${i}`, `P${i}`).result, party);
+    }
+    assert.equal(party.members.size, CONFIG.PARTY_MAX_SIZE);
+    assert.equal(parties.joinParty(party.code, 'late', 'Late').error.code, 'party_full');
+    assert.equal(parties.getParty('late'), null);
+
+    // Joining again is a no-op, even when full
+    assert.equal(parties.joinParty(party.code, 'p1', 'P1').result, party);
+    assert.equal(party.members.size, CONFIG.PARTY_MAX_SIZE);
+  });
+
+  test('refuses unknown codes and players already in another party', () => {
+    const { result: party } = parties.createParty('alice', 'Alice');
+    parties.createParty('bob', 'Bob');
+    assert.equal(parties.joinParty('NOPE', 'carol', 'Carol').error.code, 'party_not_found');
+    assert.equal(parties.joinParty(party.code, 'bob', 'Bob').error.code, 'already_in_party');
+  });
+
+  test('passes leadership on and disbands the party once empty', () => {
+    const { result: party } = parties.createParty('alice', 'Alice');
+    parties.joinParty(party.code, 'bob', 'Bob');
+    parties.joinParty(party.code, 'carol', 'Carol');
+
+    assert.equal(parties.leaveParty('alice'), party);
+    assert.equal(party.leaderId, 'bob');
+    assert.equal(parties.leaveParty('carol'), party);
+    assert.equal(party.leaderId, 'bob');
+    parties.leaveParty('bob');
+
+    assert.equal(parties.parties.size, 0);
+    assert.equal(parties.leaveParty('bob'), null);
+    assert.equal(parties.joinParty(party.code, 'dave', 'Dave').error.code, 'party_not_found');
+  });
+
+  test('keeps member names current', () => {
+    const { result: party } = parties.createParty('alice', 'Alice');
+    parties.updateUsername('alice', 'Alicia');
+    parties.updateUsername('alice', '');
+    assert.equal(party.members.get('alice').username, 'Alicia');
+  });
+});
@@ -0,0 +1,115 @@
+require('./helpers.js');
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ProfileStore, JsonFileStorage, MemoryStorage } = require('../server/profileStore.js');
+
+/**
+ * MemoryStorage that counts save() calls
+ */
+class CountingStorage extends MemoryStorage {
+  constructor() {
+    super();
+    this.saves = 0;
+  }
+
+  async save(...profiles) {
+    this.saves++;
+    return super.save(...profiles);
+  }
+}
+
+describe('ProfileStore', () => {
+  let storage, store;
+  beforeEach(() => {
+    storage = new CountingStorage();
+    store = new ProfileStore(storage);
+  });
+
+  test('issues a profile once and finds it again by token', async () => {
+    const issued = await store.resolve(null, 'Alice');
+    assert.equal(storage.saves, 1);
+
+    const again = await store.resolve(issued.token, 'Alicia');
+    assert.equal(again.profile, issued.profile);
+    assert.equal(again.token, issued.token);
+    assert.equal(again.profile.username, 'Alicia');
+    assert.equal(storage.saves, 1);
+  });
+
+  test('issues a new profile for an unknown token', async () => {
+    const { profile, token } = await store.resolve('not-a-token', 'Alice');
+    assert.notEqual(token, 'not-a-token');
+    assert.equal((await store.resolve(token, 'Alice')).profile, profile);
+  });
+
+  test('records a match for every player in one save', async () => {
+    const alice = (await store.resolve(null, 'Alice')).profile;
+    const bob = (await store.resolve(null, 'Bob')).profile;
+    storage.saves = 0;
+
+    await store.recordMatch({
+      ranked: true,
+      winners: [{ id: 'a' }],
+      playerStats: [
+        { id: 'a', profileId: alice.id, score: 30, state: 'alive', orbsCollected: 3, timeSurvived: 60000 },
+        { id: 'b', profileId: bob.id, score: 10, state: 'dead', deathCause: 'zone', orbsCollected: 1, timeSurvived: 40000 },
+        { id: 'bot_1', profileId: null, score: 0, state: 'dead', deathCause: 'monster' },
+      ],
+    });
+
+    assert.equal(storage.saves, 1);
+    assert.deepEqual(
+      [alice.stats.gamesPlayed, alice.stats.wins, alice.stats.orbsCollected, alice.stats.timeSurvived],
+      [1, 1, 3, 60000],
+    );
+    assert.equal(bob.stats.deaths.zone, 1);
+    assert.ok(alice.rating > bob.rating);
+  });
+
+  test('ignores unranked matches', async () => {
+    const alice = (await store.resolve(null, 'Alice')).profile;
+    const changes = await store.recordMatch({
+      ranked: false,
+      winners: [{ id: 'a' }],
+      playerStats: [{ id: 'a', profileId: alice.id, score: 30, state: 'alive' }],
+    });
+
+    assert.equal(changes.size, 0);
+    assert.equal(alice.stats.gamesPlayed, 0);
+  });
+});
+
+describe('JsonFileStorage', () => {
+  let dir, file;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    file = path.join(dir, 'profiles.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes profiles and reads them back, token index included', async () => {
+    const store = new ProfileStore(new JsonFileStorage(file));
+    const { profile, token } = await store.resolve(null, 'Alice');
+    await store.resolve(null, 'Bob');
+
+    const reloaded = new ProfileStore(new JsonFileStorage(file));
+    assert.equal((await reloaded.resolve(token, 'Alice')).profile.id, profile.id);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).profiles.length, 2);
+  });
+
+  test('refuses to load or overwrite a corrupt file', async () => {
+    fs.writeFileSync(file, '{"profiles": [');
+    const storage = new JsonFileStorage(file);
+
+    await assert.rejects(storage.load(), /Cannot read profiles/);
+    await assert.rejects(storage.save({ id: 'p1', tokenHash: 'h1' }), /Cannot read profiles/);
+    assert.equal(fs.readFileSync(file, 'utf8'), '{"profiles": [');
+  });
+});
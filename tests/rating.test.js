@@ -0,0 +1,70 @@
+require('./helpers.js');
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+const { rankPlayers, expectedScore, computeRatingChanges } = require('../server/rating.js');
+
+function sum(changes) {
+  return [...changes.values()].reduce((total, delta) => total + delta, 0);
+}
+
+describe('rankPlayers', () => {
+  test('places winners, then survivors, then by score and time survived', () => {
+    const placements = rankPlayers([
+      { id: 'dead_high', state: 'dead', score: 50, timeSurvived: 1000 },
+      { id: 'alive', state: 'alive', score: 10 },
+      { id: 'winner', state: 'alive', score: 5 },
+      { id: 'dead_late', state: 'dead', score: 20, timeSurvived: 9000 },
+      { id: 'dead_early', state: 'dead', score: 20, timeSurvived: 3000 },
+    ], new Set(['winner']));
+
+    assert.deepEqual(Object.fromEntries(placements), { winner: 0, alive: 1, dead_high: 2, dead_late: 3, dead_early: 4 });
+  });
+
+  test('gives equal results the same placement', () => {
+    const placements = rankPlayers([
+      { id: 'a', state: 'dead', score: 10, timeSurvived: 5000 },
+      { id: 'b', state: 'dead', score: 10, timeSurvived: 5000 },
+      { id: 'c', state: 'dead', score: 0, timeSurvived: 5000 },
+    ]);
+    assert.deepEqual(Object.fromEntries(placements), { a: 0, b: 0, c: 2 });
+  });
+});
+
+describe('computeRatingChanges', () => {
+  test('is zero-sum between equally rated players', () => {
+    const changes = computeRatingChanges([
+      { id: 'a', rating: 1000, placement: 0 },
+      { id: 'b', rating: 1000, placement: 1 },
+    ]);
+    assert.deepEqual(Object.fromEntries(changes), { a: CONFIG.RATING_K_FACTOR / 2, b: -CONFIG.RATING_K_FACTOR / 2 });
+  });
+
+  test('sums to about zero in a mixed lobby (rounding aside)', () => {
+    const changes = computeRatingChanges([
+      { id: 'a', rating: 1200, placement: 2 },
+      { id: 'b', rating: 1000, placement: 0 },
+      { id: 'c', rating: 900, placement: 1 },
+      { id: 'd', rating: 1100, placement: 3 },
+    ]);
+    assert.ok(Math.abs(sum(changes)) <= changes.size / 2, `sum ${sum(changes)}`);
+    assert.ok(changes.get('b') > 0);
+    assert.ok(changes.get('a') < 0);
+  });
+
+  test('rewards an upset more than an expected win', () => {
+    const upset = computeRatingChanges([{ id: 'low', rating: 800, placement: 0 }, { id: 'high', rating: 1200, placement: 1 }]);
+    const expected = computeRatingChanges([{ id: 'low', rating: 800, placement: 1 }, { id: 'high', rating: 1200, placement: 0 }]);
+    assert.ok(upset.get('low') > expected.get('high'));
+    assert.equal(sum(upset), 0);
+    assert.equal(sum(expected), 0);
+  });
+
+  test('leaves a tie between equals unchanged and ignores a lone player', () => {
+    const tie = computeRatingChanges([{ id: 'a', rating: 1000, placement: 0 }, { id: 'b', rating: 1000, placement: 0 }]);
+    assert.deepEqual(Object.fromEntries(tie), { a: 0, b: 0 });
+    assert.equal(computeRatingChanges([{ id: 'a', rating: 1000, placement: 0 }]).size, 0);
+    assert.equal(expectedScore(1000, 1000), 0.5);
+  });
+});
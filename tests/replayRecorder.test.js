@@ -0,0 +1,40 @@
+require('./helpers.js');
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { CONFIG } = require('../server/config.js');
+const { listReplays, pruneReplays } = require('../server/replayRecorder.js');
+
+describe('pruneReplays', () => {
+  let replayDir, dir;
+  beforeEach(() => {
+    replayDir = CONFIG.REPLAY_DIR;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    CONFIG.REPLAY_DIR = dir;
+  });
+
+  afterEach(() => {
+    CONFIG.REPLAY_DIR = replayDir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('deletes the oldest replays beyond the limit', async () => {
+    const ids = ['20260101-120000_AAAA', '20260101-120500_BBBB', '20260102-090000_CCCC', '20260103-000000_DDDD'];
+    for (const id of ids) fs.writeFileSync(path.join(dir, `${id}.json`), '{}');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'kept');
+
+    await pruneReplays(2);
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['20260102-090000_CCCC.json', '20260103-000000_DDDD.json', 'notes.txt']);
+    assert.equal((await listReplays()).length, 2);
+  });
+
+  test('does nothing without a replay directory', async () => {
+    fs.rmSync(dir, { recursive: true });
+    await pruneReplays(0);
+    assert.equal(fs.existsSync(dir), false);
+  });
+});
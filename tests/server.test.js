@@ -0,0 +1,324 @@
+const { startTestServer, waitFor, connect, joinLobby } = require('./helpers.js');
+const { describe, test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONFIG } = require('../server/config.js');
+
+describe('server flows', () => {
+  let server;
+  let sockets = [];
+
+  before(async () => {
+    server = await startTestServer();
+    // Every test opens lobbies, and disconnected players hold theirs for the reconnect grace period
+    server.lobbyManager.maxLobbies = 100;
+  });
+
+  after(async () => {
+    await server.stopServer();
+  });
+
+  afterEach(() => {
+    for (const socket of sockets) socket.close();
+    sockets = [];
+  });
+
+  async function join(data) {
+    const client = await joinLobby(server.url, data);
+    sockets.push(client.socket);
+    return client;
+  }
+
+  /**
+   * A private lobby with its host and one guest
+   */
+  async function createPrivateLobby() {
+    const host = await join({ username: 'Alice', createPrivate: true });
+    const guest = await join({ username: 'Bob', lobbyCode: host.response.lobbyCode });
+    return { host, guest, lobbyCode: host.response.lobbyCode, gameState: server.lobbyManager.getLobby(host.response.lobbyCode) };
+  }
+
+  async function startMatch({ host, guest }) {
+    const started = Promise.all([waitFor(host.socket, 'match_started'), waitFor(guest.socket, 'match_started')]);
+    host.socket.emit('start_match_early');
+    return started;
+  }
+
+  async function attach({ host, guest }) {
+    const accepted = waitFor(host.socket, 'attach_accepted');
+    const request = waitFor(guest.socket, 'attach_request');
+    host.socket.emit('attach_request', { targetPlayerId: guest.response.playerId });
+    const { fromPlayerId } = await request;
+    guest.socket.emit('attach_response', { fromPlayerId, accepted: true });
+    return accepted;
+  }
+
+  describe('joining', () => {
+    test('creates a private lobby and joins it by code', async () => {
+      const host = await join({ username: 'Alice', createPrivate: true });
+      assert.equal(host.response.success, true);
+      assert.equal(host.response.isReconnect, false);
+      assert.equal(host.response.playerId, host.socket.id);
+      assert.equal(host.response.lobby.isPrivate, true);
+      assert.equal(host.response.lobby.hostId, host.response.playerId);
+
+      const joined = waitFor(host.socket, 'player_joined');
+      const guest = await join({ username: 'Bob', lobbyCode: host.response.lobbyCode.toLowerCase() });
+      assert.equal(guest.response.success, true);
+      assert.equal(guest.response.lobbyCode, host.response.lobbyCode);
+      assert.deepEqual(guest.response.gameState.players.map(p => p.username).sort(), ['Alice', 'Bob']);
+      assert.deepEqual(await joined, { playerId: guest.response.playerId, username: 'Bob' });
+    });
+
+    test('refuses unknown and locked lobby codes', async () => {
+      const unknown = await join({ username: 'Carol', lobbyCode: '????' });
+      assert.equal(unknown.response.success, false);
+      assert.equal(unknown.response.code, 'lobby_not_found');
+
+      const host = await join({ username: 'Alice', createPrivate: true });
+      const locked = waitFor(host.socket, 'lobby_info', (info) => info.locked);
+      host.socket.emit('set_lobby_locked', { locked: true });
+      await locked;
+
+      const refused = await join({ username: 'Carol', lobbyCode: host.response.lobbyCode });
+      assert.equal(refused.response.success, false);
+      assert.equal(refused.response.code, 'lobby_locked');
+    });
+  });
+
+  describe('reconnecting', () => {
+    test('takes a player back into their lobby within the grace period', async () => {
+      const { host, guest, lobbyCode } = await createPrivateLobby();
+      const playerId = host.response.playerId;
+
+      const disconnected = waitFor(guest.socket, 'player_disconnected');
+      host.socket.close();
+      assert.deepEqual(await disconnected, { playerId });
+
+      const reconnectedNotice = waitFor(guest.socket, 'player_reconnected');
+      const socket = await connect(server.url);
+      sockets.push(socket);
+      const welcome = waitFor(socket, 'reconnected');
+      const response = waitFor(socket, 'join_lobby_response');
+      socket.emit('join_lobby', { username: 'Alice', previousPlayerId: playerId });
+
+      assert.equal((await welcome).playerId, playerId);
+      const rejoined = await response;
+      assert.equal(rejoined.isReconnect, true);
+      assert.equal(rejoined.playerId, playerId);
+      assert.equal(rejoined.lobbyCode, lobbyCode);
+      assert.equal((await reconnectedNotice).playerId, playerId);
+      assert.equal(server.lobbyManager.getLobby(lobbyCode).getPlayer(playerId).isConnected, true);
+    });
+
+    test('removes a player who does not come back in time', async (t) => {
+      const gracePeriod = CONFIG.RECONNECT_GRACE_PERIOD;
+      CONFIG.RECONNECT_GRACE_PERIOD = 100;
+      t.after(() => { CONFIG.RECONNECT_GRACE_PERIOD = gracePeriod; });
+
+      const { host, guest, gameState } = await createPrivateLobby();
+      const playerId = host.response.playerId;
+      const left = waitFor(guest.socket, 'player_left');
+      host.socket.close();
+      assert.deepEqual(await left, { playerId });
+      assert.equal(gameState.getPlayer(playerId), undefined);
+
+      const late = await join({ username: 'Alice', previousPlayerId: playerId });
+      assert.equal(late.response.isReconnect, false);
+      assert.notEqual(late.response.playerId, playerId);
+    });
+  });
+
+  describe('matchmaking', () => {
+    test('drops a queue request superseded by a join while its profile loads', async (t) => {
+      const enabled = CONFIG.MATCHMAKING_ENABLED;
+      CONFIG.MATCHMAKING_ENABLED = true;
+      t.after(() => { CONFIG.MATCHMAKING_ENABLED = enabled; });
+
+      // Hold the profile lookup until the lobby join has gone through
+      let release;
+      const held = new Promise((resolve) => { release = resolve; });
+      const resolveProfile = server.profileStore.resolve;
+      let lookup;
+      t.mock.method(server.profileStore, 'resolve', (...args) => {
+        lookup = held.then(() => resolveProfile.apply(server.profileStore, args));
+        return lookup;
+      });
+
+      const host = await join({ username: 'Alice', createPrivate: true });
+      const socket = await connect(server.url);
+      sockets.push(socket);
+      let queued = false;
+      socket.on('matchmaking_status', () => { queued = true; });
+
+      const joined = waitFor(socket, 'join_lobby_response');
+      socket.emit('join_lobby', { username: 'Bob', matchmaking: true });
+      socket.emit('join_lobby', { username: 'Bob', lobbyCode: host.response.lobbyCode });
+      const response = await joined;
+      release();
+      await lookup;
+      // Anything the stale search sent arrives before the reply to a later request
+      const replied = waitFor(socket, 'control_error');
+      socket.emit('control_request', { targetPlayerId: host.response.playerId });
+      await replied;
+
+      assert.equal(response.lobbyCode, host.response.lobbyCode);
+      assert.equal(queued, false);
+      assert.equal(server.lobbyManager.getPlayerLobby(response.playerId), host.response.lobbyCode);
+    });
+  });
+
+  describe('pairing', () => {
+    test('attaches two players and hands control to the requester', async () => {
+      const lobby = await createPrivateLobby();
+      const { host, guest, gameState } = lobby;
+      const alice = gameState.getPlayer(host.response.playerId);
+      const bob = gameState.getPlayer(guest.response.playerId);
+
+      const accepted = await attach(lobby);
+      assert.deepEqual(accepted, { player1: bob.id, player2: alice.id });
+      assert.equal(alice.attachedTo, bob.id);
+      assert.equal(bob.attachedTo, alice.id);
+      assert.equal(bob.isControlling, true); // the accepting player walks first
+
+      const granted = waitFor(host.socket, 'control_granted');
+      const request = waitFor(guest.socket, 'control_request');
+      host.socket.emit('control_request', { targetPlayerId: bob.id });
+      assert.deepEqual(await request, { fromPlayerId: alice.id, toPlayerId: bob.id });
+      guest.socket.emit('control_response', { toPlayerId: alice.id, accepted: true });
+
+      assert.deepEqual(await granted, { controller: alice.id, receiver: bob.id });
+      assert.equal(alice.isControlling, true);
+      assert.equal(bob.isControlling, false);
+    });
+
+    test('refuses control requests between unattached players', async () => {
+      const { host, guest } = await createPrivateLobby();
+      const error = waitFor(host.socket, 'control_error');
+      host.socket.emit('control_request', { targetPlayerId: guest.response.playerId });
+      assert.equal((await error).message, 'Players not attached');
+    });
+  });
+
+  describe('orbs', () => {
+    test('splits an orb picked up by an attached pair', async () => {
+      const lobby = await createPrivateLobby();
+      const { host, guest, gameState } = lobby;
+      await attach(lobby);
+      await startMatch(lobby);
+
+      // Drop an orb at the host's feet; the game loop detects the pickup
+      const alice = gameState.getPlayer(host.response.playerId);
+      const orb = gameState.getActiveOrbs()[0];
+      const pickups = [];
+      const announced = waitFor(guest.socket, 'orb_collected', (event) => {
+        if (event.orbId === orb.id) pickups.push(event);
+        return pickups.length === 2;
+      });
+      orb.position = { ...alice.position };
+      await announced;
+
+      const pointsByPlayer = Object.fromEntries(pickups.map(({ playerId, points }) => [playerId, points]));
+      assert.deepEqual(pointsByPlayer, { [host.response.playerId]: 5, [guest.response.playerId]: 5 });
+      assert.equal(orb.collected, true);
+    });
+  });
+
+  describe('parties', () => {
+    /**
+     * Party led by `leader`, joined by `member` (both already connected)
+     */
+    async function createParty(leader, member) {
+      const created = waitFor(leader.socket, 'party_update', (party) => party?.members.length === 1);
+      leader.socket.emit('create_party', {});
+      const { code } = await created;
+      const joined = waitFor(leader.socket, 'party_update', (party) => party?.members.length === 2);
+      member.socket.emit('join_party', { code, username: 'Bob' });
+      return joined;
+    }
+
+    test('moves a queued party into one lobby together', async () => {
+      const alice = await join({ username: 'Alice', createPrivate: true });
+      const bob = await join({ username: 'Bob', createPrivate: true });
+      await createParty(alice, bob);
+
+      const moved = [alice, bob].map(({ socket }) => waitFor(socket, 'join_lobby_response'));
+      alice.socket.emit('party_queue');
+      const [aliceJoin, bobJoin] = await Promise.all(moved);
+
+      assert.equal(aliceJoin.lobbyCode, bobJoin.lobbyCode);
+      assert.notEqual(aliceJoin.lobbyCode, alice.response.lobbyCode);
+      assert.equal(server.lobbyManager.getLobby(alice.response.lobbyCode), undefined);
+    });
+
+    test('refuses to queue while a member is still in a match', async () => {
+      const lobby = await createPrivateLobby();
+      await startMatch(lobby);
+      const carol = await join({ username: 'Carol', createPrivate: true });
+      await createParty(lobby.host, carol);
+
+      const refused = waitFor(lobby.host.socket, 'game_message', (message) => message.type === 'warning');
+      lobby.host.socket.emit('party_queue');
+
+      assert.equal((await refused).message, 'Alice is still in a match');
+      assert.equal(server.lobbyManager.getPlayerLobby(carol.response.playerId), carol.response.lobbyCode);
+    });
+  });
+
+  describe('match flow', () => {
+    test('only the host starts a private match early', async () => {
+      const { guest, gameState } = await createPrivateLobby();
+      const refused = waitFor(guest.socket, 'game_message', (message) => message.type === 'warning');
+      guest.socket.emit('start_match_early');
+
+      assert.equal((await refused).message, 'Only the host can start the match');
+      assert.equal(gameState.active, false);
+    });
+
+    test('does not start a private match with the host alone', async () => {
+      const host = await join({ username: 'Alice', createPrivate: true });
+      const refused = waitFor(host.socket, 'game_message', (message) => message.type === 'warning');
+      host.socket.emit('start_match_early');
+
+      assert.equal((await refused).message, 'Need at least 2 players to start');
+      assert.equal(server.lobbyManager.getLobby(host.response.lobbyCode).active, false);
+    });
+
+    test('ignores blinks from a player who is not alive', async () => {
+      const lobby = await createPrivateLobby();
+      const { host, guest, gameState } = lobby;
+      await startMatch(lobby);
+
+      const bob = gameState.getPlayer(guest.response.playerId);
+      bob.state = 'dead';
+      const { blinkDeadline } = bob;
+      let responded = false;
+      guest.socket.on('blink_response', () => { responded = true; });
+
+      // Handlers run in order, so the refused control request marks the blink as handled
+      const handled = waitFor(guest.socket, 'control_error');
+      guest.socket.emit('blink_action');
+      guest.socket.emit('control_request', { targetPlayerId: host.response.playerId });
+      await handled;
+
+      assert.equal(responded, false);
+      assert.equal(bob.blinkDeadline, blinkDeadline);
+    });
+
+    test('ends with results once one player is left standing', async () => {
+      const lobby = await createPrivateLobby();
+      const { host, guest, gameState } = lobby;
+      await startMatch(lobby);
+      assert.equal(gameState.active, true);
+
+      const ended = waitFor(host.socket, 'match_end');
+      guest.socket.emit('leave_lobby');
+      const results = await ended;
+
+      assert.equal(results.reason, 'last_standing');
+      assert.deepEqual(results.winners.map(p => p.id), [host.response.playerId]);
+      assert.deepEqual(results.playerStats.map(p => p.id), [host.response.playerId]);
+      assert.equal(gameState.active, false);
+    });
+  });
+});
@@ -0,0 +1,23 @@
+require('./helpers.js');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Simulation } = require('../server/simulation.js');
+
+function playBotMatch(seed) {
+  const sim = new Simulation({ seed });
+  const lobbyId = sim.createLobby();
+  sim.addBots(lobbyId, 4);
+  sim.startMatch(lobbyId);
+  return { results: sim.runUntilMatchEnd(lobbyId), ticks: sim.tickCount };
+}
+
+test('the same seed plays out the same match', () => {
+  const first = playBotMatch(42);
+  assert.ok(first.results, 'match ends');
+  assert.deepEqual(playBotMatch(42), first);
+});
+
+test('different seeds play out different matches', () => {
+  assert.notDeepEqual(playBotMatch(42), playBotMatch(43));
+});
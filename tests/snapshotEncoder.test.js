@@ -0,0 +1,84 @@
+require('./helpers.js');
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SnapshotEncoder } = require('../server/snapshotEncoder.js');
+const { SnapshotDecoder } = require('../client/snapshots.js');
+
+function lobbyState({ players = [], orbs = [], meta = {} } = {}) {
+  return { players, monsters: [], orbs, meta: { active: true, ...meta } };
+}
+
+describe('SnapshotEncoder / SnapshotDecoder', () => {
+  let encoder, decoder;
+
+  // One network tick: encode for the client, send it as JSON, decode and ack
+  function send(state, ack = true) {
+    encoder.capture(state);
+    const message = JSON.parse(JSON.stringify(encoder.encodeFor('client')));
+    const decoded = decoder.apply(message);
+    if (decoded && ack) encoder.acknowledge('client', decoded.seq);
+    return { message, decoded };
+  }
+
+  beforeEach(() => {
+    encoder = new SnapshotEncoder(4);
+    decoder = new SnapshotDecoder();
+  });
+
+  test('sends a full snapshot first, then only what changed since the ack', () => {
+    const alice = { id: 'alice', position: { x: 0, z: 0 }, health: 100 };
+    const first = send(lobbyState({ players: [alice], orbs: [{ id: 'orb_1', position: { x: 5, z: 5 } }] }));
+    assert.equal(first.message.baseSeq, null);
+    assert.deepEqual(first.decoded.players, [alice]);
+
+    const moved = { ...alice, position: { x: 1, z: 0 } };
+    const second = send(lobbyState({ players: [moved], meta: { timeRemaining: 1000 } }));
+    assert.equal(second.message.baseSeq, first.decoded.seq);
+    assert.deepEqual(second.message.players.upsert, [{ id: 'alice', position: { x: 1, z: 0 } }]);
+    assert.deepEqual(second.message.orbs.remove, ['orb_1']);
+    assert.deepEqual(second.message.meta, { timeRemaining: 1000 });
+
+    assert.deepEqual(second.decoded.players, [moved]);
+    assert.deepEqual(second.decoded.orbs, []);
+    assert.equal(second.decoded.active, true);
+    assert.equal(second.decoded.timeRemaining, 1000);
+  });
+
+  test('clears fields that became undefined', () => {
+    send(lobbyState({ players: [{ id: 'alice', attachedTo: 'bob' }], meta: { nextSafeZone: { x: 0, z: 0, radius: 50 } } }));
+    const { message, decoded } = send(lobbyState({ players: [{ id: 'alice', attachedTo: undefined }], meta: { nextSafeZone: undefined } }));
+
+    assert.deepEqual(message.players.upsert, [{ id: 'alice', attachedTo: null }]);
+    assert.equal(decoded.players[0].attachedTo, null);
+    assert.equal(decoded.nextSafeZone, null);
+  });
+
+  test('keeps deltas against the last ack while later snapshots go unacknowledged', () => {
+    const acked = send(lobbyState({ players: [{ id: 'alice', health: 100 }] }));
+    send(lobbyState({ players: [{ id: 'alice', health: 90 }] }), false);
+    const { message, decoded } = send(lobbyState({ players: [{ id: 'alice', health: 80 }] }));
+
+    assert.equal(message.baseSeq, acked.decoded.seq);
+    assert.equal(decoded.players[0].health, 80);
+  });
+
+  test('falls back to a full snapshot once the acked baseline is evicted', () => {
+    send(lobbyState({ players: [{ id: 'alice', health: 100 }] }));
+    for (let health = 99; health > 94; health--) {
+      send(lobbyState({ players: [{ id: 'alice', health }] }), false);
+    }
+    const { message, decoded } = send(lobbyState({ players: [{ id: 'alice', health: 50 }] }));
+
+    assert.equal(message.baseSeq, null);
+    assert.deepEqual(decoded.players, [{ id: 'alice', health: 50 }]);
+  });
+
+  test('drops stale updates and updates against an unknown baseline', () => {
+    send(lobbyState({ players: [{ id: 'alice', health: 100 }] }));
+    const { message } = send(lobbyState({ players: [{ id: 'alice', health: 90 }] }));
+
+    assert.equal(decoder.apply(message), null);
+    assert.equal(decoder.apply({ ...message, seq: message.seq + 1, baseSeq: 999 }), null);
+  });
+});